@@ -13,9 +13,19 @@
     // ============================================================
 
     const state = {
-        gpxData: null,      // Pontos do GPX carregado [lon, lat, ele][]
+        gpxData: null,      // Pontos do GPX carregado [lon, lat, ele, time][]
+        gpxBreaks: [],      // Índices onde começa um novo segmento
+        gpxWaypoints: [],   // Waypoints (<wpt>) do arquivo
         gpxInfo: null,      // Informações do GPX (nome, dist, etc.)
+        gpxClean: null,     // Pontos com elevação limpa (null = limpeza desligada)
+        diagnostics: null,  // Relatório de Diagnostics.analyze da seleção atual
+        demTiles: [],       // Tiles de DEM carregados (dem.js)
+        demResult: null,    // Resultado de DEM.apply na seleção atual
+        gpxTracks: null,    // Trilhas/rotas disponíveis no arquivo
+        gpxTitle: '',       // Nome do arquivo (metadata), usado ao combinar trilhas
+        selectedTracks: [], // Índices das trilhas selecionadas
         modelResult: null,  // Resultado da geração do modelo
+        modelOptions: null, // Opções usadas na geração (cabeçalho do STL)
         preview: null,      // Instância do Preview3D
         currentTheme: 'dark'
     };
@@ -24,6 +34,16 @@
     // REFERÊNCIAS DOM
     // ============================================================
 
+    // Nome de cada corpo do modelo (ModelCode.bodies) na interface e no arquivo
+    const BODY_NAMES = {
+        profile: ['Caminho', 'caminho'],
+        terrain: ['Terreno', 'terreno'],
+        plate: ['Base', 'base'],
+        label: ['Texto', 'texto'],
+        markers: ['Marcadores', 'marcadores'],
+        waypoints: ['Waypoints', 'waypoints']
+    };
+
     const $ = (sel) => document.querySelector(sel);
     const $$ = (sel) => document.querySelectorAll(sel);
 
@@ -31,8 +51,14 @@
         // Upload
         dropZone: $('#drop-zone'),
         gpxFile: $('#gpx-file'),
+        uploadProgress: $('#upload-progress'),
+        uploadProgressFill: $('#upload-progress-fill'),
+        uploadProgressText: $('#upload-progress-text'),
         btnSample: $('#btn-sample'),
         gpxInfo: $('#gpx-info'),
+        gpxTracks: $('#gpx-tracks'),
+        gpxTrackList: $('#gpx-track-list'),
+        btnTracksAll: $('#btn-tracks-all'),
         gpxName: $('#gpx-name'),
         gpxDistance: $('#gpx-distance'),
         gpxPoints: $('#gpx-points'),
@@ -40,7 +66,24 @@
         gpxEleMax: $('#gpx-ele-max'),
         gpxGain: $('#gpx-gain'),
         gpxLoss: $('#gpx-loss'),
-        gpxNoElevation: $('#gpx-no-elevation'),
+        gpxEleMinRaw: $('#gpx-ele-min-raw'),
+        gpxEleMaxRaw: $('#gpx-ele-max-raw'),
+        gpxGainRaw: $('#gpx-gain-raw'),
+        gpxLossRaw: $('#gpx-loss-raw'),
+        gpxDiagnostics: $('#gpx-diagnostics'),
+        gpxDiagnosticsList: $('#gpx-diagnostics-list'),
+        btnFixAll: $('#btn-fix-all'),
+        gpxWaypoints: $('#gpx-waypoints'),
+        gpxSensors: $('#gpx-sensors'),
+        gpxTime: $('#gpx-time'),
+        gpxStart: $('#gpx-start'),
+        gpxEnd: $('#gpx-end'),
+        gpxElapsed: $('#gpx-elapsed'),
+        gpxMoving: $('#gpx-moving'),
+        gpxAvgSpeed: $('#gpx-avg-speed'),
+        gpxMovingSpeed: $('#gpx-moving-speed'),
+        gpxMaxSpeed: $('#gpx-max-speed'),
+        gpxPace: $('#gpx-pace'),
 
         // Opções de rota
         verticalSlider: $('#vertical-slider'),
@@ -48,21 +91,68 @@
         zcut: $('#zcut'),
         zoverride: $('#zoverride'),
         zconstant: $('#zconstant'),
+        elecleanup: $('#elecleanup'),
+        demFile: $('#dem-file'),
+        btnDemLoad: $('#btn-dem-load'),
+        btnDemClear: $('#btn-dem-clear'),
+        demStatus: $('#dem-status'),
+        demModeRadios: $$('input[name="demmode"]'),
+        eleSpike: $('#ele_spike'),
+        eleWindow: $('#ele_window'),
+        eleThreshold: $('#ele_threshold'),
         smoothRadios: $$('input[name="smooth"]'),
+        simplifyTol: $('#simplify_tol'),
         mindist: $('#mindist'),
+        gapRadios: $$('input[name="gapmode"]'),
+        sensorZOptions: $('#sensor-z-options'),
+        zsourceRadios: $$('input[name="zsource"]'),
+        sensorHeight: $('#sensor_height'),
+        widthsourceRadios: $$('input[name="widthsource"]'),
+        widthMin: $('#width_min'),
+        widthMax: $('#width_max'),
 
         // Opções de modelo
         shapeBtns: $$('.shape-btn'),
+        spiralInputs: $('#spiral-inputs'),
+        spiralTurns: $('#spiral_turns'),
+        spiralSpacing: $('#spiral_spacing'),
+        spiralRise: $('#spiral_rise'),
         projRadios: $$('input[name="proj_type"]'),
         projection: $('#projection'),
         regionfit: $('#regionfit'),
         regionInputs: $('#region-inputs'),
+        terrain: $('#terrain'),
+        terrainInputs: $('#terrain-inputs'),
+        terrainModeRadios: $$('input[name="terrainmode"]'),
+        terrainRes: $('#terrain_res'),
+        terrainRaise: $('#terrain_raise'),
+        plateRadios: $$('input[name="plate"]'),
+        plateInputs: $('#plate-inputs'),
+        plateMargin: $('#plate_margin'),
+        plateThickness: $('#plate_thickness'),
+        plateCorner: $('#plate_corner'),
+        plateMountRadios: $$('input[name="platemount"]'),
+        labelRadios: $$('input[name="label"]'),
+        labelInputs: $('#label-inputs'),
+        labelText: $('#label_text'),
+        labelModeRadios: $$('input[name="labelmode"]'),
+        labelSize: $('#label_size'),
+        labelDepth: $('#label_depth'),
+        profileRadios: $$('input[name="profile"]'),
+        tiles: $('#tiles'),
+        tileInputs: $('#tile-inputs'),
+        tileBedx: $('#tile_bedx'),
+        tileBedy: $('#tile_bedy'),
+        tileJointRadios: $$('input[name="tilejoint"]'),
         eastMin: $('#east_min'),
         eastMax: $('#east_max'),
         northMin: $('#north_min'),
         northMax: $('#north_max'),
         markerRadios: $$('input[name="marker"]'),
         markerInterval: $('#marker_interval'),
+        markerBody: $('#marker_body'),
+        waypointRadios: $$('input[name="waypoint"]'),
+        meshRepair: $('#meshrepair'),
 
         // Tamanho
         width: $('#width'),
@@ -84,6 +174,28 @@
         // Downloads
         outputDownloads: $('#output-downloads'),
         btnDownloadStl: $('#btn-download-stl'),
+        btnDownloadMarkers: $('#btn-download-markers'),
+        btnDownload3mf: $('#btn-download-3mf'),
+        btnDownloadObj: $('#btn-download-obj'),
+        btnDownloadPly: $('#btn-download-ply'),
+        btnDownloadGlb: $('#btn-download-glb'),
+        plyColors: $('#ply_colors'),
+        previewColors: $('#preview-colors'),
+        colorRampRadios: $$('input[name="colorramp"]'),
+        previewLegend: $('#preview-legend'),
+        legendTitle: $('#legend-title'),
+        legendBar: $('#legend-bar'),
+        legendMin: $('#legend-min'),
+        legendMax: $('#legend-max'),
+        stlAscii: $('#stl_ascii'),
+        bodyDownloads: $('#body-downloads'),
+        bodyList: $('#body-list'),
+        tileDownloads: $('#tile-downloads'),
+        tileSummary: $('#tile-summary'),
+        tileList: $('#tile-list'),
+        meshReport: $('#mesh-report'),
+        meshReportSummary: $('#mesh-report-summary'),
+        meshReportList: $('#mesh-report-list'),
 
         // Código
         outputCode: $('#output-code'),
@@ -170,80 +282,317 @@
 
         // Botão de exemplo
         dom.btnSample.addEventListener('click', loadSample);
+
+        // Selecionar todas as trilhas/rotas
+        dom.btnTracksAll.addEventListener('click', () => {
+            if (!state.gpxTracks) return;
+            state.selectedTracks = state.gpxTracks.map((t, i) => i);
+            renderTrackList();
+            applyTrackSelection();
+        });
+
+        // Aplicar todas as correções do diagnóstico
+        dom.btnFixAll.addEventListener('click', () => {
+            if (state.diagnostics) applyFixes(state.diagnostics.issues.map(issue => issue.id));
+        });
     }
 
     /**
-     * Processa um arquivo GPX selecionado ou arrastado.
+     * Processa um arquivo de trilha (GPX, TCX, KML, GeoJSON ou FIT)
+     * selecionado ou arrastado.
      * @param {File} file
      */
     function handleFile(file) {
-        if (!file.name.toLowerCase().endsWith('.gpx')) {
-            showMessage('Por favor, selecione um arquivo .gpx válido.', 'error');
+        const format = Importers.detect(file.name);
+        if (!format) {
+            showMessage('Formato não suportado. Use GPX, TCX, KML, GeoJSON ou FIT.', 'error');
+            return;
+        }
+
+        // GPX: parser em streaming em um Web Worker (arquivos muito grandes)
+        if (format === 'gpx') {
+            loadGPXStream(file);
             return;
         }
 
         const reader = new FileReader();
         reader.onload = (e) => {
-            processGPXText(e.target.result);
+            processTrackFile(format, e.target.result, file.name);
         };
         reader.onerror = () => {
             showMessage('Erro ao ler o arquivo.', 'error');
         };
-        reader.readAsText(file);
+
+        if (Importers.isBinary(format)) {
+            reader.readAsArrayBuffer(file);
+        } else {
+            reader.readAsText(file);
+        }
+    }
+
+    /**
+     * Lê um arquivo GPX com o parser em streaming (gpx-stream.js),
+     * mostrando o progresso no card de upload.
+     * @param {Blob} file - Arquivo enviado ou o GPX de exemplo
+     */
+    function loadGPXStream(file) {
+        clearMessages();
+        dom.uploadProgress.classList.remove('hidden');
+        dom.uploadProgressFill.style.width = '0%';
+        dom.uploadProgressText.textContent = 'Lendo arquivo...';
+        dom.btnGenerate.disabled = true;
+
+        GPXStream.parseInWorker(
+            file,
+            dom.zoverride.checked,
+            parseFloat(dom.zconstant.value) || 100,
+            (progress) => {
+                const pct = Math.round(progress * 100);
+                dom.uploadProgressFill.style.width = pct + '%';
+                dom.uploadProgressText.textContent = pct < 100
+                    ? `Lendo arquivo... ${pct}%`
+                    : 'Calculando estatísticas...';
+            },
+            (result) => {
+                dom.uploadProgress.classList.add('hidden');
+                applyParseResult(result);
+            }
+        );
     }
 
     /**
-     * Carrega o arquivo GPX de exemplo.
+     * Carrega o arquivo GPX de exemplo (pelo mesmo parser dos arquivos enviados).
      */
     function loadSample() {
         const req = new XMLHttpRequest();
         req.onreadystatechange = function () {
             if (req.readyState === 4) {
-                if (req.status === 200 || req.status === 0) {
-                    processGPXText(req.responseText);
+                if ((req.status === 200 || req.status === 0) && req.response) {
+                    loadGPXStream(req.response);
                 } else {
                     showMessage('Erro ao carregar o arquivo de exemplo.', 'error');
                 }
             }
         };
         req.open('GET', 'gpx/sample.gpx', true);
+        req.responseType = 'blob';
         req.send();
     }
 
     /**
-     * Processa o texto GPX: faz parsing e exibe informações.
-     * @param {string} text
+     * Processa o conteúdo do arquivo: faz parsing e exibe informações.
+     * @param {string} format - Formato retornado por Importers.detect
+     * @param {string|ArrayBuffer} content - Texto ou ArrayBuffer (FIT)
+     * @param {string} fileName
      */
-    function processGPXText(text) {
+    function processTrackFile(format, content, fileName) {
         clearMessages();
 
         const forceElev = dom.zoverride.checked;
         const defaultElev = parseFloat(dom.zconstant.value) || 100;
 
-        const result = GPXParser.parse(text, forceElev, defaultElev);
+        applyParseResult(Importers.parse(format, content, forceElev, defaultElev, fileName));
+    }
 
+    /**
+     * Guarda o resultado do parsing no estado e exibe as informações.
+     * @param {Object} result - Formato de GPXParser.buildResult
+     */
+    function applyParseResult(result) {
         if (result.error) {
             showMessage(result.error, 'error');
             state.gpxData = null;
+            state.gpxClean = null;
+            state.gpxBreaks = [];
+            state.gpxWaypoints = [];
             state.gpxInfo = null;
+            state.gpxTracks = null;
             dom.gpxInfo.classList.add('hidden');
             dom.btnGenerate.disabled = true;
             return;
         }
 
         state.gpxData = result.points;
+        state.gpxBreaks = result.breaks;
+        state.gpxWaypoints = result.waypoints;
         state.gpxInfo = result.info;
-
-        displayGPXInfo(result.info);
+        state.gpxTracks = result.tracks;
+        state.gpxTitle = result.title;
+        state.selectedTracks = result.selected;
+
+        renderTrackList();
+        applyDEM();
+        refreshDiagnostics();
+        updateElevation();
+        displayWaypoints();
         dom.btnGenerate.disabled = false;
         showMessage(`Trilha "${result.info.name}" carregada com sucesso!`, 'status');
     }
 
+    /**
+     * Monta a lista de trilhas/rotas do arquivo com caixas de seleção.
+     * Só é exibida quando o arquivo tem mais de uma.
+     */
+    function renderTrackList() {
+        const tracks = state.gpxTracks || [];
+        dom.gpxTrackList.innerHTML = '';
+        dom.gpxTracks.classList.toggle('hidden', tracks.length < 2);
+        if (tracks.length < 2) return;
+
+        tracks.forEach((track, i) => {
+            const item = document.createElement('label');
+            item.className = 'track-item';
+
+            const check = document.createElement('input');
+            check.type = 'checkbox';
+            check.checked = state.selectedTracks.includes(i);
+            check.addEventListener('change', () => {
+                state.selectedTracks = state.selectedTracks.filter(s => s !== i);
+                if (check.checked) state.selectedTracks.push(i);
+                applyTrackSelection();
+            });
+
+            const text = document.createElement('span');
+            const name = document.createElement('span');
+            name.className = 'track-item-name';
+            name.textContent = track.name;
+            const meta = document.createElement('span');
+            meta.className = 'track-item-meta';
+            meta.textContent = [
+                track.type === 'rte' ? 'Rota' : 'Trilha',
+                track.totalPoints.toLocaleString('pt-BR') + ' pontos',
+                formatDistance(track.totalDistance)
+            ].concat(track.segmentCount > 1 ? [track.segmentCount + ' segmentos'] : []).join(' · ');
+            text.append(name, meta);
+
+            item.append(check, text);
+            dom.gpxTrackList.appendChild(item);
+        });
+    }
+
+    /**
+     * Recalcula pontos e informações a partir das trilhas selecionadas.
+     */
+    function applyTrackSelection() {
+        clearMessages();
+
+        const selection = GPXParser.select(state.gpxTracks, state.selectedTracks, state.gpxTitle);
+        if (selection.error) {
+            showMessage(selection.error, 'error');
+            state.gpxData = null;
+            state.gpxClean = null;
+            dom.btnGenerate.disabled = true;
+            return;
+        }
+
+        state.gpxData = selection.points;
+        state.gpxBreaks = selection.breaks;
+        state.gpxInfo = selection.info;
+        applyDEM();
+        refreshDiagnostics();
+        updateElevation();
+        dom.btnGenerate.disabled = false;
+    }
+
+    /**
+     * Lê os arquivos de DEM escolhidos e reaplica a seleção atual com eles.
+     * @param {FileList} files
+     */
+    function loadDEMFiles(files) {
+        const list = Array.from(files).filter(f => DEM.isDEMFile(f.name));
+        if (list.length === 0) {
+            showMessage('Formato de DEM não suportado. Use .hgt ou GeoTIFF (.tif).', 'error');
+            return;
+        }
+
+        dom.demStatus.classList.remove('hidden');
+        dom.demStatus.textContent = 'Lendo DEM...';
+
+        Promise.all(list.map(f => f.arrayBuffer().then(buf => DEM.parse(f.name, buf))))
+            .then((tiles) => {
+                state.demTiles = tiles;
+                if (state.gpxTracks) applyTrackSelection();
+                renderDEMStatus();
+            })
+            .catch((err) => {
+                renderDEMStatus();
+                showMessage('Erro ao ler o DEM: ' + err.message, 'error');
+            });
+    }
+
+    /**
+     * Substitui ou completa a elevação dos pontos selecionados com o DEM
+     * carregado, conforme o modo escolhido.
+     */
+    function applyDEM() {
+        state.demResult = null;
+        if (state.demTiles.length === 0 || !state.gpxData) return;
+
+        const mode = getRadioKey(dom.demModeRadios) || 'fill';
+        const result = DEM.apply(state.gpxData, state.demTiles, mode);
+
+        state.gpxData = result.points;
+        state.gpxInfo = GPXParser.summarize(result.points, state.gpxInfo.name);
+        state.demResult = result;
+        renderDEMStatus();
+    }
+
+    /**
+     * Mostra os tiles carregados e quantos pontos ficaram fora deles.
+     */
+    function renderDEMStatus() {
+        const tiles = state.demTiles;
+        dom.demStatus.classList.toggle('hidden', tiles.length === 0);
+        dom.btnDemClear.classList.toggle('hidden', tiles.length === 0);
+        if (tiles.length === 0) return;
+
+        const lines = tiles.map(tile => DEM.describe(tile));
+        const result = state.demResult;
+        if (result) {
+            lines.push(result.sampled.toLocaleString('pt-BR') + ' pontos com elevação do DEM');
+            if (result.outside > 0) {
+                lines.push(result.outside.toLocaleString('pt-BR') + ' pontos fora da área do DEM');
+            }
+        }
+        dom.demStatus.textContent = lines.join('\n');
+        dom.demStatus.classList.toggle('dem-status-warning', !!result && result.outside > 0);
+    }
+
+    /**
+     * Aplica a limpeza de elevação (elevation.js) aos pontos selecionados
+     * e atualiza as informações. Com a limpeza ativa, os valores brutos
+     * ficam visíveis abaixo dos limpos para comparação.
+     */
+    function updateElevation() {
+        if (!state.gpxData) return;
+
+        state.gpxClean = null;
+        if (!dom.elecleanup.checked) {
+            displayGPXInfo(state.gpxInfo);
+            return;
+        }
+
+        const value = (input, fallback) => {
+            const v = parseFloat(input.value);
+            return isFinite(v) && v >= 0 ? v : fallback;
+        };
+
+        state.gpxClean = Elevation.clean(state.gpxData, {
+            spikeThreshold: value(dom.eleSpike, Elevation.DEFAULTS.spikeThreshold),
+            smoothWindow: value(dom.eleWindow, Elevation.DEFAULTS.smoothWindow)
+        });
+
+        const threshold = value(dom.eleThreshold, Elevation.DEFAULTS.gainThreshold);
+        const cleanInfo = Object.assign({}, state.gpxInfo, Elevation.stats(state.gpxClean, threshold));
+        displayGPXInfo(cleanInfo, state.gpxInfo);
+    }
+
     /**
      * Exibe informações do GPX na interface.
      * @param {Object} info
+     * @param {Object} [rawInfo] - Informações sem limpeza de elevação, para comparação
      */
-    function displayGPXInfo(info) {
+    function displayGPXInfo(info, rawInfo) {
         dom.gpxName.textContent = info.name;
         dom.gpxDistance.textContent = formatDistance(info.totalDistance);
         dom.gpxPoints.textContent = info.totalPoints.toLocaleString('pt-BR');
@@ -252,13 +601,141 @@
         dom.gpxGain.textContent = '+' + formatElevation(info.totalGain);
         dom.gpxLoss.textContent = '-' + formatElevation(info.totalLoss);
 
+        [
+            [dom.gpxEleMinRaw, rawInfo && formatElevation(rawInfo.minElevation)],
+            [dom.gpxEleMaxRaw, rawInfo && formatElevation(rawInfo.maxElevation)],
+            [dom.gpxGainRaw, rawInfo && '+' + formatElevation(rawInfo.totalGain)],
+            [dom.gpxLossRaw, rawInfo && '-' + formatElevation(rawInfo.totalLoss)]
+        ].forEach(([el, text]) => {
+            el.classList.toggle('hidden', !rawInfo);
+            el.textContent = rawInfo ? 'bruto: ' + text : '';
+        });
+
+        dom.gpxTime.classList.toggle('hidden', !info.hasTime);
+        if (info.hasTime) {
+            const dateFmt = { dateStyle: 'short', timeStyle: 'short' };
+            dom.gpxStart.textContent = info.startTime.toLocaleString('pt-BR', dateFmt);
+            dom.gpxEnd.textContent = info.endTime.toLocaleString('pt-BR', dateFmt);
+            dom.gpxElapsed.textContent = formatDuration(info.elapsedTime);
+            dom.gpxMoving.textContent = formatDuration(info.movingTime);
+            dom.gpxAvgSpeed.textContent = formatSpeed(info.avgSpeed);
+            dom.gpxMovingSpeed.textContent = formatSpeed(info.movingSpeed);
+            dom.gpxMaxSpeed.textContent = formatSpeed(info.maxSpeed);
+            dom.gpxPace.textContent = info.pace > 0 ? formatPace(info.pace) : '—';
+        }
+
+        displaySensors(info.sensors || {}, info.hasTime);
         dom.gpxInfo.classList.remove('hidden');
+    }
 
-        if (!info.hasElevation) {
-            dom.gpxNoElevation.classList.remove('hidden');
-        } else {
-            dom.gpxNoElevation.classList.add('hidden');
+    /**
+     * Analisa os pontos selecionados e lista os problemas encontrados,
+     * cada um com a contagem e um botão de correção.
+     */
+    function refreshDiagnostics() {
+        state.diagnostics = Diagnostics.analyze(state.gpxData, state.gpxBreaks);
+        const issues = state.diagnostics.issues;
+
+        dom.gpxDiagnosticsList.innerHTML = '';
+        dom.gpxDiagnostics.classList.toggle('hidden', issues.length === 0);
+        dom.btnFixAll.classList.toggle('hidden', issues.length < 2);
+
+        for (const issue of issues) {
+            const item = document.createElement('li');
+            item.className = 'diagnostic diagnostic-' + issue.severity;
+
+            const text = document.createElement('span');
+            const count = document.createElement('strong');
+            count.textContent = issue.count.toLocaleString('pt-BR');
+            text.append(count, ' ' + issue.title);
+
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'btn btn-outline btn-sm';
+            btn.textContent = issue.fix;
+            btn.addEventListener('click', () => applyFixes([issue.id]));
+
+            item.append(text, btn);
+            dom.gpxDiagnosticsList.appendChild(item);
+        }
+    }
+
+    /**
+     * Aplica correções do diagnóstico à seleção atual e recalcula tudo.
+     * @param {string[]} ids - Tipos de problema (chaves de Diagnostics.ISSUES)
+     */
+    function applyFixes(ids) {
+        let points = state.gpxData;
+        let breaks = state.gpxBreaks;
+        const before = points.length;
+
+        for (const id of ids) {
+            const fixed = Diagnostics.fix(id, points, breaks, {
+                defaultElevation: parseFloat(dom.zconstant.value) || 100
+            });
+            points = fixed.points;
+            breaks = fixed.breaks;
         }
+
+        if (points.length < 2) {
+            showMessage('A correção deixaria a trilha com menos de 2 pontos.', 'error');
+            return;
+        }
+
+        state.gpxData = points;
+        state.gpxBreaks = breaks;
+        state.gpxInfo = GPXParser.summarize(points, state.gpxInfo.name);
+        refreshDiagnostics();
+        updateElevation();
+
+        const removed = before - points.length;
+        clearMessages();
+        showMessage(removed > 0
+            ? `Correção aplicada (${removed.toLocaleString('pt-BR')} pontos removidos).`
+            : 'Correção aplicada.', 'status');
+    }
+
+    /**
+     * Resume os canais de sensores da trilha e mostra as opções de altura
+     * e largura apenas para os canais presentes (e a velocidade só com
+     * horários).
+     * @param {Object} sensors - Resultado de Sensors.stats
+     * @param {boolean} hasTime - Se a trilha tem horários
+     */
+    function displaySensors(sensors, hasTime) {
+        const keys = Sensors.KEYS.filter(k => sensors[k]);
+        dom.gpxSensors.classList.toggle('hidden', keys.length === 0);
+        dom.gpxSensors.textContent = 'Sensores: ' + keys.map(k => Sensors.format(k, sensors[k])).join(' · ');
+
+        dom.sensorZOptions.classList.toggle('hidden', keys.length === 0);
+        if (hasTime) keys.push(ModelGenerator.WIDTH_SPEED);
+
+        [dom.zsourceRadios, dom.widthsourceRadios].forEach(radios => {
+            radios.forEach(radio => {
+                const optional = Sensors.CHANNELS[radio.value] || radio.value === ModelGenerator.WIDTH_SPEED;
+                const present = !optional || keys.includes(radio.value);
+                radio.closest('.radio-label').classList.toggle('hidden', !present);
+
+                // Canal ausente nesta trilha: voltar para a opção padrão
+                if (!present && radio.checked) {
+                    radios[0].checked = true;
+                    radios[0].dispatchEvent(new Event('change'));
+                }
+            });
+        });
+    }
+
+    /**
+     * Lista os nomes dos waypoints do arquivo abaixo das estatísticas.
+     */
+    function displayWaypoints() {
+        const wpts = state.gpxWaypoints;
+        dom.gpxWaypoints.classList.toggle('hidden', wpts.length === 0);
+        if (wpts.length === 0) return;
+
+        const names = wpts.slice(0, 5).map(w => w.name).join(', ');
+        const more = wpts.length > 5 ? ` (+${wpts.length - 5})` : '';
+        dom.gpxWaypoints.textContent = `${wpts.length} waypoint${wpts.length > 1 ? 's' : ''}: ${names}${more}`;
     }
 
     // ============================================================
@@ -307,10 +784,55 @@
             dom.verticalSlider.value = dom.vertical.value;
         });
 
-        // Toggle de suavização: habilitar/desabilitar input manual
+        // Toggle de suavização: habilitar o intervalo manual ou a tolerância da simplificação
         dom.smoothRadios.forEach(radio => {
             radio.addEventListener('change', () => {
-                dom.mindist.disabled = radio.value !== '1' || !radio.checked;
+                if (!radio.checked) return;
+                dom.mindist.disabled = radio.value !== '1';
+                dom.simplifyTol.disabled = radio.value !== '2' && radio.value !== '3';
+            });
+        });
+
+        // DEM local: carregar, remover e trocar o modo reaplicam a seleção
+        dom.btnDemLoad.addEventListener('click', () => dom.demFile.click());
+        dom.demFile.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) loadDEMFiles(e.target.files);
+            e.target.value = '';
+        });
+        dom.btnDemClear.addEventListener('click', () => {
+            state.demTiles = [];
+            state.demResult = null;
+            if (state.gpxTracks) applyTrackSelection();
+            renderDEMStatus();
+        });
+        dom.demModeRadios.forEach(radio => {
+            radio.addEventListener('change', () => {
+                if (radio.checked && state.demTiles.length > 0 && state.gpxTracks) applyTrackSelection();
+            });
+        });
+
+        // Limpeza de elevação: recalcular ao mudar qualquer parâmetro
+        dom.elecleanup.addEventListener('change', () => {
+            [dom.eleSpike, dom.eleWindow, dom.eleThreshold].forEach(input => {
+                input.disabled = !dom.elecleanup.checked;
+            });
+            updateElevation();
+        });
+        [dom.eleSpike, dom.eleWindow, dom.eleThreshold].forEach(input => {
+            input.addEventListener('change', updateElevation);
+        });
+
+        // Sensores: habilitar campos conforme a fonte escolhida
+        dom.zsourceRadios.forEach(radio => {
+            radio.addEventListener('change', () => {
+                if (radio.checked) dom.sensorHeight.disabled = radio.value === 'ele';
+            });
+        });
+        dom.widthsourceRadios.forEach(radio => {
+            radio.addEventListener('change', () => {
+                if (!radio.checked) return;
+                dom.widthMin.disabled = radio.value === '';
+                dom.widthMax.disabled = radio.value === '';
             });
         });
 
@@ -326,6 +848,37 @@
             dom.regionInputs.classList.toggle('hidden', !dom.regionfit.checked);
         });
 
+        // Toggle de relevo do terreno
+        dom.terrain.addEventListener('change', () => {
+            dom.terrainInputs.classList.toggle('hidden', !dom.terrain.checked);
+        });
+        dom.terrainModeRadios.forEach(radio => {
+            radio.addEventListener('change', () => {
+                if (radio.checked) dom.terrainRaise.disabled = radio.value === 'inlay';
+            });
+        });
+
+        // Toggle de divisão em blocos
+        dom.tiles.addEventListener('change', () => {
+            dom.tileInputs.classList.toggle('hidden', !dom.tiles.checked);
+        });
+
+        // Base: campos conforme o formato escolhido
+        dom.plateRadios.forEach(radio => {
+            radio.addEventListener('change', () => {
+                if (!radio.checked) return;
+                dom.plateInputs.classList.toggle('hidden', radio.value === '');
+                dom.plateCorner.disabled = radio.value !== 'rounded';
+            });
+        });
+
+        // Texto: campos só com um local escolhido
+        dom.labelRadios.forEach(radio => {
+            radio.addEventListener('change', () => {
+                if (radio.checked) dom.labelInputs.classList.toggle('hidden', radio.value === '');
+            });
+        });
+
         // Toggle de marcador personalizado
         dom.markerRadios.forEach(radio => {
             radio.addEventListener('change', () => {
@@ -338,6 +891,7 @@
             btn.addEventListener('click', () => {
                 dom.shapeBtns.forEach(b => b.classList.remove('active'));
                 btn.classList.add('active');
+                dom.spiralInputs.classList.toggle('hidden', btn.getAttribute('data-shape') !== '3');
             });
         });
 
@@ -366,6 +920,10 @@
             showMessage('Carregue um arquivo GPX primeiro.', 'error');
             return;
         }
+        if (state.diagnostics && state.diagnostics.errors > 0) {
+            showMessage('Corrija os erros apontados no diagnóstico da importação antes de gerar o modelo.', 'error');
+            return;
+        }
 
         clearMessages();
 
@@ -382,16 +940,18 @@
         // Executar geração com um pequeno delay para permitir atualização da UI
         setTimeout(() => {
             try {
-                const result = ModelGenerator.generate(state.gpxData, options, (pct) => {
+                const result = ModelGenerator.generate(state.gpxClean || state.gpxData, options, (pct) => {
                     dom.progressFill.style.width = pct + '%';
                     if (pct < 30) dom.progressText.textContent = 'Analisando trilha...';
                     else if (pct < 50) dom.progressText.textContent = 'Projetando coordenadas...';
                     else if (pct < 70) dom.progressText.textContent = 'Escalando modelo...';
                     else if (pct < 90) dom.progressText.textContent = 'Gerando geometria...';
+                    else if (pct < 95) dom.progressText.textContent = 'Verificando malha...';
                     else dom.progressText.textContent = 'Finalizando...';
                 });
 
                 state.modelResult = result;
+                state.modelOptions = options;
 
                 // Atualizar progresso final
                 dom.progressFill.style.width = '100%';
@@ -422,18 +982,35 @@
         }, 50);
     }
 
+    /**
+     * Valor numérico do radio marcado no grupo (0 se nenhum).
+     * @param {NodeList} radios
+     * @returns {number}
+     */
+    function getRadioValue(radios) {
+        for (const r of radios) {
+            if (r.checked) return parseInt(r.value);
+        }
+        return 0;
+    }
+
+    /**
+     * Valor (texto) do radio marcado no grupo ('' se nenhum).
+     * @param {NodeList} radios
+     * @returns {string}
+     */
+    function getRadioKey(radios) {
+        for (const r of radios) {
+            if (r.checked) return r.value;
+        }
+        return '';
+    }
+
     /**
      * Coleta todas as opções do formulário.
      * @returns {Object|null} Opções ou null se inválidas
      */
     function collectOptions() {
-        const getRadioValue = (radios) => {
-            for (const r of radios) {
-                if (r.checked) return parseInt(r.value);
-            }
-            return 0;
-        };
-
         const getMarkerInterval = (type) => {
             if (type === 0) return 0;
             if (type === 1) return 1000;
@@ -457,6 +1034,11 @@
             bedx: parseFloat(dom.width.value),
             bedy: parseFloat(dom.depth.value),
             base: parseFloat(dom.base.value),
+            profile: getRadioKey(dom.profileRadios) || 'rect',
+            tiles: dom.tiles.checked,
+            tileBedx: parseFloat(dom.tileBedx.value),
+            tileBedy: parseFloat(dom.tileBedy.value),
+            tileJoint: getRadioKey(dom.tileJointRadios),
             zcut: dom.zoverride.checked ? false : dom.zcut.checked,
             zoverride: dom.zoverride.checked,
             zconstant: parseFloat(dom.zconstant.value) || 100,
@@ -465,12 +1047,41 @@
             region_maxx: parseFloat(dom.eastMax.value) || 0,
             region_miny: parseFloat(dom.northMin.value) || 0,
             region_maxy: parseFloat(dom.northMax.value) || 0,
+            terrain: dom.terrain.checked,
+            terrainTiles: state.demTiles,
+            terrainResolution: parseFloat(dom.terrainRes.value) || 1,
+            terrainRaise: getRadioKey(dom.terrainModeRadios) === 'inlay' ? 0 : parseFloat(dom.terrainRaise.value),
+            plate: getRadioKey(dom.plateRadios),
+            plateMargin: parseFloat(dom.plateMargin.value),
+            plateThickness: parseFloat(dom.plateThickness.value),
+            plateCorner: parseFloat(dom.plateCorner.value) || 0,
+            plateMount: getRadioKey(dom.plateMountRadios),
+            label: getRadioKey(dom.labelRadios),
+            labelText: renderLabel(dom.labelText.value, state.gpxInfo),
+            labelMode: getRadioKey(dom.labelModeRadios),
+            labelSize: parseFloat(dom.labelSize.value),
+            labelDepth: parseFloat(dom.labelDepth.value),
             shapetype: shapetype,
+            spiralTurns: parseFloat(dom.spiralTurns.value),
+            spiralSpacing: parseFloat(dom.spiralSpacing.value),
+            spiralRise: parseFloat(dom.spiralRise.value) || 0,
             projtype: getRadioValue(dom.projRadios),
             projection: dom.projection.value,
             markerInterval: getMarkerInterval(markerType),
+            markerBody: dom.markerBody.checked,
             smoothtype: getRadioValue(dom.smoothRadios),
-            smoothspan: parseFloat(dom.mindist.value) || 10
+            smoothspan: parseFloat(dom.mindist.value) || 10,
+            simplifyTolerance: parseFloat(dom.simplifyTol.value),
+            gapmode: getRadioValue(dom.gapRadios),
+            breaks: state.gpxBreaks,
+            waypointStyle: getRadioValue(dom.waypointRadios),
+            meshRepair: dom.meshRepair.checked,
+            waypoints: state.gpxWaypoints,
+            zsource: getRadioKey(dom.zsourceRadios) || 'ele',
+            sensorHeight: parseFloat(dom.sensorHeight.value) || 20,
+            widthsource: getRadioKey(dom.widthsourceRadios),
+            widthMin: parseFloat(dom.widthMin.value) / 100,
+            widthMax: parseFloat(dom.widthMax.value) / 100
         };
 
         // Validação
@@ -490,6 +1101,50 @@
             showMessage('A largura do caminho deve ser maior ou igual a 1mm.', 'error');
             return null;
         }
+        if (options.tiles && !(options.tileBedx >= 20 && options.tileBedy >= 20)) {
+            showMessage('A mesa da impressora deve ter largura e profundidade maiores ou iguais a 20mm.', 'error');
+            return null;
+        }
+        if (options.widthsource && !(options.widthMin > 0 && options.widthMax >= options.widthMin)) {
+            showMessage('A largura variável deve ter mínima maior que 0 e máxima maior ou igual à mínima.', 'error');
+            return null;
+        }
+        if ((options.smoothtype === 2 || options.smoothtype === 3) && !(options.simplifyTolerance > 0)) {
+            showMessage('A tolerância da simplificação deve ser maior que 0 mm.', 'error');
+            return null;
+        }
+        if (options.shapetype === 3) {
+            if (!(options.spiralTurns > 0 && options.spiralSpacing > 0)) {
+                showMessage('A espiral deve ter número de voltas e espaçamento maiores que 0.', 'error');
+                return null;
+            }
+            if (options.spiralRise < 0) {
+                showMessage('A subida por volta da espiral deve ser maior ou igual a 0.', 'error');
+                return null;
+            }
+        }
+        if (options.terrain) {
+            if (options.shapetype !== 0) {
+                showMessage('O relevo do terreno só está disponível na forma Mapa.', 'error');
+                return null;
+            }
+            if (state.demTiles.length === 0) {
+                showMessage('Carregue um arquivo de DEM (Opções de Rota) para gerar o relevo do terreno.', 'error');
+                return null;
+            }
+            if (!(options.terrainRaise >= 0)) {
+                showMessage('A altura do caminho sobre o terreno deve ser maior ou igual a 0.', 'error');
+                return null;
+            }
+        }
+        if (options.plate && !(options.plateMargin >= 0 && options.plateThickness > 0)) {
+            showMessage('A base deve ter borda maior ou igual a 0 e espessura maior que 0.', 'error');
+            return null;
+        }
+        if (options.label && !(options.labelSize > 0 && options.labelDepth > 0)) {
+            showMessage('O texto deve ter altura e profundidade maiores que 0.', 'error');
+            return null;
+        }
         if (options.projtype === 1 && !options.projection.trim()) {
             showMessage('Defina uma projeção personalizada (formato proj4).', 'error');
             return null;
@@ -498,6 +1153,23 @@
         return options;
     }
 
+    /**
+     * Preenche os campos do texto ({name}, {totalDistance}, {totalGain},
+     * {date}) com os dados da trilha. Campos desconhecidos ficam como estão.
+     * @param {string} template
+     * @param {Object} info - state.gpxInfo
+     * @returns {string}
+     */
+    function renderLabel(template, info) {
+        const fields = {
+            name: info.name,
+            totalDistance: formatDistance(info.totalDistance),
+            totalGain: formatElevation(info.totalGain),
+            date: info.hasTime ? info.startTime.toLocaleDateString('pt-BR') : ''
+        };
+        return template.replace(/\{(\w+)\}/g, (field, key) => key in fields ? fields[key] : field);
+    }
+
     /**
      * Exibe o modelo gerado na interface.
      * @param {Object} result
@@ -509,12 +1181,19 @@
         }
 
         if (result.code && result.code.rawPoints && result.code.rawFaces) {
-            state.preview.loadModel(result.code.rawPoints, result.code.rawFaces);
+            const ramp = displayColorRamps(result.code);
+            const mesh = result.code.previewMesh(ramp);
+            state.preview.loadModel(mesh.points, mesh.faces, mesh.colors);
             dom.previewControls.classList.remove('hidden');
         }
 
         // Downloads
         dom.outputDownloads.classList.remove('hidden');
+        dom.btnDownloadMarkers.classList.toggle('hidden',
+            !(result.code.options.markerBody && result.code.rawMarkers.length > 0));
+        displayMeshReport(result.meshCheck, result.code.repairs);
+        displayBodies(result.code);
+        displayTiles(result.tiles);
 
         // Código paramétrico
         dom.codeJscad.textContent = result.code.jscad(false);
@@ -525,6 +1204,188 @@
         dom.previewContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
     }
 
+    /**
+     * Escala de cores escolhida para o caminho no modelo atual.
+     * @returns {Object|null} Resultado de ModelCode.colorRamp (null: cor única)
+     */
+    function currentColorRamp() {
+        const code = state.modelResult && state.modelResult.code;
+        const key = getRadioKey(dom.colorRampRadios);
+        return code && key ? code.colorRamp(key) : null;
+    }
+
+    /**
+     * Mostra só as escalas de cores disponíveis para o modelo (a
+     * velocidade precisa de horários) e a legenda da escolhida.
+     * @param {ModelCode} code
+     * @returns {Object|null} Escala escolhida
+     */
+    function displayColorRamps(code) {
+        dom.colorRampRadios.forEach(radio => {
+            const present = !radio.value || !!code.colorRamp(radio.value);
+            radio.closest('.radio-label').classList.toggle('hidden', !present);
+            if (!present && radio.checked) dom.colorRampRadios[0].checked = true;
+        });
+        dom.previewColors.classList.remove('hidden');
+
+        const ramp = currentColorRamp();
+        displayLegend(ramp);
+        return ramp;
+    }
+
+    /**
+     * Legenda da escala de cores: métrica, barra e valores extremos.
+     * @param {Object|null} ramp
+     */
+    function displayLegend(ramp) {
+        dom.previewLegend.classList.toggle('hidden', !ramp);
+        if (!ramp) return;
+
+        const format = (v) => v.toLocaleString('pt-BR', { maximumFractionDigits: 1 }) + ' ' + ramp.unit;
+        dom.legendTitle.textContent = ramp.label;
+        dom.legendBar.style.background = `linear-gradient(to right, ${ramp.stops.join(', ')})`;
+        dom.legendMin.textContent = format(ramp.min);
+        dom.legendMax.textContent = format(ramp.max);
+    }
+
+    /**
+     * Lista os corpos do modelo (caminho, base, texto, marcadores...) com um
+     * STL para cada um e um arquivo único com todos como objetos.
+     * @param {ModelCode} code
+     */
+    function displayBodies(code) {
+        const bodies = code.bodies();
+        dom.bodyList.innerHTML = '';
+        dom.bodyDownloads.classList.toggle('hidden', bodies.length < 2);
+        if (bodies.length < 2) return;
+
+        const button = (text, onClick) => addButton(dom.bodyList, text, onClick);
+
+        button('Arquivo único com objetos (STL ASCII)', () => {
+            saveFile(code.generateBodiesSTL(bodies), '_corpos.stl', 'model/stl');
+            showMessage('Arquivo STL baixado com sucesso!', 'status');
+        });
+        button('Baixar todos (ZIP com um STL por corpo)', () => downloadSTLZip(
+            bodies.map(b => ({ mesh: b.mesh, suffix: '_' + bodyName(b)[1] })), '_corpos'));
+        for (const b of bodies) {
+            button(bodyName(b)[0], () => downloadSTL(() => b.mesh, '_' + bodyName(b)[1]));
+        }
+    }
+
+    /**
+     * Adiciona um botão pequeno de download a uma lista.
+     * @param {HTMLElement} list
+     * @param {string} text
+     * @param {function} onClick
+     */
+    function addButton(list, text, onClick) {
+        const btn = document.createElement('button');
+        btn.className = 'btn btn-outline btn-sm';
+        btn.textContent = text;
+        btn.addEventListener('click', onClick);
+        list.appendChild(btn);
+    }
+
+    /**
+     * Nome do corpo na interface e no arquivo.
+     * @returns {string[]} [rótulo, sufixo]
+     */
+    function bodyName(body) {
+        return BODY_NAMES[body.name] || [body.caption, body.name];
+    }
+
+    /**
+     * Lista os blocos do modelo dividido, com um botão de download para
+     * cada um e outro para todos.
+     * @param {Object|null} split - Resultado de Tiles.split
+     */
+    function displayTiles(split) {
+        dom.tileList.innerHTML = '';
+        dom.tileDownloads.classList.toggle('hidden', !split);
+        if (!split) return;
+
+        const n = split.tiles.length;
+        dom.tileSummary.textContent = `Modelo dividido em ${n} ${n === 1 ? 'bloco' : 'blocos'} ` +
+            `(grade de ${split.cols} × ${split.rows}, linha 1 ao fundo).`;
+
+        const button = (text, onClick) => addButton(dom.tileList, text, onClick);
+
+        if (n > 1) {
+            button('Baixar todos os blocos (ZIP)', () => downloadSTLZip(
+                split.tiles.map(tile => ({ mesh: tile.mesh, suffix: tileSuffix(tile) })), '_blocos'));
+        }
+        for (const tile of split.tiles) {
+            button(`Bloco ${tile.number} (linha ${tile.row}, coluna ${tile.col})`, () => downloadTile(tile));
+        }
+    }
+
+    /**
+     * Baixa o STL de um bloco, numerado no nome do arquivo.
+     * @param {Object} tile - Bloco de Tiles.split
+     */
+    function downloadTile(tile) {
+        downloadSTL(() => tile.mesh, tileSuffix(tile));
+    }
+
+    /**
+     * Sufixo do nome do arquivo de um bloco (ex.: "_bloco_03").
+     * @param {Object} tile - Bloco de Tiles.split
+     * @returns {string}
+     */
+    function tileSuffix(tile) {
+        return '_bloco_' + String(tile.number).padStart(2, '0');
+    }
+
+    /**
+     * Exibe o resumo da verificação da malha (mesh-check.js) e do reparo.
+     * @param {Object} report - Resultado de MeshCheck.analyze
+     * @param {Object|null} repairs - Resultado de ModelCode.repair (null sem reparo)
+     */
+    function displayMeshReport(report, repairs) {
+        const n = (v) => v.toLocaleString('pt-BR');
+
+        const summary = [
+            n(report.triangles) + ' triângulos',
+            report.shells === 1 ? '1 corpo' : n(report.shells) + ' corpos'
+        ];
+        if (repairs) {
+            const fixed = [
+                [repairs.foldedRings, 'anéis dobrados removidos'],
+                [repairs.degenerate, 'triângulos degenerados removidos'],
+                [repairs.flipped, 'faces reorientadas']
+            ].filter(([count]) => count > 0).map(([count, text]) => n(count) + ' ' + text);
+            const done = fixed.length > 0 ? fixed.join(', ') : 'nada a corrigir';
+            summary.push(report.ok ? 'reparo: ' + done : 'reparo incompleto: ' + done);
+        }
+        dom.meshReportSummary.textContent = 'Malha: ' + summary.join(' · ');
+
+        dom.meshReportList.innerHTML = '';
+        const issues = MeshCheck.issues(report);
+        if (issues.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'diagnostic diagnostic-ok';
+            item.textContent = 'Malha fechada, sem problemas encontrados.';
+            dom.meshReportList.appendChild(item);
+        }
+        for (const issue of issues) {
+            const item = document.createElement('li');
+            item.className = 'diagnostic diagnostic-warning';
+            const partial = issue.id === 'selfIntersections' && report.partial ? 'ao menos ' : '';
+            item.textContent = partial + n(issue.count) + ' ' + issue.title;
+            dom.meshReportList.appendChild(item);
+        }
+        if (issues.length > 0) {
+            const item = document.createElement('li');
+            item.className = 'diagnostic diagnostic-warning';
+            item.textContent = repairs
+                ? 'O reparo automático não resolveu tudo: use também o reparo de malha do fatiador antes de imprimir.'
+                : 'Ative "Reparar malha" ou use o reparo de malha do fatiador antes de imprimir.';
+            dom.meshReportList.appendChild(item);
+        }
+
+        dom.meshReport.classList.remove('hidden');
+    }
+
     // ============================================================
     // CONTROLES DO PREVIEW 3D
     // ============================================================
@@ -537,40 +1398,162 @@
                 }
             });
         });
+
+        // Escala de cores do caminho: repinta o preview sem mexer na câmera
+        dom.colorRampRadios.forEach(radio => {
+            radio.addEventListener('change', () => {
+                if (!radio.checked || !state.preview || !state.modelResult) return;
+                const ramp = currentColorRamp();
+                displayLegend(ramp);
+                state.preview.setColors(state.modelResult.code.previewMesh(ramp).colors);
+            });
+        });
     }
 
     // ============================================================
     // DOWNLOAD STL
     // ============================================================
 
-    dom.btnDownloadStl.addEventListener('click', () => {
+    dom.btnDownloadStl.addEventListener('click', () => downloadSTL(code => code.mesh(), ''));
+    dom.btnDownloadMarkers.addEventListener('click', () => downloadSTL(code => code.markerMesh(), '_marcadores'));
+    dom.btnDownload3mf.addEventListener('click', () => downloadModel('3MF', '.3mf', 'model/3mf',
+        (code, bodies, metadata) => code.generate3MF(bodies, metadata, currentColorRamp())));
+    dom.btnDownloadObj.addEventListener('click', () => downloadModel('OBJ', '.obj', 'model/obj',
+        (code, bodies, metadata) => code.generateOBJ(bodies, metadata)));
+    dom.btnDownloadPly.addEventListener('click', () => downloadModel('PLY', '.ply', 'application/octet-stream',
+        (code, bodies, metadata) => code.generatePLY(bodies, { colors: dom.plyColors.checked, ramp: currentColorRamp(), metadata })));
+    dom.btnDownloadGlb.addEventListener('click', () => downloadModel('glTF', '.glb', 'model/gltf-binary',
+        (code, bodies, metadata) => code.generateGLB(bodies, metadata, currentColorRamp())));
+
+    /**
+     * Gera e baixa o modelo atual em um formato com corpos nomeados
+     * (3MF, OBJ, PLY, glTF), com os dados da trilha nos metadados.
+     * @param {string} format - Nome do formato, para as mensagens
+     * @param {string} ext - Extensão do arquivo
+     * @param {string} type - Tipo MIME
+     * @param {function} write - (code, bodies, metadata) → conteúdo do arquivo
+     */
+    function downloadModel(format, ext, type, write) {
         if (!state.modelResult || !state.modelResult.code) {
             showMessage('Gere o modelo primeiro.', 'error');
             return;
         }
 
         try {
-            const stlData = state.modelResult.code.generateSTL();
-            const blob = new Blob([stlData], { type: 'application/sla' });
-            const url = URL.createObjectURL(blob);
+            const code = state.modelResult.code;
+            const bodies = code.bodies().map(b => Object.assign({}, b, { caption: bodyName(b)[0] }));
+            saveFile(write(code, bodies, modelMetadata()), ext, type);
+            showMessage(`Arquivo ${format} baixado com sucesso!`, 'status');
+        } catch (e) {
+            showMessage(`Erro ao gerar ${format}: ` + e.message, 'error');
+        }
+    }
 
-            const link = document.createElement('a');
-            link.href = url;
+    /**
+     * Metadados da trilha para os arquivos exportados.
+     * @returns {Object} { Title, Description, CreationDate, Application }
+     */
+    function modelMetadata() {
+        const info = state.gpxInfo;
+        let description = `Trilha de ${formatDistance(info.totalDistance)}, ganho de ${formatElevation(info.totalGain)}`;
+        if (info.hasTime) description += `, em ${info.startTime.toLocaleDateString('pt-BR')}`;
+
+        return {
+            Title: info.name,
+            Description: description,
+            CreationDate: new Date().toISOString().slice(0, 10),
+            Application: 'GPXtruder Modern'
+        };
+    }
 
-            // Usar nome do GPX se disponível
-            const baseName = state.gpxInfo ? state.gpxInfo.name.replace(/[^a-zA-Z0-9_-]/g, '_') : 'modelo';
-            link.download = baseName + '.stl';
+    /**
+     * Nome da trilha e parâmetros principais, para o cabeçalho do STL.
+     * @returns {string}
+     */
+    function stlHeader() {
+        const o = state.modelOptions;
+        return `${state.gpxInfo.name} - ${o.bedx}x${o.bedy} mm, exagero ${o.vertical}x, ` +
+            `caminho ${o.buffer * 2} mm, base ${o.base} mm`;
+    }
 
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            URL.revokeObjectURL(url);
+    /**
+     * Gera e baixa um STL do modelo atual.
+     * @param {function} getMesh - Recebe o ModelCode e retorna { points, faces }
+     * @param {string} suffix - Sufixo do nome do arquivo
+     */
+    function downloadSTL(getMesh, suffix) {
+        if (!state.modelResult || !state.modelResult.code) {
+            showMessage('Gere o modelo primeiro.', 'error');
+            return;
+        }
 
+        try {
+            const code = state.modelResult.code;
+            const ascii = dom.stlAscii.checked;
+            const data = code.generateSTL(getMesh(code), { ascii, header: stlHeader() });
+            saveFile(data, suffix + '.stl', ascii ? 'model/stl' : 'application/sla');
             showMessage('Arquivo STL baixado com sucesso!', 'status');
         } catch (e) {
             showMessage('Erro ao gerar STL: ' + e.message, 'error');
         }
-    });
+    }
+
+    /**
+     * Baixa vários STLs em um único ZIP: os navegadores bloqueiam
+     * downloads disparados em sequência.
+     * @param {Object[]} parts - [{ mesh, suffix }] (sufixo do nome de cada STL)
+     * @param {string} suffix - Sufixo do nome do ZIP
+     */
+    function downloadSTLZip(parts, suffix) {
+        if (!state.modelResult || !state.modelResult.code) {
+            showMessage('Gere o modelo primeiro.', 'error');
+            return;
+        }
+
+        try {
+            const code = state.modelResult.code;
+            const ascii = dom.stlAscii.checked;
+            const header = stlHeader();
+            const files = parts.map(part => {
+                const data = code.generateSTL(part.mesh, { ascii, header });
+                return { name: baseFileName() + part.suffix + '.stl', data: ascii ? data : new Uint8Array(data) };
+            });
+            saveFile(Zip.create(files), suffix + '.zip', 'application/zip');
+            showMessage('Arquivo ZIP baixado com sucesso!', 'status');
+        } catch (e) {
+            showMessage('Erro ao gerar STL: ' + e.message, 'error');
+        }
+    }
+
+    /**
+     * Nome dos arquivos baixados: o nome da trilha, sem caracteres especiais.
+     * @returns {string}
+     */
+    function baseFileName() {
+        return state.gpxInfo ? state.gpxInfo.name.replace(/[^a-zA-Z0-9_-]/g, '_') : 'modelo';
+    }
+
+    /**
+     * Baixa um arquivo com o nome do GPX seguido de `suffix`.
+     * @param {ArrayBuffer|string} data - Conteúdo
+     * @param {string} suffix - Sufixo e extensão do nome do arquivo
+     * @param {string} type - Tipo MIME
+     */
+    function saveFile(data, suffix, type) {
+        const blob = new Blob([data], { type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+
+        // Usar nome do GPX se disponível
+        link.download = baseFileName() + suffix;
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
 
     // ============================================================
     // ABAS DE CÓDIGO
@@ -0,0 +1,505 @@
+/**
+ * dem.js - Modelo digital de elevação (DEM) local
+ *
+ * Lê tiles SRTM (.hgt) e GeoTIFF (.tif/.tiff, em coordenadas geográficas)
+ * carregados do disco e amostra a elevação de cada ponto da trilha por
+ * interpolação bilinear. Tudo é feito no navegador, sem acesso à rede.
+ *
+ * Um tile é { name, width, height, x0, y0, dx, dy, data, noData }:
+ * (x0, y0) é a lon/lat do centro do primeiro pixel (canto noroeste),
+ * dx/dy o tamanho do pixel em graus e data um Float32Array linha a linha.
+ */
+
+const DEM = {
+
+    EXTENSIONS: ['.hgt', '.tif', '.tiff'],
+
+    // Valor de "sem dados" dos tiles SRTM
+    HGT_NODATA: -32768,
+
+    // Tags TIFF/GeoTIFF usadas
+    TIFF_TAGS: {
+        width: 256,
+        height: 257,
+        bitsPerSample: 258,
+        compression: 259,
+        stripOffsets: 273,
+        samplesPerPixel: 277,
+        rowsPerStrip: 278,
+        stripByteCounts: 279,
+        predictor: 317,
+        tileWidth: 322,
+        tileHeight: 323,
+        tileOffsets: 324,
+        tileByteCounts: 325,
+        sampleFormat: 339,
+        pixelScale: 33550,
+        tiepoint: 33922,
+        transformation: 34264,
+        geoKeys: 34735,
+        noData: 42113
+    },
+
+    // Bytes por valor de cada tipo de campo TIFF
+    TIFF_TYPE_SIZES: [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8],
+
+    /**
+     * Verifica se o nome do arquivo é de um DEM suportado.
+     * @param {string} fileName
+     * @returns {boolean}
+     */
+    isDEMFile(fileName) {
+        const name = fileName.toLowerCase();
+        return this.EXTENSIONS.some(ext => name.endsWith(ext));
+    },
+
+    /**
+     * Lê um arquivo de DEM.
+     *
+     * @param {string} fileName - Usado para detectar o formato e, no .hgt, a posição
+     * @param {ArrayBuffer} buffer - Conteúdo do arquivo
+     * @returns {Promise<Object>} Tile (ver topo do arquivo); rejeita com Error se inválido
+     */
+    parse(fileName, buffer) {
+        try {
+            if (fileName.toLowerCase().endsWith('.hgt')) {
+                return Promise.resolve(this._parseHGT(fileName, buffer));
+            }
+            return this._parseTIFF(fileName, buffer);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+    },
+
+    /**
+     * Elevação em uma posição, pelo primeiro tile que a cobre.
+     *
+     * @param {Object[]} tiles
+     * @param {number} lon
+     * @param {number} lat
+     * @returns {number} Elevação em metros (NaN fora dos tiles ou sem dados)
+     */
+    elevation(tiles, lon, lat) {
+        for (const tile of tiles) {
+            const v = this.sample(tile, lon, lat);
+            if (isFinite(v)) return v;
+        }
+        return NaN;
+    },
+
+    /**
+     * Interpolação bilinear entre os quatro pixels vizinhos. Pixels sem
+     * dados são ignorados e os pesos dos demais renormalizados.
+     *
+     * @param {Object} tile
+     * @param {number} lon
+     * @param {number} lat
+     * @returns {number} Elevação (NaN fora do tile)
+     */
+    sample(tile, lon, lat) {
+        let fx = (lon - tile.x0) / tile.dx;
+        let fy = (tile.y0 - lat) / tile.dy;
+
+        // Meio pixel de tolerância nas bordas
+        if (!(fx >= -0.5 && fy >= -0.5 && fx <= tile.width - 0.5 && fy <= tile.height - 0.5)) {
+            return NaN;
+        }
+        fx = Math.min(Math.max(fx, 0), tile.width - 1);
+        fy = Math.min(Math.max(fy, 0), tile.height - 1);
+
+        const c0 = Math.floor(fx), r0 = Math.floor(fy);
+        const c1 = Math.min(c0 + 1, tile.width - 1);
+        const r1 = Math.min(r0 + 1, tile.height - 1);
+        const tx = fx - c0, ty = fy - r0;
+
+        let sum = 0, weight = 0;
+        const add = (c, r, w) => {
+            const v = tile.data[r * tile.width + c];
+            if (w > 0 && isFinite(v) && v !== tile.noData) {
+                sum += v * w;
+                weight += w;
+            }
+        };
+        add(c0, r0, (1 - tx) * (1 - ty));
+        add(c1, r0, tx * (1 - ty));
+        add(c0, r1, (1 - tx) * ty);
+        add(c1, r1, tx * ty);
+
+        return weight > 0 ? sum / weight : NaN;
+    },
+
+    /**
+     * Aplica o DEM aos pontos da trilha.
+     *
+     * @param {number[][]} points - Array de [lon, lat, ele, time, ...]
+     * @param {Object[]} tiles
+     * @param {string} mode - 'fill' (só elevações ausentes) ou 'replace' (todas)
+     * @returns {Object} { points, sampled, outside } - pontos novos (os originais
+     *   não são alterados), quantos receberam elevação do DEM e quantos
+     *   precisavam mas ficaram fora dos tiles
+     */
+    apply(points, tiles, mode) {
+        let sampled = 0;
+        let outside = 0;
+
+        const result = PointBuffer.withColumn(points, 2, (i, p) => {
+            if (mode === 'fill' && isFinite(p[2])) return p[2];
+
+            const ele = this.elevation(tiles, p[0], p[1]);
+            if (isFinite(ele)) {
+                sampled++;
+                return ele;
+            }
+            outside++;
+            return p[2];
+        });
+
+        return { points: result, sampled, outside };
+    },
+
+    /**
+     * Texto curto de um tile (ex.: "N45W123.hgt · 3601 × 3601 · 1″").
+     * @param {Object} tile
+     * @returns {string}
+     */
+    describe(tile) {
+        const arcsec = Math.round(tile.dx * 3600 * 10) / 10;
+        return `${tile.name} · ${tile.width} × ${tile.height} · ${arcsec.toLocaleString('pt-BR')}″`;
+    },
+
+    // ============================================================
+    // SRTM .hgt
+    // ============================================================
+
+    /**
+     * Tile SRTM: grade quadrada de inteiros de 16 bits big-endian, cobrindo
+     * 1° × 1°. A posição vem do nome (canto sudoeste, ex.: S23W044.hgt).
+     * @private
+     */
+    _parseHGT(fileName, buffer) {
+        const match = /([NS])(\d{1,2})([EW])(\d{1,3})/i.exec(fileName);
+        if (!match) {
+            throw new Error(`Nome do arquivo .hgt sem a posição do tile (ex.: S23W044.hgt): ${fileName}`);
+        }
+
+        const size = Math.round(Math.sqrt(buffer.byteLength / 2));
+        if (size < 2 || size * size * 2 !== buffer.byteLength) {
+            throw new Error(`Tamanho inválido para um tile .hgt: ${fileName}`);
+        }
+
+        const lat = parseInt(match[2]) * (match[1].toUpperCase() === 'S' ? -1 : 1);
+        const lon = parseInt(match[4]) * (match[3].toUpperCase() === 'W' ? -1 : 1);
+
+        const view = new DataView(buffer);
+        const data = new Float32Array(size * size);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = view.getInt16(i * 2, false);
+        }
+
+        return {
+            name: fileName,
+            width: size,
+            height: size,
+            x0: lon,
+            y0: lat + 1,
+            dx: 1 / (size - 1),
+            dy: 1 / (size - 1),
+            data,
+            noData: this.HGT_NODATA
+        };
+    },
+
+    // ============================================================
+    // GeoTIFF
+    // ============================================================
+
+    /**
+     * GeoTIFF de uma banda em WGS84 (lon/lat), sem compressão, LZW ou
+     * Deflate, em faixas ou blocos.
+     * @private
+     */
+    _parseTIFF(fileName, buffer) {
+        const view = new DataView(buffer);
+        const order = view.getUint16(0);
+        if (order !== 0x4949 && order !== 0x4D4D) {
+            throw new Error(`Arquivo não é um GeoTIFF: ${fileName}`);
+        }
+        const le = order === 0x4949;
+        if (view.getUint16(2, le) !== 42) {
+            throw new Error('BigTIFF não é suportado. Converta para GeoTIFF comum.');
+        }
+
+        const tags = this._readIFD(view, view.getUint32(4, le), le);
+        const T = this.TIFF_TAGS;
+        const first = (tag, fallback) => tags[tag] ? tags[tag][0] : fallback;
+
+        const width = first(T.width);
+        const height = first(T.height);
+        const bits = first(T.bitsPerSample, 1);
+        const format = first(T.sampleFormat, 1);
+        const compression = first(T.compression, 1);
+        const predictor = first(T.predictor, 1);
+
+        if (first(T.samplesPerPixel, 1) !== 1) {
+            throw new Error('O GeoTIFF deve ter uma única banda de elevação.');
+        }
+        if (!this._sampleReader(bits, format)) {
+            throw new Error(`Tipo de pixel não suportado no GeoTIFF (${bits} bits).`);
+        }
+        if (![1, 5, 8, 32946].includes(compression)) {
+            throw new Error('Compressão do GeoTIFF não suportada (use nenhuma, LZW ou Deflate).');
+        }
+        if (predictor !== 1 && predictor !== 2) {
+            throw new Error('Preditor de ponto flutuante do GeoTIFF não é suportado.');
+        }
+
+        const georef = this._georeference(tags);
+        if (!georef) {
+            throw new Error('GeoTIFF sem georreferenciamento, ou não está em lon/lat (WGS84).');
+        }
+
+        // Faixas (strips) são blocos com a largura da imagem
+        const tiled = !!tags[T.tileOffsets];
+        const blockW = tiled ? first(T.tileWidth) : width;
+        const blockH = tiled ? first(T.tileHeight) : Math.min(first(T.rowsPerStrip, height), height);
+        const offsets = tags[tiled ? T.tileOffsets : T.stripOffsets];
+        const counts = tags[tiled ? T.tileByteCounts : T.stripByteCounts];
+        const across = Math.ceil(width / blockW);
+
+        const data = new Float32Array(width * height);
+        const noData = tags[T.noData] ? parseFloat(tags[T.noData]) : NaN;
+
+        const blocks = offsets.map((offset, i) => {
+            const raw = new Uint8Array(buffer, offset, counts[i]);
+            const size = blockW * blockH * bits / 8;
+            return this._decompress(compression, raw, size).then(bytes => {
+                const values = this._readSamples(bytes, blockW * blockH, bits, format, le);
+                if (predictor === 2) this._undoPredictor(values, blockW, bits, format);
+
+                const bx = (i % across) * blockW;
+                const by = Math.floor(i / across) * blockH;
+                for (let r = 0; r < blockH && by + r < height; r++) {
+                    for (let c = 0; c < blockW && bx + c < width; c++) {
+                        data[(by + r) * width + bx + c] = values[r * blockW + c];
+                    }
+                }
+            });
+        });
+
+        return Promise.all(blocks).then(() => Object.assign({
+            name: fileName,
+            width,
+            height,
+            data,
+            noData: isFinite(noData) ? Math.fround(noData) : NaN
+        }, georef));
+    },
+
+    /**
+     * Lê o primeiro IFD: { tag: valores[] } (texto para campos ASCII).
+     * @private
+     */
+    _readIFD(view, offset, le) {
+        const tags = {};
+        const count = view.getUint16(offset, le);
+
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            const tag = view.getUint16(entry, le);
+            const type = view.getUint16(entry + 2, le);
+            const n = view.getUint32(entry + 4, le);
+            const size = this.TIFF_TYPE_SIZES[type] || 1;
+            const pos = n * size <= 4 ? entry + 8 : view.getUint32(entry + 8, le);
+
+            const values = [];
+            for (let k = 0; k < n; k++) {
+                const p = pos + k * size;
+                switch (type) {
+                    case 3: values.push(view.getUint16(p, le)); break;
+                    case 4: values.push(view.getUint32(p, le)); break;
+                    case 8: values.push(view.getInt16(p, le)); break;
+                    case 9: values.push(view.getInt32(p, le)); break;
+                    case 11: values.push(view.getFloat32(p, le)); break;
+                    case 12: values.push(view.getFloat64(p, le)); break;
+                    default: values.push(view.getUint8(p));
+                }
+            }
+
+            tags[tag] = type === 2
+                ? String.fromCharCode(...values).replace(/\0+$/, '')
+                : values;
+        }
+
+        return tags;
+    },
+
+    /**
+     * Posição do centro do primeiro pixel e tamanho do pixel, a partir de
+     * ModelPixelScale + ModelTiepoint (ou ModelTransformation).
+     * Retorna null se a imagem não estiver em coordenadas geográficas.
+     * @private
+     */
+    _georeference(tags) {
+        const T = this.TIFF_TAGS;
+
+        // GeoKeys: 1024 = tipo do modelo (2 = geográfico), 1025 = PixelIsArea/Point
+        let modelType = 2;
+        let pixelIsPoint = false;
+        const keys = tags[T.geoKeys];
+        if (keys) {
+            for (let i = 4; i + 3 < keys.length; i += 4) {
+                if (keys[i] === 1024 && keys[i + 1] === 0) modelType = keys[i + 3];
+                if (keys[i] === 1025 && keys[i + 1] === 0) pixelIsPoint = keys[i + 3] === 2;
+            }
+        }
+        if (modelType !== 2) return null;
+
+        let dx, dy, x, y, i = 0, j = 0;
+        if (tags[T.pixelScale] && tags[T.tiepoint]) {
+            [dx, dy] = tags[T.pixelScale];
+            [i, j, , x, y] = tags[T.tiepoint];
+        } else if (tags[T.transformation]) {
+            const m = tags[T.transformation];
+            if (m[1] !== 0 || m[4] !== 0) return null; // imagem rotacionada
+            dx = m[0];
+            dy = -m[5];
+            x = m[3];
+            y = m[7];
+        } else {
+            return null;
+        }
+
+        if (!(dx > 0 && dy > 0) || Math.abs(x) > 360 || Math.abs(y) > 90) return null;
+
+        const half = pixelIsPoint ? 0 : 0.5;
+        return {
+            x0: x + (half - i) * dx,
+            y0: y - (half - j) * dy,
+            dx,
+            dy
+        };
+    },
+
+    /** @private */
+    _sampleReader(bits, format) {
+        const readers = {
+            '8:1': 'getUint8', '8:2': 'getInt8',
+            '16:1': 'getUint16', '16:2': 'getInt16',
+            '32:1': 'getUint32', '32:2': 'getInt32', '32:3': 'getFloat32',
+            '64:3': 'getFloat64'
+        };
+        return readers[bits + ':' + format] || null;
+    },
+
+    /** @private */
+    _readSamples(bytes, count, bits, format, le) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const read = this._sampleReader(bits, format);
+        const step = bits / 8;
+        const n = Math.min(count, Math.floor(bytes.byteLength / step));
+        const values = new Float64Array(count);
+
+        for (let k = 0; k < n; k++) {
+            values[k] = view[read](k * step, le);
+        }
+        return values;
+    },
+
+    /**
+     * Desfaz o preditor horizontal (cada valor guardado como a diferença
+     * para o anterior na linha), com o estouro do tipo inteiro original.
+     * @private
+     */
+    _undoPredictor(values, rowWidth, bits, format) {
+        const range = 2 ** bits;
+        const wrap = format === 2
+            ? v => ((v + range / 2) % range + range) % range - range / 2
+            : v => (v % range + range) % range;
+
+        for (let start = 0; start < values.length; start += rowWidth) {
+            for (let k = start + 1; k < start + rowWidth; k++) {
+                values[k] = wrap(values[k] + values[k - 1]);
+            }
+        }
+    },
+
+    /**
+     * @returns {Promise<Uint8Array>} Bytes descomprimidos do bloco
+     * @private
+     */
+    _decompress(compression, raw, size) {
+        if (compression === 5) return Promise.resolve(this._lzw(raw, size));
+        if (compression === 8 || compression === 32946) {
+            const stream = new Blob([raw]).stream().pipeThrough(new DecompressionStream('deflate'));
+            return new Response(stream).arrayBuffer().then(buf => new Uint8Array(buf));
+        }
+        return Promise.resolve(raw);
+    },
+
+    /**
+     * Descompressão LZW do TIFF (códigos de 9 a 12 bits, MSB primeiro,
+     * com a troca de largura antecipada em um código).
+     * @private
+     */
+    _lzw(input, size) {
+        const out = new Uint8Array(size);
+        const prefix = new Int32Array(4096);
+        const suffix = new Uint8Array(4096);
+        const first = new Uint8Array(4096);
+        const length = new Uint16Array(4096);
+        for (let c = 0; c < 256; c++) {
+            suffix[c] = first[c] = c;
+            length[c] = 1;
+        }
+
+        let pos = 0, bit = 0, width = 9, next = 258, old = -1;
+
+        const read = () => {
+            let code = 0;
+            for (let k = 0; k < width; k++, bit++) {
+                code = (code << 1) | ((input[bit >> 3] >> (7 - (bit & 7))) & 1);
+            }
+            return code;
+        };
+        const emit = (code) => {
+            const len = length[code];
+            for (let k = len - 1, c = code; k >= 0; k--, c = prefix[c]) {
+                if (pos + k < size) out[pos + k] = suffix[c];
+            }
+            pos += len;
+        };
+        const add = (code, byte) => {
+            if (next >= 4096) return;
+            prefix[next] = code;
+            suffix[next] = byte;
+            first[next] = first[code];
+            length[next] = length[code] + 1;
+            next++;
+            if (next >= (1 << width) - 1 && width < 12) width++;
+        };
+
+        while (pos < size && bit + width <= input.length * 8) {
+            const code = read();
+            if (code === 257) break;
+            if (code === 256) {
+                width = 9;
+                next = 258;
+                old = -1;
+                continue;
+            }
+
+            if (old < 0) {
+                emit(code);
+            } else if (code < next) {
+                emit(code);
+                add(old, first[code]);
+            } else {
+                add(old, first[old]);
+                emit(next - 1);
+            }
+            old = code;
+        }
+
+        return out;
+    }
+};
@@ -0,0 +1,277 @@
+/**
+ * diagnostics.js - Diagnóstico dos pontos importados
+ *
+ * Verifica a trilha selecionada e gera um relatório estruturado:
+ * coordenadas inválidas, elevações ausentes, pontos duplicados,
+ * horários fora de ordem e saltos muito grandes. Cada problema tem
+ * uma correção que pode ser aplicada com um clique.
+ */
+
+const Diagnostics = {
+
+    // Salto suspeito: velocidade acima disso (m/s) quando há horários...
+    JUMP_SPEED: 100,
+    // ...ou distância acima disso (m) entre pontos consecutivos sem horário
+    JUMP_DISTANCE: 2000,
+
+    // Tipos de problema, na ordem em que aparecem no relatório
+    ISSUES: {
+        invalidCoords: {
+            severity: 'error',
+            title: 'pontos com coordenadas inválidas',
+            fix: 'Remover'
+        },
+        noElevation: {
+            severity: 'error',
+            title: 'pontos sem elevação (arquivo sem dados de elevação)',
+            fix: 'Usar elevação padrão'
+        },
+        missingElevation: {
+            severity: 'error',
+            title: 'pontos sem elevação',
+            fix: 'Interpolar'
+        },
+        duplicates: {
+            severity: 'warning',
+            title: 'pontos duplicados',
+            fix: 'Remover'
+        },
+        timeOrder: {
+            severity: 'warning',
+            title: 'pontos com horário fora de ordem',
+            fix: 'Ordenar'
+        },
+        jumps: {
+            severity: 'warning',
+            title: 'saltos muito grandes entre pontos',
+            fix: 'Corrigir'
+        }
+    },
+
+    /**
+     * Analisa os pontos e retorna a lista de problemas encontrados.
+     *
+     * @param {number[][]} points - Array de [lon, lat, ele, time, ...]
+     * @param {number[]} breaks - Índices onde começa um novo segmento
+     * @returns {Object} { issues: [{ id, severity, count, title, fix }], errors }
+     */
+    analyze(points, breaks) {
+        const counts = {
+            invalidCoords: 0,
+            noElevation: 0,
+            missingElevation: 0,
+            duplicates: 0,
+            timeOrder: 0,
+            jumps: this._findJumps(points, breaks).length
+        };
+
+        const starts = new Set(breaks);
+        let withElevation = 0;
+        let lastTime = NaN;
+
+        points.forEach((p, i) => {
+            if (!this._validCoord(p)) counts.invalidCoords++;
+            if (isFinite(p[2])) withElevation++;
+
+            if (starts.has(i)) lastTime = NaN;
+            if (isFinite(p[3])) {
+                if (p[3] < lastTime) counts.timeOrder++;
+                else lastTime = p[3];
+            }
+
+            if (i > 0 && !starts.has(i) && this._same(points[i - 1], p)) counts.duplicates++;
+        });
+
+        const missing = points.length - withElevation;
+        if (withElevation === 0) counts.noElevation = missing;
+        else counts.missingElevation = missing;
+
+        const issues = Object.keys(this.ISSUES)
+            .filter(id => counts[id] > 0)
+            .map(id => Object.assign({ id, count: counts[id] }, this.ISSUES[id]));
+
+        return {
+            issues,
+            errors: issues.filter(issue => issue.severity === 'error').length
+        };
+    },
+
+    /**
+     * Aplica a correção de um tipo de problema.
+     *
+     * @param {string} id - Chave de ISSUES
+     * @param {number[][]} points
+     * @param {number[]} breaks
+     * @param {Object} [options] - { defaultElevation }
+     * @returns {Object} { points, breaks } novos (os originais não são alterados)
+     */
+    fix(id, points, breaks, options = {}) {
+        switch (id) {
+            case 'invalidCoords':
+                return this._filter(points, breaks, p => this._validCoord(p));
+
+            case 'noElevation':
+                return {
+                    points: this._withElevation(points, () => options.defaultElevation ?? 1),
+                    breaks: breaks.slice()
+                };
+
+            case 'missingElevation':
+                return { points: this._interpolateElevation(points), breaks: breaks.slice() };
+
+            case 'duplicates': {
+                const starts = new Set(breaks);
+                return this._filter(points, breaks,
+                    (p, i) => i === 0 || starts.has(i) || !this._same(points[i - 1], p));
+            }
+
+            case 'timeOrder':
+                return { points: this._sortByTime(points, breaks), breaks: breaks.slice() };
+
+            case 'jumps':
+                return this._fixJumps(points, breaks);
+        }
+
+        return { points, breaks };
+    },
+
+    /** @private */
+    _validCoord(p) {
+        return isFinite(p[0]) && isFinite(p[1]) &&
+            Math.abs(p[0]) <= 180 && Math.abs(p[1]) <= 90;
+    },
+
+    /**
+     * Pontos idênticos (mesma posição, elevação e horário).
+     * @private
+     */
+    _same(a, b) {
+        const eq = (x, y) => x === y || (isNaN(x) && isNaN(y));
+        return eq(a[0], b[0]) && eq(a[1], b[1]) && eq(a[2], b[2]) && eq(a[3], b[3]);
+    },
+
+    /**
+     * Mantém apenas os pontos aceitos por `keep`, remapeando os breaks.
+     * @private
+     */
+    _filter(points, breaks, keep) {
+        const kept = [];
+        const newIndex = new Int32Array(points.length + 1);
+
+        points.forEach((p, i) => {
+            newIndex[i] = kept.length;
+            if (keep(p, i)) kept.push(p);
+        });
+        newIndex[points.length] = kept.length;
+
+        const newBreaks = [];
+        for (const b of breaks) {
+            const nb = newIndex[b];
+            if (nb > 0 && nb < kept.length && newBreaks[newBreaks.length - 1] !== nb) newBreaks.push(nb);
+        }
+
+        return { points: kept, breaks: newBreaks };
+    },
+
+    /** @private */
+    _withElevation(points, eleAt) {
+        return PointBuffer.withColumn(points, 2, eleAt);
+    },
+
+    /**
+     * Preenche elevações ausentes interpolando entre os vizinhos válidos
+     * (ou repetindo o mais próximo nas pontas).
+     * @private
+     */
+    _interpolateElevation(points) {
+        const eles = Float64Array.from(points, p => p[2]);
+        let last = -1;
+
+        for (let i = 0; i < eles.length; i++) {
+            if (!isFinite(eles[i])) continue;
+            if (last < 0) {
+                eles.fill(eles[i], 0, i);
+            } else {
+                for (let j = last + 1; j < i; j++) {
+                    eles[j] = eles[last] + (eles[i] - eles[last]) * (j - last) / (i - last);
+                }
+            }
+            last = i;
+        }
+        if (last >= 0) eles.fill(eles[last], last + 1);
+
+        return this._withElevation(points, i => eles[i]);
+    },
+
+    /**
+     * Ordena cada segmento pelo horário. Pontos sem horário ficam
+     * logo após o ponto que os precedia.
+     * @private
+     */
+    _sortByTime(points, breaks) {
+        const bounds = [0].concat(breaks, [points.length]);
+        const result = [];
+
+        for (let k = 0; k + 1 < bounds.length; k++) {
+            let key = -Infinity;
+            const seg = points.slice(bounds[k], bounds[k + 1]).map((p, i) => {
+                if (isFinite(p[3])) key = p[3];
+                return { p, key, i };
+            });
+            seg.sort((a, b) => (a.key - b.key) || (a.i - b.i));
+            for (const item of seg) result.push(item.p);
+        }
+
+        return result;
+    },
+
+    /**
+     * Índices i onde o trecho (i - 1 → i) é um salto suspeito.
+     * @private
+     */
+    _findJumps(points, breaks) {
+        const starts = new Set(breaks);
+        const jumps = [];
+
+        for (let i = 1; i < points.length; i++) {
+            if (starts.has(i) || !this._isJump(points[i - 1], points[i])) continue;
+            jumps.push(i);
+        }
+
+        return jumps;
+    },
+
+    /** @private */
+    _isJump(a, b) {
+        if (!this._validCoord(a) || !this._validCoord(b)) return false;
+
+        const d = distVincenty(a[1], a[0], b[1], b[0]);
+        const dt = (b[3] - a[3]) / 1000;
+        if (dt > 0) return d / dt > this.JUMP_SPEED;
+        return d > this.JUMP_DISTANCE;
+    },
+
+    /**
+     * Um ponto isolado que salta e volta (ida e volta) é removido;
+     * os demais saltos viram o início de um novo segmento.
+     * @private
+     */
+    _fixJumps(points, breaks) {
+        const jumps = new Set(this._findJumps(points, breaks));
+        const spikes = new Set();
+        const newBreaks = new Set(breaks);
+
+        for (const i of jumps) {
+            if (spikes.has(i - 1)) continue; // volta de um pico já removido
+
+            if (jumps.has(i + 1) && !this._isJump(points[i - 1], points[i + 1])) {
+                spikes.add(i);
+            } else {
+                newBreaks.add(i);
+            }
+        }
+
+        return this._filter(points, Array.from(newBreaks).sort((a, b) => a - b),
+            (p, i) => !spikes.has(i));
+    }
+};
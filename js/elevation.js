@@ -0,0 +1,179 @@
+/**
+ * elevation.js - Limpeza dos dados de elevação
+ *
+ * Remove picos isolados (ex.: leituras erradas do barômetro), suaviza o
+ * perfil por uma janela em metros e calcula ganho/perda com um limiar
+ * (histerese), para que pequenas oscilações não sejam somadas.
+ * Os pontos limpos alimentam o painel de informações e o gerador do modelo.
+ */
+
+const Elevation = {
+
+    // Valores padrão (metros)
+    DEFAULTS: {
+        spikeThreshold: 20,   // Desvio da mediana local para considerar pico
+        smoothWindow: 50,     // Largura da janela de suavização (0 = desligada)
+        gainThreshold: 5      // Variação mínima contada no ganho/perda
+    },
+
+    // Pontos vizinhos de cada lado usados na mediana local
+    SPIKE_RADIUS: 2,
+
+    /**
+     * Retorna uma cópia dos pontos com a elevação limpa.
+     * Pontos sem elevação válida são mantidos como estão.
+     *
+     * @param {number[][]} points - Array de [lon, lat, ele, time, ...sensores]
+     * @param {Object} [options] - { spikeThreshold, smoothWindow }
+     * @returns {Float64Array[]} Novos pontos (views de um PointBuffer), com
+     *   os demais valores preservados
+     */
+    clean(points, options = {}) {
+        const opts = Object.assign({}, this.DEFAULTS, options);
+        let eles = Float64Array.from(points, p => p[2]);
+
+        if (opts.spikeThreshold > 0) {
+            eles = this.removeSpikes(eles, opts.spikeThreshold);
+        }
+        if (opts.smoothWindow > 0) {
+            eles = this.smooth(eles, this._cumulativeDistance(points), opts.smoothWindow);
+        }
+
+        return PointBuffer.withColumn(points, 2, i => eles[i]);
+    },
+
+    /**
+     * Substitui pela mediana local os valores que se afastam dela mais
+     * que o limiar (filtro de Hampel simplificado).
+     *
+     * @param {Float64Array} eles - Elevações
+     * @param {number} threshold - Desvio máximo em metros
+     * @returns {Float64Array} Novas elevações
+     */
+    removeSpikes(eles, threshold) {
+        const out = Float64Array.from(eles);
+        const r = this.SPIKE_RADIUS;
+        const window = [];
+
+        for (let i = 0; i < eles.length; i++) {
+            if (!isFinite(eles[i])) continue;
+
+            window.length = 0;
+            for (let j = Math.max(0, i - r); j <= Math.min(eles.length - 1, i + r); j++) {
+                if (isFinite(eles[j])) window.push(eles[j]);
+            }
+            window.sort((a, b) => a - b);
+
+            const median = window[window.length >> 1];
+            if (Math.abs(eles[i] - median) > threshold) out[i] = median;
+        }
+
+        return out;
+    },
+
+    /**
+     * Média móvel ponderada pela distância percorrida: cada ponto recebe
+     * a média das elevações a até `window / 2` metros dele.
+     *
+     * @param {Float64Array} eles - Elevações
+     * @param {Float64Array} dist - Distância acumulada de cada ponto (m)
+     * @param {number} window - Largura da janela (m)
+     * @returns {Float64Array} Novas elevações
+     */
+    smooth(eles, dist, window) {
+        const n = eles.length;
+        const out = Float64Array.from(eles);
+        const half = window / 2;
+
+        // Somas acumuladas apenas dos valores válidos
+        const sum = new Float64Array(n + 1);
+        const count = new Uint32Array(n + 1);
+        for (let i = 0; i < n; i++) {
+            const ok = isFinite(eles[i]);
+            sum[i + 1] = sum[i] + (ok ? eles[i] : 0);
+            count[i + 1] = count[i] + (ok ? 1 : 0);
+        }
+
+        for (let i = 0, lo = 0, hi = 0; i < n; i++) {
+            if (!isFinite(eles[i])) continue;
+            while (dist[i] - dist[lo] > half) lo++;
+            if (hi < i) hi = i;
+            while (hi + 1 < n && dist[hi + 1] - dist[i] <= half) hi++;
+
+            const c = count[hi + 1] - count[lo];
+            if (c > 0) out[i] = (sum[hi + 1] - sum[lo]) / c;
+        }
+
+        return out;
+    },
+
+    /**
+     * Ganho e perda acumulados com histerese: a elevação de referência só
+     * muda quando a variação em relação a ela atinge o limiar.
+     *
+     * @param {number[][]} points - Array de [lon, lat, ele, ...]
+     * @param {number} threshold - Variação mínima em metros (0 = soma tudo)
+     * @returns {Object} { totalGain, totalLoss }
+     */
+    gainLoss(points, threshold) {
+        let ref = NaN;
+        let totalGain = 0;
+        let totalLoss = 0;
+
+        for (const p of points) {
+            const ele = p[2];
+            if (!isFinite(ele)) continue;
+            if (!isFinite(ref)) {
+                ref = ele;
+                continue;
+            }
+
+            const diff = ele - ref;
+            if (diff >= threshold && diff > 0) {
+                totalGain += diff;
+                ref = ele;
+            } else if (-diff >= threshold && diff < 0) {
+                totalLoss -= diff;
+                ref = ele;
+            }
+        }
+
+        return { totalGain, totalLoss };
+    },
+
+    /**
+     * Estatísticas de elevação (mín., máx., ganho e perda com limiar).
+     *
+     * @param {number[][]} points - Array de [lon, lat, ele, ...]
+     * @param {number} gainThreshold - Limiar do ganho/perda (m)
+     * @returns {Object} { minElevation, maxElevation, totalGain, totalLoss }
+     */
+    stats(points, gainThreshold) {
+        let minElevation = Infinity;
+        let maxElevation = -Infinity;
+
+        for (const p of points) {
+            if (p[2] < minElevation) minElevation = p[2];
+            if (p[2] > maxElevation) maxElevation = p[2];
+        }
+
+        return Object.assign({ minElevation, maxElevation }, this.gainLoss(points, gainThreshold));
+    },
+
+    /**
+     * Distância acumulada aproximada (equirretangular local), suficiente
+     * para dimensionar a janela de suavização.
+     * @private
+     */
+    _cumulativeDistance(points) {
+        const dist = new Float64Array(points.length);
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1], b = points[i];
+            const kx = 111320 * Math.cos((a[1] + b[1]) * Math.PI / 360);
+            const dx = (b[0] - a[0]) * kx;
+            const dy = (b[1] - a[1]) * 110540;
+            dist[i] = dist[i - 1] + Math.sqrt(dx * dx + dy * dy);
+        }
+        return dist;
+    }
+};
@@ -0,0 +1,258 @@
+/**
+ * font.js - Fonte vetorial embutida para textos no modelo
+ *
+ * Estilo de mostrador de 16 segmentos: cada caractere é um conjunto de
+ * segmentos convexos separados por uma pequena folga, de modo que cada
+ * um vira um prisma próprio (relevo) ou um rebaixo simples (gravado),
+ * sem operações booleanas entre sólidos.
+ */
+
+const VectorFont = {
+
+    // Caixa do caractere em unidades da fonte (altura = altura das maiúsculas)
+    WIDTH: 7,
+    HEIGHT: 9,
+
+    // Espessura do segmento, folga entre segmentos e espaço entre caracteres
+    STROKE: 1,
+    GAP: 0.2,
+    SPACING: 1.5,
+
+    // Distância entre linhas, em alturas de caractere
+    LINE_SPACING: 1.5,
+
+    // Segmentos de cada caractere:
+    // T1/T2 topo, M1/M2 meio e B1/B2 base (esquerda/direita);
+    // UL/LL esquerda, UR/LR direita e CU/CL centro (superior/inferior);
+    // DUL/DUR/DLL/DLR diagonais do centro aos cantos
+    GLYPHS: {
+        '0': 'T1 T2 UL LL UR LR B1 B2 DUR DLL',
+        '1': 'UR LR',
+        '2': 'T1 T2 UR M1 M2 LL B1 B2',
+        '3': 'T1 T2 UR M2 LR B1 B2',
+        '4': 'UL M1 M2 UR LR',
+        '5': 'T1 T2 UL M1 M2 LR B1 B2',
+        '6': 'T1 T2 UL LL M1 M2 LR B1 B2',
+        '7': 'T1 T2 UR LR',
+        '8': 'T1 T2 UL UR M1 M2 LL LR B1 B2',
+        '9': 'T1 T2 UL UR M1 M2 LR B1 B2',
+        'A': 'T1 T2 UL UR M1 M2 LL LR',
+        'B': 'T1 T2 UR LR B1 B2 CU CL M2',
+        'C': 'T1 T2 UL LL B1 B2',
+        'D': 'T1 T2 UR LR B1 B2 CU CL',
+        'E': 'T1 T2 UL LL M1 B1 B2',
+        'F': 'T1 T2 UL LL M1',
+        'G': 'T1 T2 UL LL B1 B2 LR M2',
+        'H': 'UL LL UR LR M1 M2',
+        'I': 'T1 T2 CU CL B1 B2',
+        'J': 'UR LR B1 B2 LL',
+        'K': 'UL LL M1 DUR DLR',
+        'L': 'UL LL B1 B2',
+        'M': 'UL LL UR LR DUL DUR',
+        'N': 'UL LL UR LR DUL DLR',
+        'O': 'T1 T2 UL LL UR LR B1 B2',
+        'P': 'T1 T2 UL LL UR M1 M2',
+        'Q': 'T1 T2 UL LL UR LR B1 B2 DLR',
+        'R': 'T1 T2 UL LL UR M1 M2 DLR',
+        'S': 'T1 T2 UL M1 M2 LR B1 B2',
+        'T': 'T1 T2 CU CL',
+        'U': 'UL LL UR LR B1 B2',
+        'V': 'UL LL DLL DUR',
+        'W': 'UL LL UR LR DLL DLR',
+        'X': 'DUL DUR DLL DLR',
+        'Y': 'DUL DUR CL',
+        'Z': 'T1 T2 DUR DLL B1 B2',
+        '-': 'M1 M2',
+        '+': 'M1 M2 CU CL',
+        '=': 'M1 M2 B1 B2',
+        '_': 'B1 B2',
+        '/': 'DUR DLL',
+        '(': 'DUR DLR',
+        ')': 'DUL DLL',
+        '<': 'DUR DLR',
+        '>': 'DUL DLL',
+        '*': 'DUL DUR DLL DLR CU CL M1 M2',
+        '?': 'T1 T2 UR M2 CL',
+        ' ': ''
+    },
+
+    // Caracteres estreitos, desenhados direto como retângulos [x0, y0, x1, y1]
+    NARROW: {
+        '.': [[0, 0, 1, 1]],
+        ',': [[0, -0.5, 1, 1]],
+        ':': [[0, 1.5, 1, 2.5], [0, 5.5, 1, 6.5]],
+        ';': [[0, 1, 1, 2.5], [0, 5.5, 1, 6.5]],
+        "'": [[0, 6.5, 1, 9]],
+        '!': [[0, 0, 1, 1], [0, 2, 1, 9]],
+        '|': [[0, 0, 1, 9]]
+    },
+
+    _cache: {},
+
+    /**
+     * Normaliza o texto para os caracteres da fonte: maiúsculas sem acentos.
+     * Caracteres sem desenho viram espaço.
+     * @param {string} text
+     * @returns {string}
+     */
+    normalize(text) {
+        return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase()
+            .replace(/[^\n]/g, c => (c in this.GLYPHS || c in this.NARROW) ? c : ' ');
+    },
+
+    /**
+     * Polígonos do texto, uma linha abaixo da outra e cada linha centralizada.
+     *
+     * @param {string} text - Texto (linhas separadas por \n)
+     * @param {number} height - Altura das maiúsculas em mm
+     * @returns {Object} { polygons: number[][][] (convexos, anti-horários),
+     *   width, height } com o bloco em [0, width] x [0, height]
+     */
+    layout(text, height) {
+        const s = height / this.HEIGHT;
+        const lines = this.normalize(text).split('\n').map(l => l.trim());
+        const widths = lines.map(l => this._lineWidth(l));
+        const width = Math.max(0, ...widths);
+        const lead = this.HEIGHT * this.LINE_SPACING;
+        const total = this.HEIGHT + lead * (lines.length - 1);
+        const polygons = [];
+
+        lines.forEach((line, i) => {
+            let x = (width - widths[i]) / 2;
+            const y = total - this.HEIGHT - i * lead;
+
+            for (const c of line) {
+                for (const poly of this._glyph(c)) {
+                    polygons.push(poly.map(p => [(x + p[0]) * s, (y + p[1]) * s]));
+                }
+                x += this._advance(c);
+            }
+        });
+
+        return { polygons, width: width * s, height: total * s };
+    },
+
+    /**
+     * Largura de uma linha em unidades da fonte (sem o espaço após o último caractere).
+     * @private
+     */
+    _lineWidth(line) {
+        let w = 0;
+        for (const c of line) w += this._advance(c);
+        return Math.max(0, w - this.SPACING);
+    },
+
+    /** @private */
+    _advance(c) {
+        const narrow = this.NARROW[c];
+        return (narrow ? Math.max(...narrow.map(r => r[2])) : this.WIDTH) + this.SPACING;
+    },
+
+    /**
+     * Polígonos de um caractere em unidades da fonte (com cache).
+     * @private
+     */
+    _glyph(c) {
+        if (this._cache[c]) return this._cache[c];
+
+        let polys;
+        if (this.NARROW[c]) {
+            polys = this.NARROW[c].map(([x0, y0, x1, y1]) => [[x0, y0], [x1, y0], [x1, y1], [x0, y1]]);
+        } else {
+            polys = (this.GLYPHS[c] || '').split(' ').filter(Boolean).map(name => this._segment(name));
+        }
+
+        this._cache[c] = polys;
+        return polys;
+    },
+
+    /**
+     * Polígono de um segmento. Os retos são hexágonos com pontas a 45°
+     * entre dois nós; as diagonais ocupam a célula entre os segmentos retos.
+     * @private
+     */
+    _segment(name) {
+        const h = this.STROKE / 2;
+        const l = h, r = this.WIDTH - h, c = this.WIDTH / 2;
+        const b = h, t = this.HEIGHT - h, m = this.HEIGHT / 2;
+
+        const straight = {
+            T1: [[l, t], [c, t]], T2: [[c, t], [r, t]],
+            M1: [[l, m], [c, m]], M2: [[c, m], [r, m]],
+            B1: [[l, b], [c, b]], B2: [[c, b], [r, b]],
+            UL: [[l, m], [l, t]], LL: [[l, b], [l, m]],
+            UR: [[r, m], [r, t]], LR: [[r, b], [r, m]],
+            CU: [[c, m], [c, t]], CL: [[c, b], [c, m]]
+        };
+        if (straight[name]) return this._bar(...straight[name]);
+
+        // Diagonal: faixa de canto a canto da célula, recortada na célula
+        // recuada da espessura e da folga
+        const e = h + this.GAP;
+        const cells = {
+            DUL: [l + e, m + e, c - e, t - e, true],
+            DUR: [c + e, m + e, r - e, t - e, false],
+            DLL: [l + e, b + e, c - e, m - e, false],
+            DLR: [c + e, b + e, r - e, m - e, true]
+        };
+        const [x0, y0, x1, y1, down] = cells[name];
+        const p = down ? [x0, y1] : [x0, y0];
+        const q = down ? [x1, y0] : [x1, y1];
+        const len = Math.hypot(q[0] - p[0], q[1] - p[1]);
+        const d = [(q[0] - p[0]) / len, (q[1] - p[1]) / len];
+        const n = [-d[1] * h, d[0] * h];
+        const band = [
+            [p[0] - d[0] - n[0], p[1] - d[1] - n[1]],
+            [q[0] + d[0] - n[0], q[1] + d[1] - n[1]],
+            [q[0] + d[0] + n[0], q[1] + d[1] + n[1]],
+            [p[0] - d[0] + n[0], p[1] - d[1] + n[1]]
+        ];
+
+        return this._clip(band, x0, y0, x1, y1);
+    },
+
+    /**
+     * Hexágono anti-horário ao longo do eixo p → q, encurtado pela folga.
+     * @private
+     */
+    _bar(p, q) {
+        const h = this.STROKE / 2;
+        const len = Math.hypot(q[0] - p[0], q[1] - p[1]);
+        const d = [(q[0] - p[0]) / len, (q[1] - p[1]) / len];
+        const n = [-d[1], d[0]];
+        const a = [p[0] + this.GAP * d[0], p[1] + this.GAP * d[1]];
+        const b = [q[0] - this.GAP * d[0], q[1] - this.GAP * d[1]];
+        const at = (o, u, v) => [o[0] + h * (u * d[0] + v * n[0]), o[1] + h * (u * d[1] + v * n[1])];
+
+        return [a, at(a, 1, -1), at(b, -1, -1), b, at(b, -1, 1), at(a, 1, 1)];
+    },
+
+    /**
+     * Recorta um polígono convexo no retângulo [x0, x1] x [y0, y1].
+     * @private
+     */
+    _clip(poly, x0, y0, x1, y1) {
+        const planes = [
+            [p => p[0] - x0, 0, x0], [p => x1 - p[0], 0, x1],
+            [p => p[1] - y0, 1, y0], [p => y1 - p[1], 1, y1]
+        ];
+
+        for (const [side, axis, value] of planes) {
+            const out = [];
+            poly.forEach((p, i) => {
+                const q = poly[(i + 1) % poly.length];
+                const sp = side(p), sq = side(q);
+                if (sp >= 0) out.push(p);
+                if ((sp >= 0) !== (sq >= 0)) {
+                    const k = sp / (sp - sq);
+                    const cut = [p[0] + k * (q[0] - p[0]), p[1] + k * (q[1] - p[1])];
+                    cut[axis] = value;
+                    out.push(cut);
+                }
+            });
+            poly = out;
+        }
+
+        return poly;
+    }
+};
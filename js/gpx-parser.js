@@ -1,198 +1,218 @@
 /**
- * gpx-parser.js - Parser de arquivos GPX
+ * gpx-parser.js - Resultado do parsing de trilhas
  *
- * Extrai dados de trilhas GPS incluindo coordenadas e elevação.
- * Fornece informações resumidas sobre a trilha (distância, elevação, etc.)
+ * Monta o resultado comum a todos os formatos (GPX em gpx-stream.js; TCX,
+ * KML, GeoJSON e FIT em importers.js): trilhas GPS (<trk>) e rotas
+ * planejadas (<rte>), a seleção entre elas e informações resumidas sobre
+ * a trilha (distância, elevação, etc.)
  */
 
 const GPXParser = {
 
+    // Velocidade mínima (m/s) para considerar um intervalo em movimento
+    MOVING_SPEED: 0.5,
+
     /**
-     * Faz o parsing de um arquivo GPX (como texto XML).
-     * Retorna objeto com pontos da trilha e metadados.
+     * Converte texto em documento XML, verificando erros de parsing.
      *
-     * @param {string} gpxText - Conteúdo do arquivo GPX como string
-     * @param {boolean} forceElevation - Se deve forçar elevação padrão
-     * @param {number} defaultElevation - Elevação padrão quando ausente
-     * @returns {Object} { points, info, error }
+     * @param {string} text - Conteúdo XML
+     * @returns {Object} { xmlDoc, error }
      */
-    parse(gpxText, forceElevation = false, defaultElevation = 1) {
-        const result = { points: null, info: null, error: null };
-
-        // Converter texto em documento XML
-        let xmlDoc;
+    readXML(text) {
         try {
             const parser = new DOMParser();
-            xmlDoc = parser.parseFromString(gpxText, 'text/xml');
+            const xmlDoc = parser.parseFromString(text, 'text/xml');
 
             // Verificar erros de parsing
             const parseError = xmlDoc.querySelector('parsererror');
             if (parseError) {
-                result.error = 'O arquivo não é um XML válido.';
-                return result;
+                return { xmlDoc: null, error: 'O arquivo não é um XML válido.' };
             }
+            return { xmlDoc, error: null };
         } catch (e) {
-            result.error = 'Erro ao processar o arquivo GPX.';
-            return result;
+            return { xmlDoc: null, error: 'Erro ao processar o arquivo.' };
         }
+    },
+
+    /**
+     * Monta o resultado do parsing a partir das trilhas já extraídas,
+     * selecionando por padrão a primeira trilha com pontos suficientes.
+     * Usado pelo parser GPX (gpx-stream.js) e pelos importadores (importers.js).
+     *
+     * @param {Object[]} tracks - Entradas criadas por `trackEntry`
+     * @param {Object[]} waypoints - Lista de { name, sym, lon, lat, ele }
+     * @param {string} title - Nome do arquivo (metadados)
+     * @param {string} emptyError - Mensagem quando não há trilhas
+     * @returns {Object} { points, breaks, info, tracks, waypoints, selected, title, error }
+     */
+    buildResult(tracks, waypoints, title, emptyError) {
+        const result = { points: null, breaks: [], info: null, tracks: null, waypoints: [], selected: [], title: '', error: null };
 
-        // Extrair tracks
-        const tracks = xmlDoc.getElementsByTagName('trk');
         if (tracks.length === 0) {
-            result.error = 'Este arquivo não contém nenhuma trilha (track). Verifique se é um arquivo GPX válido.';
+            result.error = emptyError;
             return result;
         }
 
-        // Usar o primeiro track
-        const track = tracks[0];
-        const points = this._parseTrack(track, forceElevation, defaultElevation);
+        // Selecionar por padrão a primeira trilha com pontos suficientes
+        let first = tracks.findIndex(t => t.totalPoints >= 2);
+        if (first < 0) first = 0;
 
-        if (points.length < 2) {
-            result.error = 'A trilha não contém pontos suficientes (mínimo: 2).';
+        result.title = title || '';
+        const selection = this.select(tracks, [first], result.title);
+        if (selection.error) {
+            result.error = selection.error;
             return result;
         }
 
-        // Calcular informações da trilha
-        const info = this._calculateInfo(points, track);
-
-        result.points = points;
-        result.info = info;
+        result.tracks = tracks;
+        result.waypoints = waypoints;
+        result.selected = [first];
+        result.points = selection.points;
+        result.breaks = selection.breaks;
+        result.info = selection.info;
         return result;
     },
 
     /**
-     * Faz o parsing de um arquivo GPX a partir de um documento XML.
-     * Compatibilidade com o fluxo original (XMLHttpRequest).
+     * Combina uma ou mais trilhas/rotas em uma única lista de pontos,
+     * na ordem em que aparecem no arquivo. Cada trilha (e cada segmento
+     * <trkseg>) começa um novo trecho, registrado em `breaks`.
      *
-     * @param {Document} xmlDoc - Documento XML
-     * @param {boolean} forceElevation
-     * @param {number} defaultElevation
-     * @returns {number[][]|null} Array de [lon, lat, ele] ou null se erro
+     * @param {Object[]} tracks - Lista `tracks` de `buildResult`
+     * @param {number[]} indices - Índices das trilhas selecionadas
+     * @param {string} [fallbackName] - Nome usado quando há várias trilhas
+     * @returns {Object} { points, breaks, info, error }
      */
-    parseXML(xmlDoc, forceElevation = false, defaultElevation = 1) {
-        const tracks = xmlDoc.getElementsByTagName('trk');
-        if (tracks.length === 0) return null;
+    select(tracks, indices, fallbackName) {
+        const result = { points: null, breaks: [], info: null, error: null };
+        const chosen = indices.slice().sort((a, b) => a - b)
+            .map(i => tracks[i])
+            .filter(Boolean);
 
-        const points = this._parseTrack(tracks[0], forceElevation, defaultElevation);
-        return points.length >= 2 ? points : null;
-    },
+        if (chosen.length === 0) {
+            result.error = 'Selecione pelo menos uma trilha ou rota.';
+            return result;
+        }
 
-    /**
-     * Extrai pontos de um elemento track.
-     * Concatena todos os segmentos em uma única lista.
-     *
-     * @private
-     * @param {Element} track - Elemento <trk> do XML
-     * @param {boolean} forceElevation
-     * @param {number} defaultElevation
-     * @returns {number[][]} Array de [lon, lat, ele]
-     */
-    _parseTrack(track, forceElevation, defaultElevation) {
-        const segments = track.getElementsByTagName('trkseg');
-        let allPoints = [];
+        const points = [];
+        const breaks = [];
+        for (const track of chosen) {
+            if (points.length > 0 && track.points.length > 0) breaks.push(points.length);
+            for (const b of track.breaks) breaks.push(points.length + b);
+            for (const pt of track.points) points.push(pt);
+        }
+
+        if (points.length < 2) {
+            result.error = 'A trilha não contém pontos suficientes (mínimo: 2).';
+            return result;
+        }
 
-        for (let i = 0; i < segments.length; i++) {
-            const segPoints = this._parseSegment(segments[i], forceElevation, defaultElevation);
-            allPoints = allPoints.concat(segPoints);
+        let name = chosen[0].name;
+        if (chosen.length > 1) {
+            name = fallbackName || chosen.map(t => t.name).join(' + ');
         }
 
-        return allPoints;
+        result.points = points;
+        result.breaks = breaks;
+        result.info = this._calculateInfo(points, name);
+        return result;
     },
 
     /**
-     * Extrai pontos de um segmento de trilha.
+     * Recalcula as informações resumidas de uma lista de pontos
+     * (ex.: após uma correção do diagnóstico).
      *
-     * @private
-     * @param {Element} segment - Elemento <trkseg>
-     * @param {boolean} forceElevation
-     * @param {number} defaultElevation
-     * @returns {number[][]} Array de [lon, lat, ele]
+     * @param {number[][]} points - Array de [lon, lat, ele, time, ...]
+     * @param {string} [name] - Nome da trilha
+     * @returns {Object} Mesmo formato de `buildResult().info`
      */
-    _parseSegment(segment, forceElevation, defaultElevation) {
-        const trkpts = segment.getElementsByTagName('trkpt');
-        const points = [];
-
-        for (let i = 0; i < trkpts.length; i++) {
-            points.push(this._parsePoint(trkpts[i], forceElevation, defaultElevation));
-        }
-
-        return points;
+    summarize(points, name) {
+        return this._calculateInfo(points, name);
     },
 
     /**
-     * Extrai coordenadas de um ponto de trilha.
+     * Monta o resumo de uma trilha/rota para a lista de seleção.
+     * Os segmentos são unidos em uma lista única; `breaks` guarda o índice
+     * do primeiro ponto de cada segmento após o primeiro.
      *
-     * @private
-     * @param {Element} pt - Elemento <trkpt>
-     * @param {boolean} forceElevation
-     * @param {number} defaultElevation
-     * @returns {number[]} [longitude, latitude, elevação]
+     * @param {string} type - 'trk' (trilha gravada) ou 'rte' (rota planejada)
+     * @param {string} name - Nome exibido
+     * @param {number[][][]} segments - Pontos de cada segmento
+     * @returns {Object} { type, name, points, breaks, segmentCount, totalPoints, totalDistance }
      */
-    _parsePoint(pt, forceElevation, defaultElevation) {
-        let elevation = defaultElevation;
+    trackEntry(type, name, segments) {
+        const points = [];
+        const breaks = [];
 
-        if (!forceElevation) {
-            const eleElements = pt.getElementsByTagName('ele');
-            if (eleElements.length > 0) {
-                elevation = parseFloat(eleElements[0].textContent);
-            }
+        for (const seg of segments) {
+            if (seg.length === 0) continue;
+            if (points.length > 0) breaks.push(points.length);
+            for (const pt of seg) points.push(pt);
         }
 
-        return [
-            parseFloat(pt.getAttribute('lon')),
-            parseFloat(pt.getAttribute('lat')),
-            elevation
-        ];
+        let totalDistance = 0;
+        for (let i = 1; i < points.length; i++) {
+            const d = distVincenty(
+                points[i - 1][1], points[i - 1][0],
+                points[i][1], points[i][0]
+            );
+            if (isFinite(d)) totalDistance += d;
+        }
+
+        return {
+            type, name, points, breaks,
+            segmentCount: breaks.length + 1,
+            totalPoints: points.length,
+            totalDistance
+        };
     },
 
     /**
      * Calcula informações resumidas sobre a trilha.
      *
      * @private
-     * @param {number[][]} points - Array de [lon, lat, ele]
-     * @param {Element} track - Elemento <trk> (para extrair nome)
+     * @param {number[][]} points - Array de [lon, lat, ele, time]
+     * @param {string} [name] - Nome da trilha
      * @returns {Object} Informações da trilha
      */
-    _calculateInfo(points, track) {
-        // Nome da trilha
-        let name = 'Trilha sem nome';
-        const nameElements = track.getElementsByTagName('name');
-        if (nameElements.length > 0) {
-            name = nameElements[0].textContent;
-        }
+    _calculateInfo(points, name) {
+        name = name || 'Trilha sem nome';
 
         // Calcular distância total, elevação min/max
+        // (valores inválidos são ignorados; o diagnóstico os aponta)
         let totalDistance = 0;
-        let minElevation = points[0][2];
-        let maxElevation = points[0][2];
+        let minElevation = Infinity;
+        let maxElevation = -Infinity;
         let totalGain = 0;
         let totalLoss = 0;
-        let hasElevation = false;
+        let lastEle = NaN;
 
         for (let i = 0; i < points.length; i++) {
             const ele = points[i][2];
 
-            if (ele !== 1 && ele !== 0) {
-                hasElevation = true;
-            }
+            if (isFinite(ele)) {
+                if (ele < minElevation) minElevation = ele;
+                if (ele > maxElevation) maxElevation = ele;
 
-            if (ele < minElevation) minElevation = ele;
-            if (ele > maxElevation) maxElevation = ele;
+                const eleDiff = ele - lastEle;
+                if (eleDiff > 0) totalGain += eleDiff;
+                else if (eleDiff < 0) totalLoss -= eleDiff;
+                lastEle = ele;
+            }
 
             if (i > 0) {
                 const dist = distVincenty(
                     points[i - 1][1], points[i - 1][0],
                     points[i][1], points[i][0]
                 );
-                totalDistance += dist;
-
-                const eleDiff = ele - points[i - 1][2];
-                if (eleDiff > 0) totalGain += eleDiff;
-                else totalLoss += Math.abs(eleDiff);
+                if (isFinite(dist)) totalDistance += dist;
             }
         }
 
-        return {
+        const hasElevation = isFinite(lastEle);
+        if (!hasElevation) minElevation = maxElevation = NaN;
+
+        return Object.assign({
             name,
             totalPoints: points.length,
             totalDistance,
@@ -202,7 +222,61 @@ const GPXParser = {
             totalLoss,
             hasElevation,
             startCoord: { lat: points[0][1], lon: points[0][0] },
-            endCoord: { lat: points[points.length - 1][1], lon: points[points.length - 1][0] }
+            endCoord: { lat: points[points.length - 1][1], lon: points[points.length - 1][0] },
+            sensors: Sensors.stats(points)
+        }, this._calculateTimeInfo(points));
+    },
+
+    /**
+     * Calcula estatísticas de tempo e velocidade a partir dos horários.
+     * Intervalos abaixo de MOVING_SPEED contam como parada.
+     *
+     * @private
+     * @param {number[][]} points - Array de [lon, lat, ele, time]
+     * @returns {Object} { hasTime, startTime, endTime, elapsedTime, movingTime,
+     *                     avgSpeed, movingSpeed, maxSpeed, pace }
+     */
+    _calculateTimeInfo(points) {
+        const info = {
+            hasTime: false,
+            startTime: null,
+            endTime: null,
+            elapsedTime: 0,
+            movingTime: 0,
+            avgSpeed: 0,
+            movingSpeed: 0,
+            maxSpeed: 0,
+            pace: 0
         };
+
+        const timed = points.filter(p => isFinite(p[3]));
+        if (timed.length < 2) return info;
+
+        let totalDistance = 0, movingDistance = 0;
+        for (let i = 1; i < timed.length; i++) {
+            const dist = distVincenty(timed[i - 1][1], timed[i - 1][0], timed[i][1], timed[i][0]);
+            const dt = (timed[i][3] - timed[i - 1][3]) / 1000;
+            totalDistance += dist;
+
+            if (dt > 0 && dist / dt >= this.MOVING_SPEED) {
+                info.movingTime += dt;
+                movingDistance += dist;
+            }
+        }
+
+        info.hasTime = true;
+        info.startTime = new Date(timed[0][3]);
+        info.endTime = new Date(timed[timed.length - 1][3]);
+        info.elapsedTime = (timed[timed.length - 1][3] - timed[0][3]) / 1000;
+
+        if (info.elapsedTime > 0) info.avgSpeed = totalDistance / info.elapsedTime;
+        if (info.movingTime > 0) info.movingSpeed = movingDistance / info.movingTime;
+        if (info.movingSpeed > 0) info.pace = 1000 / info.movingSpeed;
+
+        for (const v of pointSpeeds(timed)) {
+            if (v > info.maxSpeed) info.maxSpeed = v;
+        }
+
+        return info;
     }
 };
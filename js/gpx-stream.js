@@ -0,0 +1,571 @@
+/**
+ * gpx-stream.js - Parser GPX em streaming para arquivos muito grandes
+ *
+ * Lê o GPX em blocos, sem montar um DOM, e guarda os pontos em
+ * PointBuffer (Float64Array). Roda em um Web Worker (gpx-worker.js),
+ * reportando o progresso, ou na thread principal em blocos quando
+ * workers não estão disponíveis (ex.: página aberta via file://).
+ * O resultado tem o mesmo formato de GPXParser.buildResult.
+ */
+
+// ============================================================
+// PARSER INCREMENTAL (SAX)
+// ============================================================
+
+class GPXStreamParser {
+    /**
+     * @param {boolean} forceElevation - Se deve forçar elevação padrão
+     * @param {number} defaultElevation - Elevação usada com forceElevation
+     */
+    constructor(forceElevation = false, defaultElevation = 1) {
+        this.forceElevation = forceElevation;
+        this.defaultElevation = defaultElevation;
+
+        this.pending = '';      // Trecho ainda não processado (tag incompleta)
+        this.stack = [];        // Elementos abertos (nomes locais)
+        this.sawRoot = false;
+
+        this.tracks = [];       // Trilhas e rotas, na ordem do arquivo
+        this.counts = { trk: 0, rte: 0 };
+        this.track = null;      // Trilha/rota em andamento
+        this.point = null;      // Ponto em andamento (trkpt, rtept, wpt)
+        this.newSegment = false;
+
+        this.waypoints = [];
+        this.wptCount = 0;
+        this.title = '';
+
+        this.capture = null;    // Campo cujo texto está sendo lido
+        this.text = '';
+    }
+
+    /**
+     * Processa mais um bloco de texto do arquivo.
+     * @param {string} chunk
+     */
+    write(chunk) {
+        const buf = this.pending + chunk;
+        let pos = 0;
+
+        while (pos < buf.length) {
+            const lt = buf.indexOf('<', pos);
+            if (lt < 0) {
+                if (this.capture) this.text += buf.slice(pos);
+                pos = buf.length;
+                break;
+            }
+            if (this.capture && lt > pos) this.text += buf.slice(pos, lt);
+
+            const end = this._tokenEnd(buf, lt);
+            if (end < 0) {
+                pos = lt; // tag incompleta: aguardar o próximo bloco
+                break;
+            }
+
+            this._token(buf, lt, end);
+            pos = end;
+        }
+
+        this.pending = buf.slice(pos);
+    }
+
+    /**
+     * Finaliza o parsing.
+     * @returns {Object} Mesmo formato de GPXParser.buildResult
+     */
+    end() {
+        const parsed = this.finish();
+        return GPXParser.buildResult(parsed.tracks, parsed.waypoints, parsed.title, parsed.emptyError);
+    }
+
+    /**
+     * Finaliza o parsing sem selecionar nenhuma trilha. Usado pelo worker:
+     * a seleção (e as views dos pontos) fica para a thread principal.
+     *
+     * @returns {Object} { tracks, waypoints, title, emptyError } - Argumentos
+     *                   de GPXParser.buildResult
+     */
+    finish() {
+        if (!this.sawRoot || this.stack.length > 0 || this.pending.trim() !== '') {
+            return {
+                tracks: [],
+                waypoints: [],
+                title: '',
+                emptyError: this.sawRoot
+                    ? 'O arquivo GPX está incompleto ou corrompido.'
+                    : 'O arquivo não é um XML válido.'
+            };
+        }
+
+        return {
+            tracks: this.tracks,
+            waypoints: this.waypoints,
+            title: this.title,
+            emptyError: 'Este arquivo não contém nenhuma trilha (track) ou rota (route). Verifique se é um arquivo GPX válido.'
+        };
+    }
+
+    /**
+     * Posição logo após o fim do token que começa em `lt`, ou -1 se o
+     * token ainda não terminou neste bloco.
+     * @private
+     */
+    _tokenEnd(buf, lt) {
+        if (buf.startsWith('<!--', lt)) {
+            const i = buf.indexOf('-->', lt + 4);
+            return i < 0 ? -1 : i + 3;
+        }
+        if (buf.startsWith('<![CDATA[', lt)) {
+            const i = buf.indexOf(']]>', lt + 9);
+            return i < 0 ? -1 : i + 3;
+        }
+        if (buf.startsWith('<?', lt)) {
+            const i = buf.indexOf('?>', lt + 2);
+            return i < 0 ? -1 : i + 2;
+        }
+
+        // Tag normal: ignorar '>' dentro de valores de atributos
+        let i = lt + 1;
+        let quote = null;
+        for (; i < buf.length; i++) {
+            const c = buf[i];
+            if (quote) {
+                if (c === quote) quote = null;
+            } else if (c === '"' || c === "'") {
+                quote = c;
+            } else if (c === '>') {
+                return i + 1;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Trata um token completo (tag, comentário, CDATA...).
+     * @private
+     */
+    _token(buf, start, end) {
+        const c1 = buf[start + 1];
+
+        if (c1 === '!') {
+            if (this.capture && buf.startsWith('<![CDATA[', start)) {
+                this.text += buf.slice(start + 9, end - 3);
+            }
+            return; // comentário ou DOCTYPE
+        }
+        if (c1 === '?') return;
+
+        if (c1 === '/') {
+            this._close(this._localName(buf.slice(start + 2, end - 1)));
+            return;
+        }
+
+        const selfClosing = buf[end - 2] === '/';
+        const tag = buf.slice(start + 1, selfClosing ? end - 2 : end - 1);
+        const name = this._localName(tag);
+
+        this._open(name, tag);
+        if (selfClosing) this._close(name);
+    }
+
+    /**
+     * Nome local de uma tag, sem prefixo de namespace nem atributos.
+     * @private
+     */
+    _localName(tag) {
+        const m = /^\s*([^\s/>]+)/.exec(tag);
+        const name = m ? m[1] : '';
+        const colon = name.indexOf(':');
+        return colon < 0 ? name : name.slice(colon + 1);
+    }
+
+    /** @private */
+    _attr(tag, name) {
+        const re = name === 'lat' ? GPXStreamParser.LAT_ATTR : GPXStreamParser.LON_ATTR;
+        const m = re.exec(tag);
+        return m ? parseFloat(m[2]) : NaN;
+    }
+
+    /** @private */
+    _open(name, tag) {
+        const parent = this.stack.length > 0 ? this.stack[this.stack.length - 1] : null;
+        this.stack.push(name);
+
+        switch (name) {
+            case 'gpx':
+                this.sawRoot = true;
+                break;
+            case 'trk':
+            case 'rte':
+                this.track = {
+                    type: name,
+                    name: '',
+                    buffer: new PointBuffer(),
+                    breaks: [],
+                    distance: 0
+                };
+                this.newSegment = false;
+                break;
+            case 'trkseg':
+                this.newSegment = true;
+                break;
+            case 'trkpt':
+            case 'rtept':
+            case 'wpt':
+                this.point = {
+                    lon: this._attr(tag, 'lon'),
+                    lat: this._attr(tag, 'lat'),
+                    ele: null,
+                    time: NaN,
+                    name: '',
+                    sym: '',
+                    sensors: {}
+                };
+                break;
+            case 'name':
+                if (parent === 'trk' || parent === 'rte' || parent === 'wpt' ||
+                    (parent === 'metadata' && !this.title)) {
+                    this._startCapture(parent + '.name');
+                }
+                break;
+            case 'ele':
+            case 'time':
+                if (this.point && (parent === 'trkpt' || parent === 'rtept' || parent === 'wpt')) {
+                    this._startCapture(name);
+                }
+                break;
+            case 'sym':
+                if (parent === 'wpt') this._startCapture('sym');
+                break;
+            default: {
+                // Canais de sensores dentro de <extensions>
+                const key = this.point ? Sensors.tagChannel(name) : null;
+                if (key && this.point.sensors[key] === undefined && this.stack.includes('extensions')) {
+                    this._startCapture('sensor.' + key);
+                }
+            }
+        }
+    }
+
+    /** @private */
+    _close(name) {
+        // Fechar elementos até o correspondente (tolera tags não fechadas)
+        const idx = this.stack.lastIndexOf(name);
+        if (idx < 0) return;
+        this.stack.length = idx;
+
+        if (this.capture) this._endCapture();
+
+        switch (name) {
+            case 'trkpt':
+            case 'rtept':
+                if (this.track && this.point) this._pushPoint(this.point);
+                this.point = null;
+                break;
+            case 'wpt':
+                this._pushWaypoint(this.point);
+                this.point = null;
+                break;
+            case 'trk':
+            case 'rte':
+                if (this.track) this._pushTrack(this.track);
+                this.track = null;
+                break;
+        }
+    }
+
+    /** @private */
+    _startCapture(field) {
+        this.capture = field;
+        this.text = '';
+    }
+
+    /** @private */
+    _endCapture() {
+        const value = this._decode(this.text.trim());
+
+        switch (this.capture) {
+            case 'ele': this.point.ele = parseFloat(value); break;
+            case 'time': this.point.time = Date.parse(value); break;
+            case 'sym': this.point.sym = value; break;
+            case 'wpt.name': this.point.name = value; break;
+            case 'trk.name':
+            case 'rte.name': this.track.name = value; break;
+            case 'metadata.name': this.title = value; break;
+            default: {
+                const v = parseFloat(value);
+                if (isFinite(v)) this.point.sensors[this.capture.slice(7)] = v;
+            }
+        }
+
+        this.capture = null;
+        this.text = '';
+    }
+
+    /**
+     * Decodifica entidades XML (&amp;, &#233; ...).
+     * @private
+     */
+    _decode(text) {
+        if (text.indexOf('&') < 0) return text;
+        const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+        return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (m, e) => {
+            if (e[0] === '#') {
+                const code = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+                return String.fromCodePoint(code);
+            }
+            return named[e] !== undefined ? named[e] : m;
+        });
+    }
+
+    /** @private */
+    _pushPoint(p) {
+        const t = this.track;
+        const buf = t.buffer;
+        const n = buf.length;
+
+        let ele = this.forceElevation ? this.defaultElevation : NaN;
+        if (!this.forceElevation && p.ele !== null) ele = p.ele;
+
+        if (n > 0) {
+            if (this.newSegment) t.breaks.push(n);
+            const o = (n - 1) * PointBuffer.STRIDE;
+            const d = distVincenty(buf.data[o + 1], buf.data[o], p.lat, p.lon);
+            if (isFinite(d)) t.distance += d;
+        }
+        this.newSegment = false;
+
+        const s = p.sensors;
+        buf.push(p.lon, p.lat, ele, p.time, s.hr, s.cad, s.power, s.temp);
+    }
+
+    /** @private */
+    _pushWaypoint(p) {
+        this.wptCount++;
+        if (!p || !isFinite(p.lon) || !isFinite(p.lat)) return;
+
+        this.waypoints.push({
+            name: p.name || `Waypoint ${this.wptCount}`,
+            sym: p.sym,
+            lon: p.lon,
+            lat: p.lat,
+            ele: p.ele === null ? NaN : p.ele
+        });
+    }
+
+    /**
+     * Converte a trilha em andamento para o formato de GPXParser.trackEntry.
+     * @private
+     */
+    _pushTrack(t) {
+        const number = ++this.counts[t.type];
+        this.tracks.push(GPXStreamParser.trackEntry({
+            type: t.type,
+            name: t.name || `${t.type === 'trk' ? 'Trilha' : 'Rota'} ${number}`,
+            buffer: t.buffer,
+            breaks: t.breaks,
+            segmentCount: t.breaks.length + 1,
+            totalPoints: t.buffer.length,
+            totalDistance: t.distance
+        }));
+    }
+
+    /**
+     * Completa uma entrada de trilha sobre um PointBuffer com `points`
+     * (formato de GPXParser.trackEntry). As views dos pontos só são
+     * criadas no primeiro acesso, ou seja, apenas para as trilhas
+     * efetivamente selecionadas.
+     *
+     * @param {Object} entry - { type, name, buffer, breaks, segmentCount, totalPoints, totalDistance }
+     * @returns {Object} A própria entrada
+     */
+    static trackEntry(entry) {
+        let points = null;
+        return Object.defineProperty(entry, 'points', {
+            enumerable: true,
+            get() {
+                if (!points) points = entry.buffer.toArray();
+                return points;
+            }
+        });
+    }
+}
+
+
+// Atributos de coordenadas de <trkpt>, <rtept> e <wpt>
+GPXStreamParser.LAT_ATTR = /\slat\s*=\s*(["'])([^"']*)\1/;
+GPXStreamParser.LON_ATTR = /\slon\s*=\s*(["'])([^"']*)\1/;
+
+
+// ============================================================
+// LEITURA EM BLOCOS, WORKER E TRANSFERÊNCIA
+// ============================================================
+
+const GPXStream = {
+
+    // Tamanho de cada bloco lido do arquivo (bytes ou caracteres)
+    CHUNK_SIZE: 1 << 20,
+
+    /**
+     * Faz o parsing de um texto GPX de uma só vez (arquivos pequenos,
+     * como o de exemplo, e Importers.parse).
+     *
+     * @param {string} text
+     * @param {boolean} forceElevation
+     * @param {number} defaultElevation
+     * @returns {Object} Mesmo formato de GPXParser.buildResult
+     */
+    parse(text, forceElevation, defaultElevation) {
+        const parser = new GPXStreamParser(forceElevation, defaultElevation);
+        parser.write(text);
+        return parser.end();
+    },
+
+    /**
+     * Lê um File/Blob de forma síncrona, em blocos (apenas em workers,
+     * que têm FileReaderSync). Não seleciona trilha: o resultado vai
+     * para `pack` e a seleção é feita em `unpack`.
+     *
+     * @param {Blob} file
+     * @param {boolean} forceElevation
+     * @param {number} defaultElevation
+     * @param {Function} [onProgress] - Recebe a fração lida (0 a 1)
+     * @returns {Object} Resultado de GPXStreamParser.finish
+     */
+    parseFile(file, forceElevation, defaultElevation, onProgress) {
+        const parser = new GPXStreamParser(forceElevation, defaultElevation);
+        const reader = new FileReaderSync();
+        const decoder = new TextDecoder('utf-8');
+
+        for (let pos = 0; pos < file.size; pos += this.CHUNK_SIZE) {
+            const bytes = reader.readAsArrayBuffer(file.slice(pos, pos + this.CHUNK_SIZE));
+            parser.write(decoder.decode(bytes, { stream: true }));
+            if (onProgress) onProgress(Math.min(1, (pos + this.CHUNK_SIZE) / file.size));
+        }
+        parser.write(decoder.decode());
+
+        return parser.finish();
+    },
+
+    /**
+     * Faz o parsing de um texto já carregado na thread principal,
+     * cedendo o controle ao navegador entre os blocos.
+     *
+     * @param {string} text
+     * @param {boolean} forceElevation
+     * @param {number} defaultElevation
+     * @param {Function} onProgress - Recebe a fração processada (0 a 1)
+     * @param {Function} onDone - Recebe o resultado
+     */
+    parseText(text, forceElevation, defaultElevation, onProgress, onDone) {
+        const parser = new GPXStreamParser(forceElevation, defaultElevation);
+        let pos = 0;
+
+        const step = () => {
+            parser.write(text.slice(pos, pos + this.CHUNK_SIZE));
+            pos += this.CHUNK_SIZE;
+            onProgress(Math.min(1, pos / text.length));
+
+            if (pos < text.length) {
+                setTimeout(step, 0);
+            } else {
+                onDone(parser.end());
+            }
+        };
+        step();
+    },
+
+    /**
+     * Faz o parsing de um arquivo em um Web Worker. Se o worker não puder
+     * ser criado, lê o arquivo e processa na thread principal.
+     *
+     * @param {File} file
+     * @param {boolean} forceElevation
+     * @param {number} defaultElevation
+     * @param {Function} onProgress - Recebe a fração processada (0 a 1)
+     * @param {Function} onDone - Recebe o resultado (formato de GPXParser.buildResult)
+     */
+    parseInWorker(file, forceElevation, defaultElevation, onProgress, onDone) {
+        const fallback = () => {
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                this.parseText(e.target.result, forceElevation, defaultElevation, onProgress, onDone);
+            };
+            reader.onerror = () => {
+                onDone(GPXParser.buildResult([], [], '', 'Erro ao ler o arquivo.'));
+            };
+            reader.readAsText(file);
+        };
+
+        let worker;
+        try {
+            worker = new Worker('js/gpx-worker.js');
+        } catch (e) {
+            fallback();
+            return;
+        }
+
+        worker.onmessage = (e) => {
+            if (e.data.type === 'progress') {
+                onProgress(e.data.progress);
+                return;
+            }
+            worker.terminate();
+            onDone(this.unpack(e.data.result));
+        };
+        worker.onerror = (e) => {
+            e.preventDefault();
+            worker.terminate();
+            fallback();
+        };
+
+        worker.postMessage({ file, forceElevation, defaultElevation });
+    },
+
+    /**
+     * Prepara o resultado para postMessage: os pontos de cada trilha vão
+     * como ArrayBuffer transferível, sem as views individuais.
+     *
+     * @param {Object} parsed - Resultado de GPXStreamParser.finish
+     * @returns {Object} { result, transfer }
+     */
+    pack(parsed) {
+        const transfer = [];
+        const tracks = parsed.tracks.map(t => {
+            transfer.push(t.buffer.data.buffer);
+            return {
+                type: t.type,
+                name: t.name,
+                data: t.buffer.data.buffer,
+                breaks: t.breaks,
+                segmentCount: t.segmentCount,
+                totalPoints: t.totalPoints,
+                totalDistance: t.totalDistance
+            };
+        });
+
+        return { result: Object.assign({}, parsed, { tracks }), transfer };
+    },
+
+    /**
+     * Reconstrói o resultado recebido do worker sobre os buffers
+     * transferidos e seleciona a trilha inicial. Só a trilha selecionada
+     * ganha as views dos pontos.
+     *
+     * @param {Object} packed - Resultado de `pack`
+     * @returns {Object} Mesmo formato de GPXParser.buildResult
+     */
+    unpack(packed) {
+        const tracks = packed.tracks.map(t => GPXStreamParser.trackEntry({
+            type: t.type,
+            name: t.name,
+            buffer: PointBuffer.wrap(t.data, t.totalPoints),
+            breaks: t.breaks,
+            segmentCount: t.segmentCount,
+            totalPoints: t.totalPoints,
+            totalDistance: t.totalDistance
+        }));
+
+        return GPXParser.buildResult(tracks, packed.waypoints, packed.title, packed.emptyError);
+    }
+};
@@ -0,0 +1,20 @@
+/**
+ * gpx-worker.js - Web Worker para o parsing de arquivos GPX grandes
+ *
+ * Recebe { file, forceElevation, defaultElevation }, envia mensagens
+ * { type: 'progress', progress } durante a leitura e, ao final,
+ * { type: 'result', result } com os buffers de pontos transferidos.
+ */
+
+importScripts('utils.js', 'sensors.js', 'gpx-parser.js', 'gpx-stream.js');
+
+self.onmessage = (e) => {
+    const { file, forceElevation, defaultElevation } = e.data;
+
+    const result = GPXStream.parseFile(file, forceElevation, defaultElevation, (progress) => {
+        self.postMessage({ type: 'progress', progress });
+    });
+
+    const packed = GPXStream.pack(result);
+    self.postMessage({ type: 'result', result: packed.result }, packed.transfer);
+};
@@ -0,0 +1,512 @@
+/**
+ * importers.js - Importação de trilhas em outros formatos
+ *
+ * Detecta o formato pelo nome do arquivo e converte TCX (Garmin),
+ * KML (Google Earth), GeoJSON e FIT (binário Garmin) para o mesmo
+ * resultado de GPXParser.buildResult: { points, breaks, info, tracks, ... }.
+ * Nenhuma ferramenta externa de conversão é necessária.
+ */
+
+const Importers = {
+
+    // Extensões aceitas e o formato correspondente
+    EXTENSIONS: {
+        gpx: 'gpx',
+        tcx: 'tcx',
+        kml: 'kml',
+        geojson: 'geojson',
+        json: 'geojson',
+        fit: 'fit'
+    },
+
+    // Segundos entre a época Unix e a época FIT (31/12/1989 00:00 UTC)
+    FIT_EPOCH: 631065600,
+
+    /**
+     * Detecta o formato de um arquivo pela extensão.
+     * @param {string} fileName - Nome do arquivo
+     * @returns {string|null} 'gpx', 'tcx', 'kml', 'geojson', 'fit' ou null
+     */
+    detect(fileName) {
+        const ext = fileName.toLowerCase().split('.').pop();
+        return this.EXTENSIONS[ext] || null;
+    },
+
+    /**
+     * Indica se o formato deve ser lido como binário (ArrayBuffer).
+     * @param {string} format
+     * @returns {boolean}
+     */
+    isBinary(format) {
+        return format === 'fit';
+    },
+
+    /**
+     * Faz o parsing de um arquivo no formato informado.
+     *
+     * @param {string} format - Formato retornado por `detect`
+     * @param {string|ArrayBuffer} content - Texto (ou ArrayBuffer para FIT)
+     * @param {boolean} forceElevation - Se deve forçar elevação padrão
+     * @param {number} defaultElevation - Elevação usada com forceElevation
+     * @param {string} [fileName] - Nome do arquivo (usado como nome da trilha no FIT)
+     * @returns {Object} Mesmo formato de GPXParser.buildResult
+     */
+    parse(format, content, forceElevation = false, defaultElevation = 1, fileName = '') {
+        const point = (lon, lat, ele, time, sensors) => Sensors.point(
+            lon,
+            lat,
+            forceElevation ? defaultElevation : ele,
+            time,
+            sensors
+        );
+
+        try {
+            switch (format) {
+                case 'gpx': return GPXStream.parse(content, forceElevation, defaultElevation);
+                case 'tcx': return this._parseTCX(content, point);
+                case 'kml': return this._parseKML(content, point);
+                case 'geojson': return this._parseGeoJSON(content, point);
+                case 'fit': return this._parseFIT(content, point, fileName);
+            }
+        } catch (e) {
+            // Mensagem do motor JS (em inglês) fica só no console
+            console.error(e);
+            return GPXParser.buildResult([], [], '', 'Erro ao processar o arquivo: o conteúdo está corrompido ou fora do formato esperado.');
+        }
+
+        return GPXParser.buildResult([], [], '', 'Formato de arquivo não suportado.');
+    },
+
+    // ============================================================
+    // TCX (Garmin Training Center)
+    // ============================================================
+
+    /**
+     * Atividades (<Activity>) e percursos (<Course>) viram trilhas;
+     * cada volta (<Lap>/<Track>) é um segmento. <CoursePoint> vira waypoint.
+     * Frequência cardíaca, cadência e potência (extensão TPX) são mantidas.
+     * @private
+     */
+    _parseTCX(text, point) {
+        const doc = GPXParser.readXML(text);
+        if (doc.error) return GPXParser.buildResult([], [], '', doc.error);
+
+        const tracks = [];
+        const waypoints = [];
+
+        const parseTrackpoints = (trackEl) => {
+            const pts = [];
+            for (const tp of this._all(trackEl, 'Trackpoint')) {
+                const pos = this._first(tp, 'Position');
+                if (!pos) continue; // pontos sem GPS (esteira, pausa)
+
+                const hr = this._first(tp, 'HeartRateBpm');
+                const ext = this._first(tp, 'TPX');
+                pts.push(point(
+                    parseFloat(this._text(pos, 'LongitudeDegrees')),
+                    parseFloat(this._text(pos, 'LatitudeDegrees')),
+                    parseFloat(this._text(tp, 'AltitudeMeters')),
+                    Date.parse(this._text(tp, 'Time')),
+                    {
+                        hr: hr ? parseFloat(this._text(hr, 'Value')) : NaN,
+                        cad: parseFloat(this._text(tp, 'Cadence') || (ext ? this._text(ext, 'RunCadence') : '')),
+                        power: ext ? parseFloat(this._text(ext, 'Watts')) : NaN
+                    }
+                ));
+            }
+            return pts;
+        };
+
+        this._all(doc.xmlDoc, 'Activity').forEach((act, i) => {
+            const segments = this._all(act, 'Track').map(parseTrackpoints);
+            const sport = act.getAttribute('Sport') || 'Atividade';
+            const id = this._text(act, 'Id');
+            const name = this._text(act, 'Notes') || (id ? `${sport} ${id}` : `${sport} ${i + 1}`);
+            tracks.push(GPXParser.trackEntry('trk', name, segments));
+        });
+
+        this._all(doc.xmlDoc, 'Course').forEach((course, i) => {
+            const segments = this._all(course, 'Track').map(parseTrackpoints);
+            tracks.push(GPXParser.trackEntry('rte', this._text(course, 'Name') || `Percurso ${i + 1}`, segments));
+
+            for (const cp of this._all(course, 'CoursePoint')) {
+                const pos = this._first(cp, 'Position');
+                if (!pos) continue;
+                waypoints.push({
+                    name: this._text(cp, 'Name') || `Ponto ${waypoints.length + 1}`,
+                    sym: this._text(cp, 'PointType'),
+                    lon: parseFloat(this._text(pos, 'LongitudeDegrees')),
+                    lat: parseFloat(this._text(pos, 'LatitudeDegrees')),
+                    ele: parseFloat(this._text(cp, 'AltitudeMeters'))
+                });
+            }
+        });
+
+        return GPXParser.buildResult(
+            tracks.filter(t => t.totalPoints > 0),
+            waypoints,
+            '',
+            'Este arquivo TCX não contém atividades ou percursos com posição GPS.'
+        );
+    },
+
+    // ============================================================
+    // KML (Google Earth)
+    // ============================================================
+
+    /**
+     * Cada <Placemark> com <LineString> ou <gx:Track> vira uma trilha
+     * (MultiGeometry/MultiTrack viram segmentos). Placemarks com <Point>
+     * viram waypoints.
+     * @private
+     */
+    _parseKML(text, point) {
+        const doc = GPXParser.readXML(text);
+        if (doc.error) return GPXParser.buildResult([], [], '', doc.error);
+
+        const tracks = [];
+        const waypoints = [];
+
+        this._all(doc.xmlDoc, 'Placemark').forEach((pm, i) => {
+            const name = this._text(pm, 'name');
+            const segments = [];
+
+            // <LineString><coordinates>lon,lat[,alt] ...</coordinates>
+            for (const ls of this._all(pm, 'LineString')) {
+                segments.push(this._kmlCoordinates(this._text(ls, 'coordinates'))
+                    .map(c => point(c[0], c[1], c[2], NaN)));
+            }
+
+            // <gx:Track><when/>...<gx:coord>lon lat alt</gx:coord>...
+            for (const tr of this._all(pm, 'Track')) {
+                const whens = this._all(tr, 'when').map(w => Date.parse(w.textContent.trim()));
+                segments.push(this._all(tr, 'coord').map((c, k) => {
+                    const v = c.textContent.trim().split(/\s+/).map(parseFloat);
+                    return point(v[0], v[1], v[2], k < whens.length ? whens[k] : NaN);
+                }));
+            }
+
+            if (segments.length > 0) {
+                tracks.push(GPXParser.trackEntry('trk', name || `Trilha ${i + 1}`, segments));
+                return;
+            }
+
+            const pt = this._first(pm, 'Point');
+            if (pt) {
+                const c = this._kmlCoordinates(this._text(pt, 'coordinates'))[0];
+                if (c) {
+                    waypoints.push({ name: name || `Ponto ${waypoints.length + 1}`, sym: '', lon: c[0], lat: c[1], ele: c[2] });
+                }
+            }
+        });
+
+        const docEl = this._first(doc.xmlDoc, 'Document');
+        return GPXParser.buildResult(
+            tracks.filter(t => t.totalPoints > 0),
+            waypoints,
+            docEl ? this._text(docEl, 'name') : '',
+            'Este arquivo KML não contém nenhuma linha (LineString) ou trilha (gx:Track).'
+        );
+    },
+
+    /**
+     * Converte o texto de <coordinates> em [lon, lat, alt].
+     * @private
+     */
+    _kmlCoordinates(text) {
+        return text.trim().split(/\s+/).filter(Boolean).map(tuple => {
+            const v = tuple.split(',').map(parseFloat);
+            return [v[0], v[1], v.length > 2 ? v[2] : NaN];
+        });
+    },
+
+    // ============================================================
+    // GeoJSON
+    // ============================================================
+
+    /**
+     * LineString e MultiLineString viram trilhas; Point vira waypoint.
+     * Horários são lidos de `properties.coordTimes` (formato do togeojson)
+     * ou `properties.times`.
+     * @private
+     */
+    _parseGeoJSON(text, point) {
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch (e) {
+            return GPXParser.buildResult([], [], '', 'O arquivo não é um JSON válido.');
+        }
+
+        // null e valores soltos (números, textos) são ignorados
+        const isObject = (v) => v !== null && typeof v === 'object';
+        const list = (v) => Array.isArray(v) ? v : [];
+
+        if (!isObject(json)) {
+            return GPXParser.buildResult([], [], '', 'O arquivo JSON não contém um objeto GeoJSON.');
+        }
+
+        const tracks = [];
+        const waypoints = [];
+
+        const line = (coords, times) => list(coords).filter(Array.isArray).map((c, k) => point(
+            c[0], c[1], c.length > 2 ? c[2] : NaN,
+            times && times[k] ? Date.parse(times[k]) : NaN
+        ));
+
+        const visit = (geometry, props) => {
+            if (!isObject(geometry)) return;
+            if (!isObject(props)) props = {};
+            const name = props.name || props.title || '';
+            const times = props.coordTimes || props.times;
+
+            switch (geometry.type) {
+                case 'LineString':
+                    tracks.push(GPXParser.trackEntry('trk', name || `Trilha ${tracks.length + 1}`,
+                        [line(geometry.coordinates, times)]));
+                    break;
+                case 'MultiLineString':
+                    tracks.push(GPXParser.trackEntry('trk', name || `Trilha ${tracks.length + 1}`,
+                        list(geometry.coordinates).map((c, k) => line(c, times && times[k]))));
+                    break;
+                case 'Point': {
+                    const c = geometry.coordinates;
+                    if (!Array.isArray(c)) break;
+                    waypoints.push({
+                        name: name || `Ponto ${waypoints.length + 1}`,
+                        sym: props.sym || '',
+                        lon: c[0],
+                        lat: c[1],
+                        ele: c.length > 2 ? c[2] : NaN
+                    });
+                    break;
+                }
+                case 'GeometryCollection':
+                    list(geometry.geometries).forEach(g => visit(g, props));
+                    break;
+            }
+        };
+
+        if (json.type === 'FeatureCollection') {
+            list(json.features).filter(isObject).forEach(f => visit(f.geometry, f.properties));
+        } else if (json.type === 'Feature') {
+            visit(json.geometry, json.properties);
+        } else {
+            visit(json, {});
+        }
+
+        return GPXParser.buildResult(
+            tracks.filter(t => t.totalPoints > 0),
+            waypoints,
+            json.name || '',
+            'Este arquivo GeoJSON não contém nenhuma LineString ou MultiLineString.'
+        );
+    },
+
+    // ============================================================
+    // FIT (binário Garmin/ANT)
+    // ============================================================
+
+    /**
+     * Decodifica um arquivo FIT: mensagens `record` (20) viram pontos
+     * (com frequência cardíaca, cadência, potência e temperatura),
+     * eventos de parada do cronômetro (21) iniciam um novo segmento e
+     * `course_point` (32) vira waypoint.
+     * @private
+     */
+    _parseFIT(buffer, point, fileName) {
+        const view = new DataView(buffer);
+        const sig = buffer.byteLength >= 12
+            ? String.fromCharCode(view.getUint8(8), view.getUint8(9), view.getUint8(10), view.getUint8(11))
+            : '';
+        if (sig !== '.FIT') {
+            return GPXParser.buildResult([], [], '', 'O arquivo não é um FIT válido.');
+        }
+
+        const headerSize = view.getUint8(0);
+        const end = Math.min(headerSize + view.getUint32(4, true), buffer.byteLength);
+        const defs = {};
+        const segments = [[]];
+        const waypoints = [];
+        let lastTimestamp = 0;
+        let pos = headerSize;
+
+        const semicircles = (v) => (v === null ? NaN : v * 180 / 2147483648);
+
+        while (pos < end) {
+            const header = view.getUint8(pos++);
+
+            // Mensagem de definição
+            if (!(header & 0x80) && (header & 0x40)) {
+                const def = { fields: [], devSize: 0 };
+                pos++; // reservado
+                def.little = view.getUint8(pos++) === 0;
+                def.global = view.getUint16(pos, def.little);
+                pos += 2;
+
+                const count = view.getUint8(pos++);
+                for (let k = 0; k < count; k++, pos += 3) {
+                    def.fields.push({
+                        num: view.getUint8(pos),
+                        size: view.getUint8(pos + 1),
+                        type: view.getUint8(pos + 2)
+                    });
+                }
+
+                // Campos de desenvolvedor: só o tamanho importa para pulá-los
+                if (header & 0x20) {
+                    const devCount = view.getUint8(pos++);
+                    for (let k = 0; k < devCount; k++, pos += 3) {
+                        def.devSize += view.getUint8(pos + 1);
+                    }
+                }
+
+                defs[header & 0x0F] = def;
+                continue;
+            }
+
+            // Mensagem de dados (cabeçalho normal ou com timestamp comprimido)
+            const compressed = (header & 0x80) !== 0;
+            const def = defs[compressed ? (header >> 5) & 0x03 : header & 0x0F];
+            if (!def) throw new Error('mensagem FIT sem definição.');
+
+            const values = {};
+            for (const f of def.fields) {
+                values[f.num] = this._fitValue(view, pos, f, def.little);
+                pos += f.size;
+            }
+            pos += def.devSize;
+
+            if (compressed) {
+                const offset = header & 0x1F;
+                const last5 = lastTimestamp & 0x1F;
+                lastTimestamp += offset - last5 + (offset >= last5 ? 0 : 0x20);
+                values[253] = lastTimestamp;
+            } else if (values[253] !== undefined && values[253] !== null) {
+                lastTimestamp = values[253];
+            }
+
+            if (def.global === 20) {
+                // record: posição, altitude e horário
+                const lat = semicircles(values[0] ?? null);
+                const lon = semicircles(values[1] ?? null);
+                if (!isFinite(lat) || !isFinite(lon)) continue;
+
+                const alt = values[78] ?? values[2] ?? null;
+                const ts = values[253] ?? null;
+                segments[segments.length - 1].push(point(
+                    lon, lat,
+                    alt === null ? NaN : alt / 5 - 500,
+                    ts === null ? NaN : (ts + this.FIT_EPOCH) * 1000,
+                    {
+                        hr: values[3] ?? NaN,
+                        cad: values[4] ?? NaN,
+                        power: values[7] ?? NaN,
+                        temp: values[13] ?? NaN
+                    }
+                ));
+            } else if (def.global === 21) {
+                // event: cronômetro parado (stop / stop_all) encerra o segmento
+                if (values[0] === 0 && (values[1] === 1 || values[1] === 4) &&
+                    segments[segments.length - 1].length > 0) {
+                    segments.push([]);
+                }
+            } else if (def.global === 32) {
+                // course_point
+                const lat = semicircles(values[2] ?? null);
+                const lon = semicircles(values[3] ?? null);
+                if (isFinite(lat) && isFinite(lon)) {
+                    waypoints.push({
+                        name: values[6] || `Ponto ${waypoints.length + 1}`,
+                        sym: '',
+                        lon, lat,
+                        ele: NaN
+                    });
+                }
+            }
+        }
+
+        const name = fileName.replace(/\.[^.]*$/, '') || 'Atividade FIT';
+        const track = GPXParser.trackEntry('trk', name, segments);
+        return GPXParser.buildResult(
+            track.totalPoints > 0 ? [track] : [],
+            waypoints,
+            '',
+            'Este arquivo FIT não contém pontos com posição GPS.'
+        );
+    },
+
+    /**
+     * Lê o valor de um campo FIT (primeiro elemento, se for array).
+     * Retorna null para o valor "inválido" de cada tipo base.
+     * @private
+     */
+    _fitValue(view, pos, field, little) {
+        const type = field.type & 0x1F;
+
+        if (type === 7) {
+            let str = '';
+            for (let k = 0; k < field.size; k++) {
+                const c = view.getUint8(pos + k);
+                if (c === 0) break;
+                str += String.fromCharCode(c);
+            }
+            try {
+                return decodeURIComponent(escape(str)); // UTF-8
+            } catch (e) {
+                return str;
+            }
+        }
+
+        const readers = {
+            0: [1, () => view.getUint8(pos), 0xFF],
+            1: [1, () => view.getInt8(pos), 0x7F],
+            2: [1, () => view.getUint8(pos), 0xFF],
+            3: [2, () => view.getInt16(pos, little), 0x7FFF],
+            4: [2, () => view.getUint16(pos, little), 0xFFFF],
+            5: [4, () => view.getInt32(pos, little), 0x7FFFFFFF],
+            6: [4, () => view.getUint32(pos, little), 0xFFFFFFFF],
+            8: [4, () => view.getFloat32(pos, little), null],
+            9: [8, () => view.getFloat64(pos, little), null],
+            10: [1, () => view.getUint8(pos), 0],
+            11: [2, () => view.getUint16(pos, little), 0],
+            12: [4, () => view.getUint32(pos, little), 0],
+            13: [1, () => view.getUint8(pos), 0xFF]
+        };
+
+        const reader = readers[type];
+        if (!reader || field.size < reader[0]) return null;
+
+        const value = reader[1]();
+        if (value === reader[2] || (reader[2] === null && !isFinite(value))) return null;
+        return value;
+    },
+
+    // ============================================================
+    // Helpers de XML (ignoram prefixos de namespace, ex.: gx:Track)
+    // ============================================================
+
+    /** @private */
+    _all(el, localName) {
+        return Array.from(el.getElementsByTagNameNS('*', localName));
+    },
+
+    /** @private */
+    _first(el, localName) {
+        const list = el.getElementsByTagNameNS('*', localName);
+        return list.length > 0 ? list[0] : null;
+    },
+
+    /**
+     * Texto do primeiro filho direto com o nome informado.
+     * @private
+     */
+    _text(el, localName) {
+        for (const child of Array.from(el.childNodes)) {
+            if (child.nodeType === 1 && child.localName === localName) {
+                return child.textContent.trim();
+            }
+        }
+        return '';
+    }
+};
@@ -0,0 +1,451 @@
+/**
+ * mesh-check.js - Verificação e reparo da malha gerada
+ *
+ * Analisa uma malha { points, faces } separando-a em corpos (componentes
+ * conexos) e conta arestas abertas ou não-manifold, triângulos
+ * degenerados, faces com orientação invertida e autointerseções
+ * (triângulos que cruzam outro do mesmo corpo). Corpos diferentes podem
+ * se sobrepor (pinos dos waypoints sobre o caminho): o fatiador os une.
+ * O reparo remove triângulos degenerados e orienta as faces de cada
+ * corpo de forma consistente, com as normais para fora.
+ */
+
+const MeshCheck = {
+
+    // Área mínima (mm²) de um triângulo válido
+    MIN_AREA: 1e-9,
+    // Tolerância (mm) dos testes de interseção
+    EPSILON: 1e-7,
+    // Máximo de pares candidatos na busca de autointerseções (malhas enormes
+    // e muito sobrepostas ficam com a contagem parcial)
+    MAX_PAIRS: 2e6,
+
+    // Tipos de problema, na ordem em que aparecem no resumo
+    ISSUES: {
+        openEdges: 'arestas abertas',
+        nonManifoldEdges: 'arestas não-manifold',
+        degenerate: 'triângulos degenerados',
+        inverted: 'faces com normal invertida',
+        selfIntersections: 'triângulos em autointerseção (trechos do caminho sobrepostos)'
+    },
+
+    /**
+     * Analisa a malha.
+     *
+     * @param {Object} mesh - { points: [x, y, z][], faces: [a, b, c][] }
+     * @returns {Object} { vertices, triangles, shells, openEdges, nonManifoldEdges,
+     *   degenerate, inverted, selfIntersections, partial, ok } (partial: a busca
+     *   de autointerseções parou em MAX_PAIRS e a contagem é um mínimo)
+     */
+    analyze(mesh) {
+        const { points, faces } = mesh;
+        const shells = this._shells(points.length, faces);
+        const edges = this._halfEdges(points.length, faces);
+
+        let openEdges = 0;
+        let nonManifoldEdges = 0;
+        for (const head of edges.map.values()) {
+            let count = 0;
+            for (let h = head; h >= 0; h = edges.next[h]) count++;
+            if (count === 1) openEdges++;
+            else if (count > 2) nonManifoldEdges++;
+        }
+
+        let degenerate = 0;
+        for (const f of faces) {
+            if (this._isDegenerate(points, f)) degenerate++;
+        }
+
+        const flip = this._orientation(points, faces, shells, edges);
+        const inverted = flip.reduce((sum, v) => sum + v, 0);
+
+        const self = this._selfIntersections(points, faces, shells);
+        const report = {
+            vertices: points.length,
+            triangles: faces.length,
+            shells: shells.count,
+            openEdges,
+            nonManifoldEdges,
+            degenerate,
+            inverted,
+            selfIntersections: self.count,
+            partial: self.partial
+        };
+        report.ok = Object.keys(this.ISSUES).every(id => report[id] === 0);
+        return report;
+    },
+
+    /**
+     * Problemas encontrados, para exibição.
+     * @param {Object} report - Resultado de analyze
+     * @returns {Object[]} [{ id, count, title }]
+     */
+    issues(report) {
+        return Object.keys(this.ISSUES)
+            .filter(id => report[id] > 0)
+            .map(id => ({ id, count: report[id], title: this.ISSUES[id] }));
+    },
+
+    /**
+     * Remove triângulos degenerados e orienta as faces de cada corpo de
+     * forma consistente, com volume positivo (normais para fora).
+     *
+     * @param {Object} mesh - { points, faces }
+     * @returns {Object} { points, faces, degenerate, flipped } - malha nova
+     *   e quantas faces foram removidas e invertidas
+     */
+    repair(mesh) {
+        const points = mesh.points;
+        const faces = mesh.faces.filter(f => !this._isDegenerate(points, f));
+        const degenerate = mesh.faces.length - faces.length;
+
+        const shells = this._shells(points.length, faces);
+        const flip = this._orientation(points, faces, shells, this._halfEdges(points.length, faces));
+
+        let flipped = 0;
+        const result = faces.map((f, i) => {
+            if (!flip[i]) return f;
+            flipped++;
+            return [f[0], f[2], f[1]];
+        });
+
+        return { points, faces: result, degenerate, flipped };
+    },
+
+    /** @private */
+    _isDegenerate(points, f) {
+        if (f[0] === f[1] || f[1] === f[2] || f[0] === f[2]) return true;
+        const n = this._normal(points[f[0]], points[f[1]], points[f[2]]);
+        return Math.hypot(n[0], n[1], n[2]) / 2 < this.MIN_AREA;
+    },
+
+    /** @private */
+    _normal(a, b, c) {
+        const ux = b[0] - a[0], uy = b[1] - a[1], uz = b[2] - a[2];
+        const vx = c[0] - a[0], vy = c[1] - a[1], vz = c[2] - a[2];
+        return [uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx];
+    },
+
+    /**
+     * Corpo de cada face (faces ligadas por vértices em comum).
+     * @returns {Object} { of: Int32Array (corpo de cada face), count }
+     * @private
+     */
+    _shells(vertexCount, faces) {
+        const parent = new Int32Array(vertexCount);
+        for (let i = 0; i < vertexCount; i++) parent[i] = i;
+        const find = (v) => {
+            while (parent[v] !== v) {
+                parent[v] = parent[parent[v]];
+                v = parent[v];
+            }
+            return v;
+        };
+
+        for (const f of faces) {
+            const r = find(f[0]);
+            parent[find(f[1])] = r;
+            parent[find(f[2])] = r;
+        }
+
+        const ids = new Map();
+        const of = new Int32Array(faces.length);
+        faces.forEach((f, i) => {
+            const root = find(f[0]);
+            if (!ids.has(root)) ids.set(root, ids.size);
+            of[i] = ids.get(root);
+        });
+
+        return { of, count: ids.size };
+    },
+
+    /**
+     * Semiarestas agrupadas por aresta: map (chave da aresta → primeira
+     * semiaresta) e next (lista ligada). A semiaresta h é a aresta
+     * h % 3 da face h / 3.
+     * @private
+     */
+    _halfEdges(vertexCount, faces) {
+        const map = new Map();
+        const next = new Int32Array(faces.length * 3);
+
+        faces.forEach((f, i) => {
+            for (let k = 0; k < 3; k++) {
+                const a = f[k], b = f[(k + 1) % 3];
+                const key = Math.min(a, b) * vertexCount + Math.max(a, b);
+                const h = i * 3 + k;
+                next[h] = map.has(key) ? map.get(key) : -1;
+                map.set(key, h);
+            }
+        });
+
+        return { map, next };
+    },
+
+    /**
+     * Faces que precisam ser invertidas para que cada corpo fique com
+     * orientação consistente (faces vizinhas percorrem a aresta comum em
+     * sentidos opostos) e volume positivo.
+     * @returns {Uint8Array} 1 para as faces a inverter
+     * @private
+     */
+    _orientation(points, faces, shells, edges) {
+        const flip = new Uint8Array(faces.length);
+        const seen = new Uint8Array(faces.length);
+        const volume = new Float64Array(shells.count);
+        const stack = [];
+
+        // Sentido em que a semiaresta h percorre a aresta (true = do menor para o maior)
+        const forward = (h) => {
+            const f = faces[(h / 3) | 0], k = h % 3;
+            return f[k] < f[(k + 1) % 3];
+        };
+
+        for (let start = 0; start < faces.length; start++) {
+            if (seen[start]) continue;
+            seen[start] = 1;
+            stack.push(start);
+
+            while (stack.length > 0) {
+                const i = stack.pop();
+                const f = faces[i];
+                for (let k = 0; k < 3; k++) {
+                    const a = f[k], b = f[(k + 1) % 3];
+                    const key = Math.min(a, b) * points.length + Math.max(a, b);
+                    for (let h = edges.map.get(key); h >= 0; h = edges.next[h]) {
+                        const j = (h / 3) | 0;
+                        if (seen[j]) continue;
+                        seen[j] = 1;
+                        // Mesmo sentido na aresta comum: orientação oposta à da face i
+                        flip[j] = flip[i] ^ (forward(h) === forward(i * 3 + k) ? 1 : 0);
+                        stack.push(j);
+                    }
+                }
+            }
+        }
+
+        // Volume com sinal de cada corpo, já com as inversões
+        faces.forEach((f, i) => {
+            const a = points[f[0]];
+            const b = points[flip[i] ? f[2] : f[1]];
+            const c = points[flip[i] ? f[1] : f[2]];
+            volume[shells.of[i]] += (a[0] * (b[1] * c[2] - b[2] * c[1]) -
+                a[1] * (b[0] * c[2] - b[2] * c[0]) +
+                a[2] * (b[0] * c[1] - b[1] * c[0])) / 6;
+        });
+
+        faces.forEach((f, i) => {
+            if (volume[shells.of[i]] < 0) flip[i] ^= 1;
+        });
+
+        return flip;
+    },
+
+    /**
+     * Conta os triângulos que cruzam outro do mesmo corpo (sem vértices em
+     * comum). Usa uma grade no plano XY para limitar os pares testados e
+     * para de testar um triângulo no primeiro cruzamento encontrado.
+     * @returns {Object} { count, partial }
+     * @private
+     */
+    _selfIntersections(points, faces, shells) {
+        const n = faces.length;
+        const box = new Float64Array(n * 6);
+        let extent = 0, valid = 0;
+
+        faces.forEach((f, i) => {
+            const o = i * 6;
+            box[o] = box[o + 1] = box[o + 2] = Infinity;
+            box[o + 3] = box[o + 4] = box[o + 5] = -Infinity;
+            if (this._isDegenerate(points, f)) return;
+            for (const v of f) {
+                for (let d = 0; d < 3; d++) {
+                    box[o + d] = Math.min(box[o + d], points[v][d]);
+                    box[o + 3 + d] = Math.max(box[o + 3 + d], points[v][d]);
+                }
+            }
+            extent += Math.max(box[o + 3] - box[o], box[o + 4] - box[o + 1]);
+            valid++;
+        });
+        if (valid < 2) return { count: 0, partial: false };
+
+        // Grade com células do tamanho médio dos triângulos
+        const cell = Math.max(extent / valid, this.EPSILON);
+        const grid = new Map();
+        const cells = (i, visit) => {
+            const o = i * 6;
+            for (let cx = Math.floor(box[o] / cell); cx <= Math.floor(box[o + 3] / cell); cx++) {
+                for (let cy = Math.floor(box[o + 1] / cell); cy <= Math.floor(box[o + 4] / cell); cy++) {
+                    visit(cx + ',' + cy);
+                }
+            }
+        };
+
+        for (let i = 0; i < n; i++) {
+            if (box[i * 6] === Infinity) continue;
+            cells(i, (key) => {
+                if (!grid.has(key)) grid.set(key, []);
+                grid.get(key).push(i);
+            });
+        }
+
+        // Plano de cada face (normal unitária e deslocamento), para descartar
+        // rápido os pares em que um triângulo fica todo de um lado do outro
+        const plane = new Float64Array(n * 4);
+        faces.forEach((f, i) => {
+            if (box[i * 6] === Infinity) return;
+            const nv = this._normal(points[f[0]], points[f[1]], points[f[2]]);
+            const len = Math.hypot(nv[0], nv[1], nv[2]);
+            const p = points[f[0]];
+            plane[i * 4] = nv[0] / len;
+            plane[i * 4 + 1] = nv[1] / len;
+            plane[i * 4 + 2] = nv[2] / len;
+            plane[i * 4 + 3] = (nv[0] * p[0] + nv[1] * p[1] + nv[2] * p[2]) / len;
+        });
+        const oneSide = (i, f) => {
+            const o = i * 4;
+            let pos = 0, neg = 0;
+            for (const v of f) {
+                const p = points[v];
+                const d = plane[o] * p[0] + plane[o + 1] * p[1] + plane[o + 2] * p[2] - plane[o + 3];
+                if (d > this.EPSILON) pos++;
+                else if (d < -this.EPSILON) neg++;
+            }
+            return pos === 3 || neg === 3;
+        };
+
+        const stamp = new Int32Array(n).fill(-1);
+        const hit = new Uint8Array(n);
+        let count = 0;
+        let pairs = 0;
+
+        for (let i = 0; i < n && pairs <= this.MAX_PAIRS; i++) {
+            if (box[i * 6] === Infinity || hit[i]) continue;
+            const fi = faces[i];
+
+            cells(i, (key) => {
+                for (const j of grid.get(key)) {
+                    if (hit[i]) return;
+                    if (j === i || stamp[j] === i) continue;
+                    stamp[j] = i;
+                    pairs++;
+
+                    const fj = faces[j];
+                    if (shells.of[i] !== shells.of[j]) continue;
+                    if (fj.includes(fi[0]) || fj.includes(fi[1]) || fj.includes(fi[2])) continue;
+                    if (!this._boxesOverlap(box, i, j) || oneSide(i, fj) || oneSide(j, fi)) continue;
+
+                    if (this._trianglesIntersect(
+                        points[fi[0]], points[fi[1]], points[fi[2]],
+                        points[fj[0]], points[fj[1]], points[fj[2]])) {
+                        count += hit[j] ? 1 : 2;
+                        hit[i] = hit[j] = 1;
+                    }
+                }
+            });
+        }
+
+        return { count, partial: pairs > this.MAX_PAIRS };
+    },
+
+    /** @private */
+    _boxesOverlap(box, i, j) {
+        const a = i * 6, b = j * 6, e = this.EPSILON;
+        for (let d = 0; d < 3; d++) {
+            if (box[a + d] > box[b + 3 + d] + e || box[b + d] > box[a + 3 + d] + e) return false;
+        }
+        return true;
+    },
+
+    /**
+     * Interseção entre dois triângulos (toques em um ponto ou ao longo
+     * de uma aresta não contam).
+     * @private
+     */
+    _trianglesIntersect(a0, a1, a2, b0, b1, b2) {
+        const e = this.EPSILON;
+        const dot = (u, v) => u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+        const unit = (v) => {
+            const len = Math.hypot(v[0], v[1], v[2]);
+            return [v[0] / len, v[1] / len, v[2] / len];
+        };
+
+        // Distâncias dos vértices de um triângulo ao plano do outro
+        const na = unit(this._normal(a0, a1, a2));
+        const nb = unit(this._normal(b0, b1, b2));
+        const dist = (n, p0, p) => {
+            const d = dot(n, p) - dot(n, p0);
+            return Math.abs(d) < e ? 0 : d;
+        };
+        const db = [b0, b1, b2].map(p => dist(na, a0, p));
+        const da = [a0, a1, a2].map(p => dist(nb, b0, p));
+
+        const sameSide = (d) => (d[0] > 0 && d[1] > 0 && d[2] > 0) || (d[0] < 0 && d[1] < 0 && d[2] < 0);
+        if (sameSide(db) || sameSide(da)) return false;
+
+        if (da.every(d => d === 0)) {
+            return this._coplanarIntersect([a0, a1, a2], [b0, b1, b2], na);
+        }
+
+        // Intervalos de cada triângulo sobre a reta de interseção dos planos
+        const dir = this._normal([0, 0, 0], na, nb);
+        const interval = (tri, d) => {
+            let lo = Infinity, hi = -Infinity;
+            const add = (p) => {
+                const t = dot(dir, p);
+                lo = Math.min(lo, t);
+                hi = Math.max(hi, t);
+            };
+            for (let k = 0; k < 3; k++) {
+                const p = tri[k], q = tri[(k + 1) % 3];
+                const dp = d[k], dq = d[(k + 1) % 3];
+                if (dp === 0) add(p);
+                if ((dp < 0 && dq > 0) || (dp > 0 && dq < 0)) {
+                    const t = dp / (dp - dq);
+                    add([p[0] + (q[0] - p[0]) * t, p[1] + (q[1] - p[1]) * t, p[2] + (q[2] - p[2]) * t]);
+                }
+            }
+            return [lo, hi];
+        };
+
+        const ia = interval([a0, a1, a2], da);
+        const ib = interval([b0, b1, b2], db);
+        return Math.min(ia[1], ib[1]) - Math.max(ia[0], ib[0]) > e;
+    },
+
+    /**
+     * Triângulos no mesmo plano: projeta no plano de maior área e testa
+     * cruzamento de arestas ou um triângulo dentro do outro.
+     * @private
+     */
+    _coplanarIntersect(ta, tb, n) {
+        const e = this.EPSILON;
+        const ax = Math.abs(n[0]), ay = Math.abs(n[1]), az = Math.abs(n[2]);
+        const [u, v] = az >= ax && az >= ay ? [0, 1] : ay >= ax ? [0, 2] : [1, 2];
+        const A = ta.map(p => [p[u], p[v]]);
+        const B = tb.map(p => [p[u], p[v]]);
+
+        const cross = (o, p, q) => (p[0] - o[0]) * (q[1] - o[1]) - (p[1] - o[1]) * (q[0] - o[0]);
+
+        // Cruzamento próprio entre arestas (sem contar toques)
+        for (let i = 0; i < 3; i++) {
+            const p = A[i], p2 = A[(i + 1) % 3];
+            for (let j = 0; j < 3; j++) {
+                const q = B[j], q2 = B[(j + 1) % 3];
+                const d1 = cross(p, p2, q), d2 = cross(p, p2, q2);
+                const d3 = cross(q, q2, p), d4 = cross(q, q2, p2);
+                if (((d1 > e && d2 < -e) || (d1 < -e && d2 > e)) &&
+                    ((d3 > e && d4 < -e) || (d3 < -e && d4 > e))) {
+                    return true;
+                }
+            }
+        }
+
+        // Um vértice estritamente dentro do outro triângulo
+        const inside = (p, T) => {
+            const s = Math.sign(cross(T[0], T[1], T[2]));
+            return [0, 1, 2].every(k => s * cross(T[k], T[(k + 1) % 3], p) > e);
+        };
+        return A.some(p => inside(p, B)) || B.some(p => inside(p, A));
+    }
+};
@@ -14,40 +14,140 @@ const ModelGenerator = {
     SHAPE_MAP: 0,
     SHAPE_LINEAR: 1,
     SHAPE_RING: 2,
+    SHAPE_SPIRAL: 3,
+
+    // Suavização / simplificação da trilha
+    SMOOTH_AUTO: 0,         // distância mínima a partir da largura do caminho
+    SMOOTH_MANUAL: 1,       // distância mínima em metros (options.smoothspan)
+    SMOOTH_DOUGLAS: 2,      // Douglas–Peucker, tolerância em mm do modelo
+    SMOOTH_VISVALINGAM: 3,  // Visvalingam–Whyatt, tolerância em mm do modelo
 
     // Tipos de projeção
     PROJ_GOOGLE: 0,
     PROJ_CUSTOM: 1,
     PROJ_UTM: 2,
 
+    // Tratamento das lacunas entre segmentos (<trkseg>)
+    GAP_BRIDGE: 0,  // liga os segmentos com o caminho normal
+    GAP_BREAK: 1,   // sólidos separados, sem ligação
+    GAP_DASHED: 2,  // ligação baixa e tracejada
+
+    // Estilo dos waypoints (<wpt>)
+    WAYPOINT_NONE: 0,
+    WAYPOINT_PIN: 1,
+    WAYPOINT_FLAG: 2,
+
+    // Distância máxima (m) entre um waypoint e a trilha para ele ser incluído
+    WAYPOINT_MAX_DIST: 500,
+
+    // Largura variável: fração da largura do caminho nos extremos do canal
+    WIDTH_MIN: 0.5,
+    WIDTH_MAX: 1.5,
+
+    // Largura variável por métricas calculadas da trilha (além dos sensores)
+    WIDTH_GRADE: 'grade',
+    WIDTH_SPEED: 'speed',
+
+    // Extensão mínima (m) da janela da inclinação
+    GRADE_WINDOW: 50,
+
+    // Máximo de anéis seguidos removidos ao desfazer uma dobra do caminho
+    MAX_FOLD: 3,
+    // Comprimento máximo (em larguras do caminho) de uma curva fechada cujos
+    // anéis sobrepostos são unidos em um só no reparo
+    FOLD_LENGTH: 10,
+
+    // Formato da base (plinto) sob o caminho
+    PLATE_NONE: '',
+    PLATE_RECT: 'rect',
+    PLATE_ROUNDED: 'rounded',
+    PLATE_CIRCLE: 'circle',
+
+    // Furo de pendurar / fenda para suporte na base (mm)
+    PLATE_HOLE_RADIUS: 2.5,
+    PLATE_SLOT_WIDTH: 3,
+    PLATE_SLOT_LENGTH: 40,
+    PLATE_WALL: 1.5,
+
+    // Texto: menor altura de caractere aceita e folga até as bordas (mm)
+    LABEL_MIN_SIZE: 1.5,
+    LABEL_MARGIN: 1,
+
+    // Cor de cada corpo nos formatos com materiais ou cores (3MF, PLY, glTF)
+    BODY_COLORS: {
+        profile: '#D35400',
+        terrain: '#8D6E63',
+        plate: '#ECEFF1',
+        label: '#263238',
+        markers: '#C0392B',
+        waypoints: '#2980B9'
+    },
+
+    // Métricas da trilha para colorir o caminho (preview e exportações)
+    COLOR_RAMPS: {
+        elevation: { label: 'Elevação', unit: 'm' },
+        grade: { label: 'Inclinação', unit: '%' },
+        distance: { label: 'Distância', unit: 'km' },
+        speed: { label: 'Velocidade', unit: 'km/h' }
+    },
+
+    // Escala de cores, do menor ao maior valor (divergente: a inclinação
+    // fica simétrica em torno de zero, descidas em azul e subidas em vermelho)
+    RAMP_STOPS: ['#2C7BB6', '#ABD9E9', '#FFFFBF', '#FDAE61', '#D7191C'],
+
+    // Cores distintas da escala no 3MF (materiais base)
+    RAMP_STEPS: 16,
+
     /**
      * Gera o modelo 3D a partir dos pontos GPX e opções.
      *
-     * @param {number[][]} pts - Array de [lon, lat, ele]
+     * @param {number[][]} pts - Array de [lon, lat, ele, time, hr, cad, power, temp] (time em ms, NaN se ausente)
      * @param {Object} options - Opções de geração
      * @param {function} [onProgress] - Callback de progresso (0-100)
-     * @returns {Object} { code, bounds, distance, outputPoints, scale }
+     * @returns {Object} { code, meshCheck, tiles, bounds, distance, outputPoints, scale }
+     *   (tiles: resultado de Tiles.split, ou null sem a divisão em blocos)
      */
     generate(pts, options, onProgress) {
+        // Margem da mesa: meia largura máxima do caminho, mais a borda da base
+        const margin = options.buffer * (options.widthsource ? Math.max(1, options.widthMax || this.WIDTH_MAX) : 1);
+        const plate = options.plate ? {
+            margin: Math.max(0, options.plateMargin || 0),
+            thickness: Math.max(0, options.plateThickness || 0)
+        } : null;
+        const border = margin + (plate ? plate.margin : 0);
+
         const ctx = {
             options,
+            margin,
+            plate,
             bed: {
-                x: options.bedx - (2 * options.buffer),
-                y: options.bedy - (2 * options.buffer)
+                x: options.bedx - (2 * border),
+                y: options.bedy - (2 * border)
             },
             ll: [],
             d: [],
+            gaps: [],
             distance: 0,
             ringRadius: 0,
+            spiral: null,
             smoothTotal: 0,
             projectedPoints: [],
             outputPoints: [],
             markers: [],
+            waypoints: [],
+            pathSolids: [],
             bounds: null,
             offset: null,
-            scale: null
+            scale: null,
+            sensorZ: null,
+            terrain: null
         };
 
+        // Canal de sensor como fonte da altura (Z) no lugar da elevação
+        if (options.zsource && options.zsource !== 'ele') {
+            pts = this._sensorZ(ctx, pts, options.zsource);
+        }
+
         if (onProgress) onProgress(10);
 
         // Fase 1: Escanear pontos (distâncias, suavização, marcadores)
@@ -58,27 +158,59 @@ const ModelGenerator = {
         this._projectPoints(ctx);
         if (onProgress) onProgress(50);
 
-        // Fase 3: Escalar e centralizar
+        // Fase 3: Escalar e centralizar (o caminho fica sobre a base, se houver)
         const zscale = this._calculateZScale(ctx);
+        const zbase = ctx.options.base + (plate ? plate.thickness : 0);
+        const zfit = ctx.sensorZ
+            ? (z) => (z - ctx.sensorZ.min) * ctx.sensorZ.scale + zbase
+            : (z) => zscale * (z - ctx.offset[2]) * ctx.options.vertical + zbase;
+        const rise = this._spiralRise(ctx);
         const fit = (v) => [
             ctx.scale * (v[0] - ctx.offset[0]),
             ctx.scale * (v[1] - ctx.offset[1]),
-            zscale * (v[2] - ctx.offset[2]) * ctx.options.vertical + ctx.options.base
+            zfit(v[2]) + rise(v)
         ];
 
-        ctx.outputPoints = ctx.projectedPoints.map(fit);
+        // Base de relevo: amostrar o DEM antes de fixar as alturas
+        if (options.terrain) this._terrainField(ctx);
+
+        // Pontos de saída: [x, y, z] ou [x, y, z, meia largura] com largura variável
+        const widths = this._pathWidths(ctx);
+        ctx.outputPoints = ctx.projectedPoints.map((v, i) =>
+            widths ? fit(v).concat(widths[i]) : fit(v));
         ctx.markers = ctx.markers.map(m => ({
             location: fit(m.location),
             orientation: m.orientation
         }));
+        ctx.waypoints = ctx.waypoints.map(w => ({
+            name: w.name,
+            sym: w.sym,
+            location: fit(w.location),
+            orientation: w.orientation
+        }));
+        if (ctx.terrain) this._placeOnTerrain(ctx, zfit);
         if (onProgress) onProgress(70);
 
         // Fase 4: Gerar geometria do caminho
         const code = this._processPath(ctx);
         if (onProgress) onProgress(90);
 
+        if (options.meshRepair) code.repair();
+        const meshCheck = code.check();
+        if (onProgress) onProgress(95);
+
+        // Tamanho real: dividir em blocos do tamanho da mesa da impressora
+        const tiles = options.tiles ? Tiles.split(code.mesh(), {
+            bedx: options.tileBedx,
+            bedy: options.tileBedy,
+            joint: options.tileJoint,
+            floor: zbase
+        }) : null;
+
         return {
             code,
+            meshCheck,
+            tiles,
             bounds: ctx.bounds,
             distance: ctx.distance,
             outputPoints: ctx.outputPoints,
@@ -87,6 +219,133 @@ const ModelGenerator = {
         };
     },
 
+    /**
+     * Substitui a elevação dos pontos pelo canal de sensor escolhido
+     * (falhas preenchidas por interpolação) e guarda a faixa de valores,
+     * mapeada de 0 a options.sensorHeight mm acima da base.
+     * @private
+     */
+    _sensorZ(ctx, pts, key) {
+        const series = Sensors.series(pts, key);
+        if (!series) {
+            throw new Error(`A trilha não tem dados de ${Sensors.CHANNELS[key].label.toLowerCase()}.`);
+        }
+
+        let min = Infinity, max = -Infinity;
+        for (const v of series) {
+            if (v < min) min = v;
+            if (v > max) max = v;
+        }
+
+        ctx.sensorZ = {
+            min,
+            scale: max > min ? (ctx.options.sensorHeight || 20) / (max - min) : 0
+        };
+
+        return PointBuffer.withColumn(pts, 2, i => series[i]);
+    },
+
+    /**
+     * Meia largura do caminho em cada ponto filtrado (ctx.ll), modulada
+     * pela métrica escolhida em options.widthsource: inclinação,
+     * velocidade ou um canal de sensor. Retorna null quando a largura é
+     * constante.
+     * @private
+     */
+    _pathWidths(ctx) {
+        const key = ctx.options.widthsource;
+        if (!key) return null;
+
+        const series = this._widthSeries(ctx, key);
+
+        let min = Infinity, max = -Infinity;
+        for (const v of series) {
+            if (v < min) min = v;
+            if (v > max) max = v;
+        }
+
+        const lo = ctx.options.widthMin ?? this.WIDTH_MIN;
+        const hi = ctx.options.widthMax ?? this.WIDTH_MAX;
+        return Array.from(series, v => {
+            const t = max > min ? (v - min) / (max - min) : 0.5;
+            return ctx.options.buffer * (lo + t * (hi - lo));
+        });
+    },
+
+    /**
+     * Valores da métrica da largura variável em cada ponto filtrado.
+     * Inclinação e velocidade são calculadas segmento a segmento, para
+     * não atravessar as lacunas da gravação.
+     * @private
+     */
+    _widthSeries(ctx, key) {
+        if (key !== this.WIDTH_GRADE && key !== this.WIDTH_SPEED) {
+            const series = Sensors.series(ctx.ll, key);
+            if (!series) {
+                throw new Error(`A trilha não tem dados de ${Sensors.CHANNELS[key].label.toLowerCase()}.`);
+            }
+            return series;
+        }
+
+        if (key === this.WIDTH_GRADE && ctx.sensorZ) {
+            throw new Error('A largura por inclinação usa a elevação: escolha a elevação como fonte da altura (Z).');
+        }
+
+        const series = this._segmentSeries(ctx, key);
+        if (!series) {
+            throw new Error(key === this.WIDTH_GRADE
+                ? 'A trilha é curta demais para calcular a inclinação.'
+                : 'A trilha não tem horários para calcular a velocidade.');
+        }
+        return series;
+    },
+
+    /**
+     * Inclinação (fração) ou velocidade (m/s) em cada ponto filtrado,
+     * calculadas segmento a segmento, para não atravessar as lacunas da
+     * gravação. Retorna null se não há nenhum valor.
+     * @private
+     */
+    _segmentSeries(ctx, key) {
+        const values = new Float64Array(ctx.ll.length);
+        const starts = [0].concat(ctx.gaps, [ctx.ll.length]);
+        for (let k = 1; k < starts.length; k++) {
+            const segment = ctx.ll.slice(starts[k - 1], starts[k]);
+            values.set(key === this.WIDTH_GRADE
+                ? pointGrades(segment, this.GRADE_WINDOW)
+                : pointSpeeds(segment), starts[k - 1]);
+        }
+        return Sensors.fill(values);
+    },
+
+    /**
+     * Linha central do caminho (x, y e topo z em mm) e as métricas de COLOR_RAMPS
+     * em cada ponto, nas unidades da legenda, para ModelCode.colorRamp.
+     * Métricas indisponíveis (velocidade sem horários) ficam null; com um
+     * canal de sensor como altura, a "elevação" é esse canal.
+     * @private
+     */
+    _trackValues(ctx) {
+        const values = {
+            elevation: Float64Array.from(ctx.ll, p => p[2]),
+            grade: ctx.sensorZ ? null : this._segmentSeries(ctx, this.WIDTH_GRADE),
+            distance: new Float64Array(ctx.ll.length),
+            speed: this._segmentSeries(ctx, this.WIDTH_SPEED)
+        };
+        for (let i = 1; i < ctx.ll.length; i++) {
+            values.distance[i] = values.distance[i - 1] + ctx.d[i - 1] / 1000;
+        }
+        if (values.grade) values.grade = values.grade.map(v => v * 100);
+        if (values.speed) values.speed = values.speed.map(v => v * 3.6);
+
+        const channel = ctx.sensorZ && Sensors.CHANNELS[ctx.options.zsource];
+        return {
+            points: ctx.outputPoints.map(p => [p[0], p[1], p[2]]),
+            values,
+            labels: channel ? { elevation: { label: channel.label, unit: channel.unit } } : {}
+        };
+    },
+
     /**
      * Calcula o fator de escala Z, considerando projeções customizadas.
      * @private
@@ -161,6 +420,7 @@ const ModelGenerator = {
 
         ctx.distance = totaldist;
         ctx.ringRadius = totaldist / (Math.PI * 2);
+        if (ctx.options.shapetype === this.SHAPE_SPIRAL) this._spiralParams(ctx);
 
         // Configurar projeção
         if (ctx.options.projtype === this.PROJ_UTM) {
@@ -193,10 +453,21 @@ const ModelGenerator = {
             });
         }
 
+        // Posicionar waypoints sobre a trilha
+        this._snapWaypoints(ctx, rawpoints, rawpointcd);
+
+        const breaks = new Set(ctx.options.breaks || []);
+
+        // Simplificação que preserva a forma, no espaço projetado
+        if (ctx.options.smoothtype === this.SMOOTH_DOUGLAS || ctx.options.smoothtype === this.SMOOTH_VISVALINGAM) {
+            this._simplify(ctx, rawpoints, rawpointcd, breaks);
+            return;
+        }
+
         // Calcular distância de suavização
         let smoothingDistance = ctx.options.smoothspan;
 
-        if (ctx.options.smoothtype === 0) {
+        if (ctx.options.smoothtype === this.SMOOTH_AUTO) {
             // Suavização automática
             let scale = null;
             if (ctx.options.shapetype === this.SHAPE_MAP) {
@@ -207,39 +478,159 @@ const ModelGenerator = {
                 scale = calcScale(ctx.bed, ctx.distance, 0);
             } else if (ctx.options.shapetype === this.SHAPE_RING) {
                 scale = calcScale(ctx.bed, 2 * ctx.ringRadius, 2 * ctx.ringRadius);
+            } else if (ctx.options.shapetype === this.SHAPE_SPIRAL) {
+                scale = calcScale(ctx.bed, 2 * ctx.spiral.radius, 2 * ctx.spiral.radius);
             }
             smoothingDistance = Math.floor(ctx.options.buffer / scale);
         }
 
         // Aplicar filtro de suavização por distância mínima
-        this._distFilter(ctx, rawpoints, smoothingDistance);
+        this._distFilter(ctx, rawpoints, smoothingDistance, breaks);
+    },
+
+    /**
+     * Simplifica cada segmento da trilha por Douglas–Peucker ou
+     * Visvalingam–Whyatt sobre os pontos já projetados para a forma
+     * escolhida, em mm do modelo (escala estimada pelos limites
+     * projetados, altura com o exagero vertical), com tolerância
+     * options.simplifyTolerance. As pontas dos segmentos são mantidas.
+     * Preenche ctx.ll, ctx.d, ctx.gaps e ctx.smoothTotal como _distFilter.
+     * @private
+     */
+    _simplify(ctx, points, pointcd, breaks) {
+        const projected = points.map((p, i) =>
+            this._projectPoint(ctx, p, (i === 0 ? 0 : pointcd[i - 1]) / ctx.distance));
+
+        let bounds = new Bounds(projected[0]);
+        for (const p of projected) bounds.update(p);
+        if (ctx.options.regionfit) {
+            bounds = Object.assign(bounds, {
+                minx: ctx.options.region_minx, maxx: ctx.options.region_maxx,
+                miny: ctx.options.region_miny, maxy: ctx.options.region_maxy
+            });
+        }
+        const scale = scaleBounds(bounds, ctx.bed);
+        const zscale = ctx.sensorZ ? ctx.sensorZ.scale : scale * ctx.options.vertical;
+        const model = projected.map(p => [p[0] * scale, p[1] * scale, p[2] * zscale]);
+
+        const simplify = ctx.options.smoothtype === this.SMOOTH_DOUGLAS
+            ? simplifyDouglasPeucker : simplifyVisvalingam;
+        const tolerance = Math.max(0, ctx.options.simplifyTolerance || 0);
+
+        // Segmentos entre as quebras, simplificados um a um
+        const starts = [0].concat([...breaks].filter(b => b > 0 && b < points.length).sort((a, b) => a - b));
+        const kept = [];
+        starts.forEach((start, k) => {
+            const end = k + 1 < starts.length ? starts[k + 1] : points.length;
+            for (const i of simplify(model.slice(start, end), tolerance)) kept.push(start + i);
+        });
+
+        const dist = (a, b) => distVincenty(a[1], a[0], b[1], b[0]);
+        ctx.ll = kept.map(i => points[i]);
+        ctx.d = [];
+        ctx.gaps = [];
+        ctx.smoothTotal = 0;
+        for (let k = 1; k < kept.length; k++) {
+            const d = dist(points[kept[k - 1]], points[kept[k]]);
+            if (breaks.has(kept[k])) ctx.gaps.push(k);
+            ctx.d.push(d);
+            ctx.smoothTotal += d;
+        }
+    },
+
+    /**
+     * Encaixa cada waypoint no ponto mais próximo da trilha (sobre os
+     * segmentos, não só nos vértices) e o projeta como os marcadores.
+     * Waypoints a mais de WAYPOINT_MAX_DIST da trilha são ignorados.
+     * @private
+     */
+    _snapWaypoints(ctx, pts, ptcd) {
+        const wpts = ctx.options.waypoints || [];
+        if (!ctx.options.waypointStyle || wpts.length === 0) return;
+
+        const cdAt = (i) => (i === 0 ? 0 : ptcd[i - 1]);
+
+        // Aproximação plana local (metros) para a busca do mais próximo
+        const kx = 111320 * Math.cos(pts[0][1] * Math.PI / 180);
+        const ky = 110540;
+
+        for (const w of wpts) {
+            let best = null;
+
+            for (let i = 1; i < pts.length; i++) {
+                const ax = (pts[i - 1][0] - w.lon) * kx, ay = (pts[i - 1][1] - w.lat) * ky;
+                const dx = (pts[i][0] - w.lon) * kx - ax, dy = (pts[i][1] - w.lat) * ky - ay;
+                const len2 = dx * dx + dy * dy;
+                const t = len2 > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2)) : 0;
+                const dist = Math.hypot(ax + t * dx, ay + t * dy);
+
+                if (!best || dist < best.dist) best = { dist, seg: i, t };
+            }
+
+            if (!best || best.dist > this.WAYPOINT_MAX_DIST) continue;
+
+            const a = pts[best.seg - 1], b = pts[best.seg], t = best.t;
+            const location = [
+                a[0] + t * (b[0] - a[0]),
+                a[1] + t * (b[1] - a[1]),
+                a[2] + t * (b[2] - a[2])
+            ];
+            const pos = cdAt(best.seg - 1) + t * (cdAt(best.seg) - cdAt(best.seg - 1));
+
+            ctx.waypoints.push({
+                name: w.name,
+                sym: w.sym,
+                location: this._projectPoint(ctx, location, pos / ctx.distance),
+                orientation: vectorAngle(
+                    this._projectPoint(ctx, a, cdAt(best.seg - 1) / ctx.distance),
+                    this._projectPoint(ctx, b, cdAt(best.seg) / ctx.distance)
+                )
+            });
+        }
     },
 
     /**
      * Filtra pontos por distância mínima (suavização).
+     * O primeiro e o último ponto de cada segmento são sempre mantidos,
+     * e os índices filtrados onde começa um novo segmento vão para ctx.gaps.
      * @private
      */
-    _distFilter(ctx, points, mindist) {
+    _distFilter(ctx, points, mindist, breaks) {
         const filteredPts = [points[0]];
         const filteredDst = [];
+        const gaps = [];
         let total = 0;
 
+        const dist = (a, b) => distVincenty(a[1], a[0], b[1], b[0]);
+
         for (let cur = 1, pre = 0; cur < points.length; cur++) {
-            const dist = distVincenty(
-                points[cur][1], points[cur][0],
-                filteredPts[pre][1], filteredPts[pre][0]
-            );
+            const d = dist(points[cur], filteredPts[pre]);
+            const isStart = breaks.has(cur);
+            const isEnd = breaks.has(cur + 1);
 
-            if (mindist === 0 || dist >= mindist) {
+            if (mindist === 0 || d >= mindist || isStart) {
+                if (isStart) gaps.push(pre + 1);
                 filteredPts.push(points[cur]);
-                filteredDst.push(dist);
-                total += dist;
+                filteredDst.push(d);
+                total += d;
+                pre += 1;
+            } else if (isEnd && pre > 0 && gaps[gaps.length - 1] !== pre) {
+                // Fim de segmento próximo demais: substitui o último ponto mantido
+                total -= filteredDst[pre - 1];
+                filteredPts[pre] = points[cur];
+                filteredDst[pre - 1] = dist(points[cur], filteredPts[pre - 1]);
+                total += filteredDst[pre - 1];
+            } else if (isEnd) {
+                filteredPts.push(points[cur]);
+                filteredDst.push(d);
+                total += d;
                 pre += 1;
             }
         }
 
         ctx.ll = filteredPts;
         ctx.d = filteredDst;
+        ctx.gaps = gaps;
         ctx.smoothTotal = total;
     },
 
@@ -252,10 +643,61 @@ const ModelGenerator = {
             return PointProjector.linear(point, cdr, ctx.distance);
         } else if (ctx.options.shapetype === this.SHAPE_RING) {
             return PointProjector.ring(point, cdr, ctx.ringRadius);
+        } else if (ctx.options.shapetype === this.SHAPE_SPIRAL) {
+            return PointProjector.spiral(point, cdr, ctx.spiral);
         }
         return PointProjector.project(point);
     },
 
+    /**
+     * Parâmetros da espiral (em metros) para que options.spiralTurns voltas,
+     * separadas por options.spiralSpacing mm, preencham o menor lado da mesa.
+     * O comprimento da espiral em mm fixa a escala que converte tudo para metros.
+     * @private
+     */
+    _spiralParams(ctx) {
+        const turns = ctx.options.spiralTurns;
+        const spacing = ctx.options.spiralSpacing;
+        const outer = Math.min(ctx.bed.x, ctx.bed.y) / 2;
+        const inner = outer - turns * spacing;
+
+        if (!(turns > 0 && spacing > 0)) {
+            throw new Error('A espiral deve ter número de voltas e espaçamento maiores que 0.');
+        }
+        if (spacing <= 2 * ctx.margin) {
+            throw new Error(`O espaçamento entre voltas deve ser maior que a largura do caminho (${(2 * ctx.margin).toFixed(1)} mm).`);
+        }
+        if (inner <= ctx.margin) {
+            throw new Error('Voltas demais para o espaçamento e o tamanho da mesa: reduza as voltas ou o espaçamento.');
+        }
+
+        // Comprimento em mm da espiral de raio inicial inner e passo spacing
+        const length = 2 * Math.PI * turns * (inner + turns * spacing / 2);
+        const k = length / ctx.distance;
+
+        ctx.spiral = {
+            r0: inner / k,
+            b: spacing / k / (2 * Math.PI),
+            pitch: spacing / k,
+            radius: outer / k,
+            length: ctx.distance
+        };
+    },
+
+    /**
+     * Subida da hélice: função de um ponto projetado (metros) para a altura
+     * extra em mm, options.spiralRise por volta a partir do centro. Zero
+     * fora da forma espiral.
+     * @private
+     */
+    _spiralRise(ctx) {
+        const rise = ctx.options.spiralRise || 0;
+        if (!ctx.spiral || rise <= 0) return () => 0;
+
+        const { r0, pitch } = ctx.spiral;
+        return (v) => rise * Math.max(0, Math.hypot(v[0], v[1]) - r0) / pitch;
+    },
+
     /**
      * Projeta todos os pontos filtrados e calcula bounds.
      * @private
@@ -285,40 +727,409 @@ const ModelGenerator = {
         ctx.scale = scaleBounds(ctx.bounds, ctx.bed);
     },
 
+    /**
+     * Área ocupada pelo modelo em mm: bounds (já com a região personalizada)
+     * mais a meia largura máxima do caminho.
+     * @private
+     */
+    _modelArea(ctx) {
+        return {
+            minx: ctx.scale * (ctx.bounds.minx - ctx.offset[0]) - ctx.margin,
+            maxx: ctx.scale * (ctx.bounds.maxx - ctx.offset[0]) + ctx.margin,
+            miny: ctx.scale * (ctx.bounds.miny - ctx.offset[1]) - ctx.margin,
+            maxy: ctx.scale * (ctx.bounds.maxy - ctx.offset[1]) + ctx.margin
+        };
+    },
+
+    /**
+     * Amostra o DEM em uma grade sobre a área do modelo (bounds, já com a
+     * região personalizada, mais a margem do caminho) e rebaixa o corte
+     * de Z para que o terreno inteiro fique acima da base.
+     * @private
+     */
+    _terrainField(ctx) {
+        const opts = ctx.options;
+        if (opts.shapetype !== this.SHAPE_MAP) {
+            throw new Error('O relevo do terreno só está disponível na forma Mapa.');
+        }
+        if (ctx.sensorZ) {
+            throw new Error('O relevo do terreno usa a elevação; escolha a elevação como fonte da altura.');
+        }
+        if (!opts.terrainTiles || opts.terrainTiles.length === 0) {
+            throw new Error('Carregue um arquivo de DEM para gerar o relevo do terreno.');
+        }
+
+        const field = Terrain.heightfield(opts.terrainTiles, this._modelArea(ctx), opts.terrainResolution || 1,
+            (x, y) => PointProjector.projection.inverse([
+                x / ctx.scale + ctx.offset[0],
+                y / ctx.scale + ctx.offset[1]
+            ]));
+
+        if (field.min - 1 < ctx.offset[2]) ctx.offset[2] = Math.floor(field.min - 1);
+        ctx.terrain = { field, z: null };
+    },
+
+    /**
+     * Converte a grade do terreno para mm e assenta caminho, marcadores e
+     * waypoints sobre a superfície: em relevo (terrainRaise mm acima) ou
+     * nivelados com ela (terrainRaise = 0, para embutir em outra cor).
+     * @private
+     */
+    _placeOnTerrain(ctx, zfit) {
+        const { field } = ctx.terrain;
+        const z = ctx.terrain.z = field.ele.map(zfit);
+        const raise = Math.max(0, ctx.options.terrainRaise || 0);
+        const place = (v, r) => {
+            v[2] = Terrain.maxAround(field, z, v[0], v[1], r) + raise;
+        };
+
+        for (const v of ctx.outputPoints) place(v, v.length > 3 ? v[3] : ctx.options.buffer);
+        for (const m of ctx.markers) place(m.location, ctx.options.buffer);
+        for (const w of ctx.waypoints) place(w.location, ctx.options.buffer);
+    },
+
     /**
      * Gera a geometria do caminho (vértices e faces do poliedro).
+     * Cada trecho entre lacunas vira um sólido fechado, conforme ctx.options.gapmode.
      * @private
      */
     _processPath(ctx) {
+        const vertices = [];
+        const faces = [];
+        const pts = ctx.outputPoints;
+
+        if (ctx.options.gapmode === this.GAP_BREAK || ctx.options.gapmode === this.GAP_DASHED) {
+            const starts = [0].concat(ctx.gaps, [pts.length]);
+
+            for (let k = 0; k + 1 < starts.length; k++) {
+                const run = pts.slice(starts[k], starts[k + 1]);
+                if (run.length >= 2) this._pathSolid(ctx, run, vertices, faces);
+
+                if (ctx.options.gapmode === this.GAP_DASHED && k + 2 < starts.length) {
+                    this._dashedConnector(ctx, pts[starts[k + 1] - 1], pts[starts[k + 1]], vertices, faces);
+                }
+            }
+        } else {
+            this._pathSolid(ctx, pts, vertices, faces);
+        }
+
+        const solids = [];
+        if (ctx.terrain) {
+            const terrain = { name: 'terrain', caption: 'Terrain', points: [], faces: [] };
+            Terrain.solid(ctx.terrain.field, ctx.terrain.z, terrain.points, terrain.faces);
+            solids.push(terrain);
+        }
+        const label = this._label(ctx);
+        if (ctx.plate) {
+            solids.push(label && label.engrave
+                ? this._plateSolid(ctx, label.polygons, label.depth)
+                : this._plateSolid(ctx));
+        }
+        if (label && !label.engrave) solids.push(this._labelSolid(label));
+
+        return new ModelCode(vertices, faces, ctx.markers, {
+            solids,
+            track: this._trackValues(ctx),
+            markerWidth: 2 * ctx.options.buffer + 2,
+            markerBody: ctx.options.markerBody,
+            paths: ctx.pathSolids,
+            waypoints: ctx.waypoints,
+            waypointStyle: ctx.options.waypointStyle,
+            pinRadius: Math.max(0.6, 0.4 * ctx.options.buffer),
+            pinHeight: Math.max(6, 3 * ctx.options.buffer),
+            pinHeadRadius: ctx.options.buffer + 0.5,
+            flagWidth: 3 * ctx.options.buffer,
+            flagHeight: 2 * ctx.options.buffer
+        });
+    },
+
+    /**
+     * Base (plinto) sob o caminho: retângulo, retângulo arredondado ou
+     * círculo com a borda ctx.plate.margin em volta do modelo, de z = 0 até
+     * a espessura, com furo de pendurar ou fenda para suporte opcionais
+     * junto à borda de trás (+Y). O caminho começa no fundo e atravessa a
+     * base como outro sólido fechado, sobreposto a ela: a malha não é
+     * unida aqui, a união fica para o fatiador.
+     * @private
+     */
+    _plateSolid(ctx, pockets, depth) {
+        const opts = ctx.options;
+        const { margin, thickness } = ctx.plate;
+        if (thickness <= 0) {
+            throw new Error('A espessura da base deve ser maior que 0.');
+        }
+
+        const { outline, cx, cy, radius, back, width } = this._plateShape(ctx);
+
+        // Furo ou fenda centrado na borda de trás, dentro da margem
+        const holes = [];
+        if (opts.plateMount) {
+            const size = opts.plateMount === 'slot' ? this.PLATE_SLOT_WIDTH : 2 * this.PLATE_HOLE_RADIUS;
+            if (margin < size + 2 * this.PLATE_WALL) {
+                throw new Error(`A borda da base deve ter ao menos ${size + 2 * this.PLATE_WALL} mm para o ` +
+                    (opts.plateMount === 'slot' ? 'encaixe do suporte.' : 'furo de pendurar.'));
+            }
+
+            const y = back - this.PLATE_WALL - size / 2;
+            if (opts.plateMount === 'slot') {
+                let half = Math.min(this.PLATE_SLOT_LENGTH, width - 2 * this.PLATE_WALL) / 2;
+                if (radius) {
+                    // Na base circular, a fenda não pode passar da corda junto à borda
+                    const d = y - cy + size / 2;
+                    half = Math.min(half, Math.sqrt(radius * radius - d * d) - this.PLATE_WALL);
+                }
+                if (!(half > 0)) {
+                    throw new Error('A base é estreita demais para o encaixe do suporte.');
+                }
+                holes.push(Solid.rect(cx, y, -half, -size / 2, half, size / 2));
+            } else {
+                holes.push(Solid.circle(cx, y, this.PLATE_HOLE_RADIUS, 24));
+            }
+        }
+
+        const points = [];
+        const faces = [];
+        Solid.extrude(points, faces, outline, holes, 0, thickness, pockets, depth);
+
+        // Mesma ordem de faces do polyhedron do caminho (horária vista de fora)
+        return {
+            name: 'plate',
+            caption: 'Plate',
+            points,
+            faces: faces.map(f => [f[0], f[2], f[1]])
+        };
+    },
+
+    /**
+     * Contorno da base e suas medidas (calculado uma vez por geração).
+     * @private
+     * @returns {Object} { outline, cx, cy, radius (0 se não circular),
+     *   front, back (y das bordas), width (largura útil junto às bordas) }
+     */
+    _plateShape(ctx) {
+        if (ctx.plate.shape) return ctx.plate.shape;
+
+        const opts = ctx.options;
+        const { margin } = ctx.plate;
+        const area = this._modelArea(ctx);
+        const cx = (area.minx + area.maxx) / 2;
+        const cy = (area.miny + area.maxy) / 2;
+        let shape;
+
+        if (opts.plate === this.PLATE_CIRCLE) {
+            let radius = 0;
+            for (const v of ctx.outputPoints) {
+                radius = Math.max(radius, Math.hypot(v[0] - cx, v[1] - cy) + (v.length > 3 ? v[3] : opts.buffer));
+            }
+            radius += margin;
+            shape = {
+                outline: Solid.circle(cx, cy, radius, 64),
+                cx, cy, radius,
+                front: cy - radius,
+                back: cy + radius,
+                width: 2 * radius
+            };
+        } else {
+            const x0 = area.minx - margin, x1 = area.maxx + margin;
+            const y0 = area.miny - margin, y1 = area.maxy + margin;
+            const corner = opts.plate === this.PLATE_ROUNDED
+                ? Math.min(opts.plateCorner || 0, (x1 - x0) / 2, (y1 - y0) / 2) : 0;
+            shape = {
+                outline: corner > 0
+                    ? Solid.roundedRect(x0, y0, x1, y1, corner)
+                    : Solid.rect(0, 0, x0, y0, x1, y1),
+                cx, cy, radius: 0,
+                front: y0,
+                back: y1,
+                width: x1 - x0 - 2 * corner
+            };
+        }
+
+        ctx.plate.shape = shape;
+        return shape;
+    },
+
+    /**
+     * Texto (options.labelText) na borda da frente da base ou na lateral
+     * do perfil linear, já ajustado ao espaço disponível.
+     * @private
+     * @returns {Object|null} { polygons, engrave, depth, z0, z1, map }: polígonos
+     *   no plano do texto, faixa de extrusão [z0, z1] e map(p) para a posição final
+     */
+    _label(ctx) {
+        const opts = ctx.options;
+        const text = (opts.labelText || '').trim();
+        if (!opts.label || !text) return null;
+
+        const engrave = opts.labelMode === 'engrave';
+        const depth = Math.max(0.2, opts.labelDepth || 0.6);
+
+        if (opts.label === 'side') {
+            if (opts.shapetype !== this.SHAPE_LINEAR) {
+                throw new Error('O texto na lateral só está disponível na forma Linear.');
+            }
+            if (engrave) {
+                throw new Error('Na lateral do perfil, use texto em relevo.');
+            }
+            if ((opts.profile || PathSegment.PROFILE_RECT) !== PathSegment.PROFILE_RECT) {
+                throw new Error('O texto na lateral precisa do perfil retangular do caminho.');
+            }
+            return this._sideLabel(ctx, text, depth);
+        }
+
+        if (!ctx.plate) {
+            throw new Error('Ative uma base para colocar o texto sobre ela.');
+        }
+
+        // Faixa entre o caminho e a borda da frente
+        const shape = this._plateShape(ctx);
+        const { margin, thickness } = ctx.plate;
+        const y0 = shape.front + this.PLATE_WALL;
+        const y1 = shape.front + margin - this.PLATE_WALL;
+        let width = shape.width - 2 * this.PLATE_WALL;
+        if (shape.radius) {
+            const d = shape.cy - y0;
+            width = 2 * Math.sqrt(Math.max(0, shape.radius * shape.radius - d * d)) - 2 * this.PLATE_WALL;
+        }
+
+        const block = this._fitText(text, opts.labelSize, width, y1 - y0);
+        if (!block) {
+            throw new Error('O texto não cabe na borda da frente da base; aumente a borda ou encurte o texto.');
+        }
+
+        const ox = shape.cx - block.width / 2;
+        const oy = (y0 + y1) / 2 - block.height / 2;
+        const polygons = block.polygons.map(poly => poly.map(p => [p[0] + ox, p[1] + oy]));
+
+        if (engrave) {
+            return { polygons, engrave, depth: Math.min(depth, thickness / 2) };
+        }
+        return {
+            polygons, engrave, depth,
+            z0: thickness - Math.min(0.2, thickness / 2),
+            z1: thickness + depth,
+            map: p => p
+        };
+    },
+
+    /**
+     * Texto em relevo na lateral +X do perfil linear, lido da esquerda para
+     * a direita ao longo de +Y, centrado no comprimento e junto à base.
+     * @private
+     */
+    _sideLabel(ctx, text, depth) {
+        const pts = ctx.outputPoints;
+        const side = Math.max(...pts.map(v => v.length > 3 ? v[3] : ctx.options.buffer));
+        const bottom = (ctx.plate ? ctx.plate.thickness : 0) + this.LABEL_MARGIN;
+        const ymin = pts[0][1], ymax = pts[pts.length - 1][1];
+        const yc = (ymin + ymax) / 2;
+        let size = ctx.options.labelSize;
+        let block = null;
+
+        // A altura disponível depende do trecho coberto pelo texto
+        for (let k = 0; k < 4 && size > 0; k++) {
+            block = this._fitText(text, size, ymax - ymin - 2 * this.LABEL_MARGIN, Infinity);
+            if (!block) break;
+
+            const span = pts.filter(v => Math.abs(v[1] - yc) <= block.width / 2);
+            const wall = Math.min(...span.map(v => v[2])) - bottom - this.LABEL_MARGIN;
+            if (block.height <= wall) break;
+
+            size = block.size * wall / block.height;
+            block = null;
+        }
+        if (!block) {
+            throw new Error('O perfil é baixo demais para o texto na lateral; reduza o texto ou aumente o exagero vertical.');
+        }
+
+        const y0 = yc - block.width / 2;
+        return {
+            polygons: block.polygons,
+            engrave: false,
+            depth,
+            z0: -0.2,
+            z1: depth,
+            map: ([u, v, w]) => [side + w, y0 + u, bottom + v]
+        };
+    },
+
+    /**
+     * Monta o texto com altura `size`, reduzida para caber em width x height.
+     * @private
+     * @returns {Object|null} Layout de VectorFont com `size`, ou null se ficar
+     *   menor que LABEL_MIN_SIZE
+     */
+    _fitText(text, size, width, height) {
+        let block = VectorFont.layout(text, size);
+        const k = Math.min(1, width / block.width, height / block.height);
+        if (k < 1) {
+            size *= k;
+            block = VectorFont.layout(text, size);
+        }
+        if (!(size >= this.LABEL_MIN_SIZE) || block.polygons.length === 0) return null;
+
+        block.size = size;
+        return block;
+    },
+
+    /**
+     * Sólido do texto em relevo: um prisma por segmento de cada caractere.
+     * @private
+     */
+    _labelSolid(label) {
+        const points = [];
+        const faces = [];
+
+        for (const poly of label.polygons) {
+            Solid.prism(points, faces, poly, label.z0, label.z1);
+        }
+
+        // Mesma ordem de faces do polyhedron do caminho (horária vista de fora)
+        return {
+            name: 'label',
+            caption: 'Label',
+            points: points.map(label.map),
+            faces: faces.map(f => [f[0], f[2], f[1]])
+        };
+    },
+
+    /**
+     * Adiciona um sólido fechado que segue a sequência de pontos informada.
+     * @private
+     */
+    _pathSolid(ctx, pts, vertices, faces) {
         const isAcute = (angle) =>
             (Math.abs(angle) > Math.PI / 2) && (Math.abs(angle) < (3 * Math.PI) / 2);
 
         const segmentAngle = (i) => {
-            if (i + 1 === ctx.outputPoints.length) return segmentAngle(i - 1);
-            return vectorAngle(ctx.outputPoints[i], ctx.outputPoints[i + 1]);
+            if (i + 1 === pts.length) return segmentAngle(i - 1);
+            return vectorAngle(pts[i], pts[i + 1]);
         };
 
         const jointPoints = (i, rel, avga) => {
-            let jointr = ctx.options.buffer / Math.cos(rel / 2);
+            // Meia largura do ponto (largura variável) ou a padrão
+            const buffer = pts[i].length > 3 ? pts[i][3] : ctx.options.buffer;
+            let jointr = buffer / Math.cos(rel / 2);
 
             // Limitar para evitar artefatos em ângulos agudos
-            if (Math.abs(jointr) > ctx.options.buffer * 2) {
-                jointr = Math.sign(jointr) * ctx.options.buffer * 2;
+            if (Math.abs(jointr) > buffer * 2) {
+                jointr = Math.sign(jointr) * buffer * 2;
             }
 
-            const lx = ctx.outputPoints[i][0] + jointr * Math.cos(avga + Math.PI / 2);
-            const ly = ctx.outputPoints[i][1] + jointr * Math.sin(avga + Math.PI / 2);
-            const rx = ctx.outputPoints[i][0] + jointr * Math.cos(avga - Math.PI / 2);
-            const ry = ctx.outputPoints[i][1] + jointr * Math.sin(avga - Math.PI / 2);
+            const lx = pts[i][0] + jointr * Math.cos(avga + Math.PI / 2);
+            const ly = pts[i][1] + jointr * Math.sin(avga + Math.PI / 2);
+            const rx = pts[i][0] + jointr * Math.cos(avga - Math.PI / 2);
+            const ry = pts[i][1] + jointr * Math.sin(avga - Math.PI / 2);
 
             return [[lx, ly], [rx, ry]];
         };
 
         let lastAngle, angle, relAngle, jointAngle, pathPts;
-        const vertices = [];
-        const faces = [];
+        const base = vertices.length;
+        const profile = ctx.options.profile || PathSegment.PROFILE_RECT;
+        const { size, right } = PathSegment.layout(profile);
 
-        for (let i = 0, s = 0; i < ctx.outputPoints.length; i++) {
+        for (let i = 0, s = 0; i < pts.length; i++) {
             angle = segmentAngle(i);
             if (i === 0) lastAngle = angle;
 
@@ -327,24 +1138,48 @@ const ModelGenerator = {
 
             // Colapsar séries de segmentos com ângulos agudos
             if (isAcute(relAngle) &&
-                (i < ctx.outputPoints.length - 1) &&
+                (i < pts.length - 1) &&
                 isAcute(segmentAngle(i + 1) - angle)) {
                 continue;
             }
 
             pathPts = jointPoints(i, relAngle, jointAngle);
-            PathSegment.points(vertices, pathPts, ctx.outputPoints[i][2]);
-            PathSegment.faces(faces, s);
+            PathSegment.points(vertices, pathPts, pts[i][2], profile,
+                pts[i].length > 3 ? pts[i][3] : ctx.options.buffer);
+            PathSegment.faces(faces, s, base, size);
             s++;
             lastAngle = angle;
         }
 
         // Tampa final
-        PathSegment.lastFace(faces, vertices.length / 4);
+        const rings = (vertices.length - base) / size;
+        PathSegment.lastFace(faces, rings, base, size);
+        ctx.pathSolids.push({ base, rings, size, right });
+    },
 
-        return new ModelCode(vertices, faces, ctx.markers, {
-            markerWidth: 2 * ctx.options.buffer + 2
-        });
+    /**
+     * Liga dois trechos com traços baixos, indicando um deslocamento sem
+     * registro (perda de sinal, balsa, trem...). Cada traço é um sólido próprio.
+     * @private
+     */
+    _dashedConnector(ctx, a, b, vertices, faces) {
+        const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+        const dash = 2 * ctx.options.buffer;
+        const z = Math.min(Math.max(ctx.options.base, 1), a[2], b[2]);
+        if (length < 2 * dash) return;
+
+        const count = Math.floor(length / (2 * dash));
+        const step = length / count;
+        const at = (d) => [
+            a[0] + (b[0] - a[0]) * d / length,
+            a[1] + (b[1] - a[1]) * d / length,
+            z
+        ];
+
+        for (let k = 0; k < count; k++) {
+            const d0 = k * step + (step - dash) / 2;
+            this._pathSolid(ctx, [at(d0), at(d0 + dash)], vertices, faces);
+        }
     }
 };
 
@@ -354,58 +1189,379 @@ const ModelGenerator = {
 // ============================================================
 
 const PathSegment = {
+    // Perfis da seção transversal do caminho
+    PROFILE_RECT: 'rect',
+    PROFILE_TUBE: 'tube',
+    PROFILE_RIDGE: 'ridge',
+    PROFILE_CHAMFER: 'chamfer',
+    PROFILE_ROUND: 'round',
+
+    // Lados do tubo e do topo arredondado
+    ROUND_SEGMENTS: 12,
+
     /**
-     * Adiciona 4 vértices de um quadrilátero perpendicular ao caminho.
+     * Anel da seção transversal, anti-horário visto de trás (olhando no
+     * sentido do caminho). Cada vértice é [lado, altura]: lado -1 na
+     * esquerda e 1 na direita (fração da meia largura), altura em mm.
+     * Todos os perfis são convexos e começam pelo canto inferior esquerdo
+     * (o tubo, pelo ponto mais à esquerda).
+     *
+     * @param {string} profile - PROFILE_*
+     * @param {number} z - Altura do topo do caminho no ponto
+     * @param {number} w - Meia largura (mm)
+     * @returns {number[][]}
      */
-    points(a, v, z) {
-        a.push([v[0][0], v[0][1], 0]);    // inferior esquerdo
-        a.push([v[1][0], v[1][1], 0]);    // inferior direito
-        a.push([v[0][0], v[0][1], z]);    // superior esquerdo
-        a.push([v[1][0], v[1][1], z]);    // superior direito
+    section(profile, z, w) {
+        const n = this.ROUND_SEGMENTS;
+        const ring = [];
+
+        switch (profile) {
+            case this.PROFILE_TUBE: {
+                // Tubo de diâmetro igual à largura, topo na altura do caminho e apoiado na mesa
+                const zc = Math.max(z - w, w);
+                for (let k = 0; k < n; k++) {
+                    const a = Math.PI + 2 * Math.PI * k / n;
+                    ring.push([Math.cos(a), zc + w * Math.sin(a)]);
+                }
+                return ring;
+            }
+            case this.PROFILE_RIDGE:
+                return [[-1, 0], [1, 0], [0, z]];
+            case this.PROFILE_CHAMFER: {
+                const c = Math.min(w / 2, z / 2);
+                return [[-1, 0], [1, 0], [1, z - c], [1 - c / w, z], [-1 + c / w, z], [-1, z - c]];
+            }
+            case this.PROFILE_ROUND: {
+                // Laterais retas e meia elipse no topo
+                const r = Math.min(w, z / 2);
+                ring.push([-1, 0], [1, 0]);
+                for (let k = 0; k <= n / 2; k++) {
+                    const a = 2 * Math.PI * k / n;
+                    ring.push([Math.cos(a), z - r + r * Math.sin(a)]);
+                }
+                return ring;
+            }
+            default:
+                return [[-1, 0], [1, 0], [1, z], [-1, z]];
+        }
     },
 
     /**
-     * Face da tampa inicial.
+     * Quantidade de vértices por anel e índice do vértice mais à direita
+     * (com o índice 0, delimitam a largura do caminho no chão).
+     * @param {string} profile
+     * @returns {Object} { size, right }
      */
-    firstFace(a) {
-        a.push([0, 2, 3]);
-        a.push([3, 1, 0]);
+    layout(profile) {
+        const ring = this.section(profile, 2, 1);
+        let right = 0;
+        ring.forEach((p, k) => { if (p[0] > ring[right][0]) right = k; });
+        return { size: ring.length, right };
     },
 
     /**
-     * Face da tampa final.
+     * Adiciona os vértices de um anel perpendicular ao caminho.
+     * @param {number[][]} v - Pontos esquerdo e direito [[lx, ly], [rx, ry]]
+     * @param {number} z - Altura do caminho
+     * @param {string} [profile] - PROFILE_* (padrão: retangular)
+     * @param {number} [w] - Meia largura (mm)
      */
-    lastFace(a, s) {
-        const i = (s - 1) * 4;
-        a.push([i + 2, i + 1, i + 3]);
-        a.push([i + 2, i + 0, i + 1]);
-    },
+    points(a, v, z, profile = this.PROFILE_RECT, w = 1) {
+        const cx = (v[0][0] + v[1][0]) / 2, cy = (v[0][1] + v[1][1]) / 2;
+        const hx = (v[1][0] - v[0][0]) / 2, hy = (v[1][1] - v[0][1]) / 2;
+
+        for (const [side, h] of this.section(profile, z, w)) {
+            a.push([cx + side * hx, cy + side * hy, h]);
+        }
+    },
+
+    /**
+     * Face da tampa inicial.
+     * @param {number} [base=0] - Índice do primeiro vértice do sólido
+     * @param {number} [n=4] - Vértices por anel
+     */
+    firstFace(a, base = 0, n = 4) {
+        for (let k = 1; k + 1 < n; k++) {
+            a.push([base, base + k + 1, base + k]);
+        }
+    },
+
+    /**
+     * Face da tampa final.
+     * @param {number} [base=0] - Índice do primeiro vértice do sólido
+     * @param {number} [n=4] - Vértices por anel
+     */
+    lastFace(a, s, base = 0, n = 4) {
+        const i = base + (s - 1) * n;
+        for (let k = 1; k + 1 < n; k++) {
+            a.push([i, i + k, i + k + 1]);
+        }
+    },
 
     /**
-     * Faces de um segmento do caminho (topo, laterais, fundo).
+     * Faces de um segmento do caminho (entre o anel s - 1 e o anel s).
+     * @param {number} [base=0] - Índice do primeiro vértice do sólido
+     * @param {number} [n=4] - Vértices por anel
      */
-    faces(a, s) {
+    faces(a, s, base = 0, n = 4) {
         if (s === 0) {
-            this.firstFace(a);
+            this.firstFace(a, base, n);
             return;
         }
-        const i = (s - 1) * 4;
+        const i = base + (s - 1) * n;
+
+        for (let k = 0; k < n; k++) {
+            const k2 = (k + 1) % n;
+            a.push([i + k, i + k2, i + n + k2]);
+            a.push([i + k, i + n + k2, i + n + k]);
+        }
+    }
+};
+
+
+// ============================================================
+// Solid - Primitivas fechadas (pinos, bandeiras, marcadores)
+// ============================================================
+
+const Solid = {
+    /**
+     * Polígono regular anti-horário, usado como base de cilindros.
+     * @param {number} n - Número de lados (mesmo $fn do OpenSCAD)
+     * @returns {number[][]} Vértices [x, y]
+     */
+    circle(cx, cy, r, n = 8) {
+        const pts = [];
+        for (let k = 0; k < n; k++) {
+            const a = 2 * Math.PI * k / n;
+            pts.push([cx + r * Math.cos(a), cy + r * Math.sin(a)]);
+        }
+        return pts;
+    },
+
+    /**
+     * Retângulo anti-horário [x0..x1] x [y0..y1], girado por `angle`
+     * (radianos) em torno da origem e deslocado para (cx, cy).
+     * @returns {number[][]} Vértices [x, y]
+     */
+    rect(cx, cy, x0, y0, x1, y1, angle = 0) {
+        const c = Math.cos(angle), s = Math.sin(angle);
+        return [[x0, y0], [x1, y0], [x1, y1], [x0, y1]].map(p => [
+            cx + p[0] * c - p[1] * s,
+            cy + p[0] * s + p[1] * c
+        ]);
+    },
+
+    /**
+     * Retângulo de cantos arredondados anti-horário [x0..x1] x [y0..y1].
+     * @param {number} r - Raio dos cantos
+     * @param {number} n - Segmentos por canto
+     * @returns {number[][]} Vértices [x, y]
+     */
+    roundedRect(x0, y0, x1, y1, r, n = 8) {
+        // Cantos que se tocam gerariam vértices repetidos
+        r = Math.min(r, (x1 - x0) / 2 - 1e-3, (y1 - y0) / 2 - 1e-3);
+        if (r <= 0) return this.rect(0, 0, x0, y0, x1, y1);
+
+        const corners = [[x1 - r, y0 + r], [x1 - r, y1 - r], [x0 + r, y1 - r], [x0 + r, y0 + r]];
+        const pts = [];
+        corners.forEach(([cx, cy], c) => {
+            for (let k = 0; k <= n; k++) {
+                const a = (c - 1 + k / n) * Math.PI / 2;
+                pts.push([cx + r * Math.cos(a), cy + r * Math.sin(a)]);
+            }
+        });
+        return pts;
+    },
+
+    /**
+     * Triangula um polígono simples com furos (recorte de orelhas, com os
+     * furos ligados ao contorno por pontes).
+     * @param {number[][]} outline - Contorno anti-horário [x, y]
+     * @param {number[][][]} [holes] - Furos anti-horários [x, y]
+     * @returns {number[][]} Triângulos anti-horários, com índices em
+     *   outline seguido dos furos na ordem informada
+     */
+    triangulate(outline, holes = []) {
+        const pts = outline.concat(...holes);
+        const area = (a, b, c) =>
+            (pts[b][0] - pts[a][0]) * (pts[c][1] - pts[a][1]) -
+            (pts[b][1] - pts[a][1]) * (pts[c][0] - pts[a][0]);
+        const same = (a, b) => pts[a][0] === pts[b][0] && pts[a][1] === pts[b][1];
+
+        let poly = outline.map((p, i) => i);
+
+        // Furos da direita para a esquerda, cada um em sentido horário
+        let start = outline.length;
+        const rings = holes.map(h => {
+            const ring = h.map((p, i) => start + i).reverse();
+            start += h.length;
+            return ring;
+        });
+        rings.sort((a, b) => Math.max(...b.map(i => pts[i][0])) - Math.max(...a.map(i => pts[i][0])));
+
+        for (const ring of rings) {
+            poly = this._bridge(poly, ring, pts, area);
+        }
+
+        // Recorte de orelhas
+        const tris = [];
+        while (poly.length > 3) {
+            const n = poly.length;
+            let best = -1;
+
+            for (let k = 0; k < n && best < 0; k++) {
+                const a = poly[(k + n - 1) % n], b = poly[k], c = poly[(k + 1) % n];
+                if (area(a, b, c) <= MeshCheck.MIN_AREA) continue;
+
+                // Pontos sobre a borda do triângulo também bloqueiam a orelha
+                const inside = poly.some(p => !same(p, a) && !same(p, b) && !same(p, c) &&
+                    area(a, b, p) >= -MeshCheck.MIN_AREA && area(b, c, p) >= -MeshCheck.MIN_AREA &&
+                    area(c, a, p) >= -MeshCheck.MIN_AREA);
+                if (!inside) best = k;
+            }
+
+            // Polígono degenerado (pontos colineares): cortar o vértice mais convexo
+            if (best < 0) {
+                let max = -Infinity;
+                for (let k = 0; k < n; k++) {
+                    const v = area(poly[(k + n - 1) % n], poly[k], poly[(k + 1) % n]);
+                    if (v > max) { max = v; best = k; }
+                }
+            }
+
+            const a = poly[(best + n - 1) % n], b = poly[best], c = poly[(best + 1) % n];
+            if (area(a, b, c) > 0) tris.push([a, b, c]);
+            poly.splice(best, 1);
+        }
+        if (poly.length === 3 && area(poly[0], poly[1], poly[2]) > 0) tris.push(poly);
+
+        return tris;
+    },
+
+    /**
+     * Liga um furo (horário) ao contorno pelo vértice visível mais próximo
+     * do ponto mais à direita do furo.
+     * @private
+     */
+    _bridge(poly, ring, pts, area) {
+        let m = 0;
+        ring.forEach((i, k) => { if (pts[i][0] > pts[ring[m]][0]) m = k; });
+        const M = ring[m];
+
+        const cross = (a, b, c, d) =>
+            area(a, b, c) * area(a, b, d) < 0 && area(c, d, a) * area(c, d, b) < 0;
+        const edges = [];
+        for (const r of [poly, ring]) {
+            r.forEach((p, k) => edges.push([p, r[(k + 1) % r.length]]));
+        }
 
-        // Topo
-        a.push([i + 2, i + 6, i + 3]);
-        a.push([i + 3, i + 6, i + 7]);
+        const order = poly.map((p, k) => k).sort((a, b) =>
+            Math.hypot(pts[poly[a]][0] - pts[M][0], pts[poly[a]][1] - pts[M][1]) -
+            Math.hypot(pts[poly[b]][0] - pts[M][0], pts[poly[b]][1] - pts[M][1]));
 
-        // Esquerda
-        a.push([i + 3, i + 7, i + 5]);
-        a.push([i + 3, i + 5, i + 1]);
+        let at = order[0];
+        for (const k of order) {
+            const P = poly[k];
+            const prev = poly[(k + poly.length - 1) % poly.length], next = poly[(k + 1) % poly.length];
 
-        // Direita
-        a.push([i + 6, i + 2, i + 0]);
-        a.push([i + 6, i + 0, i + 4]);
+            // M precisa estar no ângulo interno do contorno em P
+            const inCone = area(prev, P, next) >= 0
+                ? area(prev, P, M) > 0 && area(P, next, M) > 0
+                : !(area(prev, P, M) <= 0 && area(P, next, M) <= 0);
+            if (!inCone) continue;
+            if (edges.some(([a, b]) => cross(P, M, a, b))) continue;
 
-        // Fundo
-        a.push([i + 0, i + 5, i + 4]);
-        a.push([i + 0, i + 1, i + 5]);
+            at = k;
+            break;
+        }
+
+        const hole = ring.slice(m).concat(ring.slice(0, m + 1));
+        return poly.slice(0, at + 1).concat(hole, [poly[at]], poly.slice(at + 1));
+    },
+
+    /**
+     * Adiciona um sólido fechado extrudando um polígono com furos entre
+     * z0 e z1, com as faces anti-horárias vistas de fora (como prism).
+     * Rebaixos (texto gravado) são furos só no topo, com `depth` de fundo.
+     * @param {number[][]} vertices - Lista de vértices a ampliar
+     * @param {number[][]} faces - Lista de faces a ampliar
+     * @param {number[][]} outline - Contorno anti-horário [x, y]
+     * @param {number[][][]} holes - Furos anti-horários [x, y]
+     * @param {number[][][]} [pockets] - Rebaixos convexos anti-horários [x, y]
+     * @param {number} [depth] - Profundidade dos rebaixos
+     */
+    extrude(vertices, faces, outline, holes, z0, z1, pockets = [], depth = 0) {
+        const flat = outline.concat(...holes);
+        const sunk = [].concat(...pockets);
+        const base = vertices.length;
+        const n = flat.length;
+        const top = base + n;
+        const floor = top + n + sunk.length;
+
+        for (const p of flat) vertices.push([p[0], p[1], z0]);
+        for (const p of flat.concat(sunk)) vertices.push([p[0], p[1], z1]);
+        for (const p of sunk) vertices.push([p[0], p[1], z1 - depth]);
+
+        // Fundo e topo
+        for (const [a, b, c] of this.triangulate(outline, holes)) {
+            faces.push([base + a, base + c, base + b]);
+        }
+        for (const [a, b, c] of this.triangulate(outline, holes.concat(pockets))) {
+            faces.push([top + a, top + b, top + c]);
+        }
+
+        // Laterais: contorno anti-horário, furos e rebaixos percorridos ao contrário
+        const wall = (lo, hi, ring, start, reverse) => {
+            const m = ring.length;
+            for (let k = 0; k < m; k++) {
+                let a = start + k, b = start + (k + 1) % m;
+                if (reverse) [a, b] = [b, a];
+                faces.push([lo + a, lo + b, hi + b]);
+                faces.push([lo + a, hi + b, hi + a]);
+            }
+        };
+        let start = 0;
+        for (const ring of [outline].concat(holes)) {
+            wall(base, top, ring, start, ring !== outline);
+            start += ring.length;
+        }
+
+        // Rebaixos: paredes do fundo até o topo e fundo voltado para cima
+        start = 0;
+        for (const ring of pockets) {
+            wall(floor, top + n, ring, start, true);
+            for (let k = 1; k + 1 < ring.length; k++) {
+                faces.push([floor + start, floor + start + k, floor + start + k + 1]);
+            }
+            start += ring.length;
+        }
+    },
+
+    /**
+     * Adiciona um prisma fechado de base convexa entre z0 e z1.
+     * @param {number[][]} vertices - Lista de vértices a ampliar
+     * @param {number[][]} faces - Lista de faces a ampliar
+     * @param {number[][]} outline - Base convexa anti-horária [x, y]
+     */
+    prism(vertices, faces, outline, z0, z1) {
+        const base = vertices.length;
+        const n = outline.length;
+
+        for (const p of outline) vertices.push([p[0], p[1], z0]);
+        for (const p of outline) vertices.push([p[0], p[1], z1]);
+
+        // Fundo e topo (leque)
+        for (let k = 1; k + 1 < n; k++) {
+            faces.push([base, base + k + 1, base + k]);
+            faces.push([base + n, base + n + k, base + n + k + 1]);
+        }
+
+        // Laterais
+        for (let k = 0; k < n; k++) {
+            const k2 = (k + 1) % n;
+            faces.push([base + k, base + k2, base + n + k2]);
+            faces.push([base + k, base + n + k2, base + n + k]);
+        }
     }
 };
 
@@ -419,29 +1575,332 @@ class ModelCode {
      * @param {number[][]} points - Vértices [x, y, z]
      * @param {number[][]} faces - Faces (índices de vértices)
      * @param {Object[]} markers - Marcadores de distância
-     * @param {Object} options - { markerWidth }
+     * @param {Object} options - { solids, track, markerWidth, markerBody, paths, waypoints, waypointStyle, pin*, flag* }
+     *   (paths: [{ base, rings, size, right }] dos sólidos do caminho, `size` vértices por anel;
+     *   solids: [{ name, caption, points, faces }] de terreno e base, como polyhedron;
+     *   track: { points, values, labels } linha central e métricas para colorRamp)
      */
     constructor(points, faces, markers, options) {
-        this.rawPoints = points;
-        this.rawFaces = faces;
         this.rawMarkers = markers;
-
-        // Strings formatadas para SCAD
-        this.pointsStr = points.map(v =>
-            `[${v[0].toFixed(4)}, ${v[1].toFixed(4)}, ${v[2].toFixed(4)}]`
-        ).join(",\n");
-
-        this.facesStr = faces.map(v =>
-            `[${v[0]}, ${v[1]}, ${v[2]}]`
-        ).join(",\n");
+        this.rawWaypoints = options.waypointStyle ? (options.waypoints || []) : [];
+        this.repairs = null;
+        this._locator = null;
+        this._setGeometry(points, faces);
+
+        this.rawSolids = options.solids || [];
+        this.solidsStr = this.rawSolids.map(b => ({
+            name: b.name,
+            caption: b.caption,
+            ...this._polyStr(b.points, b.faces)
+        }));
 
         this.markersStr = markers.map(m =>
             `marker([${m.location[0]}, ${m.location[1]}], ${(m.orientation * 180 / Math.PI)}, ${m.location[2]})`
         );
 
+        // Nome do waypoint vai como comentário ao lado da chamada
+        this.waypointsStr = this.rawWaypoints.map(w =>
+            `waypoint([${w.location[0]}, ${w.location[1]}], ${(w.orientation * 180 / Math.PI)}, ${w.location[2]}) ` +
+            `/* ${w.name.replace(/[\r\n]+|\*\//g, ' ')} */`
+        );
+
         this.options = options;
     }
 
+    /**
+     * Define a geometria do caminho e as strings formatadas para SCAD.
+     * @private
+     */
+    _setGeometry(points, faces) {
+        this.rawPoints = points;
+        this.rawFaces = faces;
+
+        // Malhas de exportação (mesh, bodies e as versões indexadas),
+        // montadas uma vez por geometria
+        this._meshes = { mesh: null, bodies: null, indexed: new WeakMap() };
+
+        const str = this._polyStr(points, faces);
+        this.pointsStr = str.points;
+        this.facesStr = str.faces;
+    }
+
+    /**
+     * Vértices e faces formatados para o polyhedron do SCAD.
+     * @private
+     */
+    _polyStr(points, faces) {
+        return {
+            points: points.map(v =>
+                `[${v[0].toFixed(4)}, ${v[1].toFixed(4)}, ${v[2].toFixed(4)}]`
+            ).join(",\n"),
+            faces: faces.map(v =>
+                `[${v[0]}, ${v[1]}, ${v[2]}]`
+            ).join(",\n")
+        };
+    }
+
+    /**
+     * Verifica a malha completa (mesh-check.js).
+     * @returns {Object} Relatório de MeshCheck.analyze
+     */
+    check() {
+        return MeshCheck.analyze(this.mesh(true));
+    }
+
+    /**
+     * Reparo automático: remove os anéis do caminho que dobram sobre o
+     * anterior (curvas fechadas em zigue-zague) e, na malha exportada,
+     * descarta triângulos degenerados e orienta as faces para fora.
+     * O código SCAD mantém a orientação própria do polyhedron.
+     *
+     * @returns {Object} { foldedRings, degenerate, flipped }
+     */
+    repair() {
+        const unfolded = this._unfoldPaths();
+        this._setGeometry(unfolded.points, unfolded.faces);
+        this.options.paths = unfolded.paths;
+
+        const fixed = MeshCheck.repair(this._assemble(true));
+        this.repairs = {
+            foldedRings: unfolded.removed,
+            degenerate: fixed.degenerate,
+            flipped: fixed.flipped
+        };
+        return this.repairs;
+    }
+
+    /**
+     * Reconstrói os sólidos do caminho sem os anéis cujo quadrilátero com
+     * o anel anterior (visto de cima) não é convexo no sentido do caminho.
+     * Só remove até ModelGenerator.MAX_FOLD anéis seguidos; dobras maiores
+     * (curvas fechadas em que os dois lados se sobrepõem) passam por
+     * `_mergeFolds`. Cruzamentos da trilha consigo mesma ficam como estão
+     * e aparecem na verificação.
+     * @private
+     */
+    _unfoldPaths() {
+        const src = this.rawPoints;
+        const points = [];
+        const faces = [];
+        const paths = [];
+        let removed = 0;
+
+        for (const path of this.options.paths || []) {
+            const ring = (k) => path.base + path.size * k;
+            const fits = (a, b) => this._convexJoint(src, ring(a), ring(b), path.right);
+            const kept = [0];
+
+            for (let k = 1; k < path.rings; k++) {
+                const last = kept[kept.length - 1];
+                if (fits(last, k)) {
+                    kept.push(k);
+                    continue;
+                }
+
+                // Pular os anéis dobrados se um dos próximos encaixa no último mantido...
+                let next = k + 1;
+                while (next < path.rings && next - k < ModelGenerator.MAX_FOLD && !fits(last, next)) next++;
+                if (next < path.rings && next - k <= ModelGenerator.MAX_FOLD && fits(last, next)) {
+                    k = next - 1;
+                    continue;
+                }
+
+                // ...ou descartar os últimos mantidos se o anel atual encaixa antes deles
+                let back = kept.length - 2;
+                while (back >= 0 && kept.length - 1 - back < ModelGenerator.MAX_FOLD && !fits(kept[back], k)) back--;
+                if (back >= 0 && fits(kept[back], k)) kept.length = back + 1;
+                kept.push(k);
+            }
+
+            // Distância ao longo do caminho (centro de cada anel, vista de cima)
+            const arc = [0];
+            for (let k = 1; k < path.rings; k++) {
+                const a = src[ring(k - 1)], b = src[ring(k - 1) + path.right];
+                const c = src[ring(k)], d = src[ring(k) + path.right];
+                arc.push(arc[k - 1] + Math.hypot((c[0] + d[0] - a[0] - b[0]) / 2, (c[1] + d[1] - a[1] - b[1]) / 2));
+            }
+
+            const rings = this._mergeFolds(kept.map(k => ({
+                points: src.slice(ring(k), ring(k) + path.size),
+                arc: arc[k]
+            })), path.right);
+            removed += path.rings - rings.length;
+
+            const base = points.length;
+            rings.forEach((r, s) => {
+                for (const v of r.points) points.push(v);
+                PathSegment.faces(faces, s, base, path.size);
+            });
+            PathSegment.lastFace(faces, rings.length, base, path.size);
+            paths.push({ base, rings: rings.length, size: path.size, right: path.right });
+        }
+
+        return { points, faces, paths, removed };
+    }
+
+    /**
+     * Desfaz as curvas fechadas em que os dois lados do caminho se
+     * sobrepõem (vistos de cima) a até ModelGenerator.FOLD_LENGTH larguras
+     * de distância ao longo dele: os anéis entre os trechos sobrepostos
+     * dão lugar a um anel de pivô no encontro das bordas dos dois lados,
+     * como uma junta em esquadria sem o limite de `jointr`.
+     *
+     * @private
+     * @param {Object[]} rings - [{ points (vértices do anel), arc (distância ao longo do caminho) }]
+     * @param {number} right - Índice do vértice mais à direita no anel
+     * @returns {Object[]} Anéis, no mesmo formato
+     */
+    _mergeFolds(rings, right) {
+        const quad = (a, b) => [a.points[0], a.points[right], b.points[right], b.points[0]];
+        const reach = (r) => ModelGenerator.FOLD_LENGTH * Math.hypot(
+            r.points[right][0] - r.points[0][0], r.points[right][1] - r.points[0][1]);
+
+        let i = 0;
+        while (i + 2 < rings.length) {
+            const near = quad(rings[i], rings[i + 1]);
+            const limit = reach(rings[i + 1]);
+            let pivot = null;
+
+            for (let j = i + 2; j + 1 < rings.length && rings[j].arc - rings[i + 1].arc <= limit; j++) {
+                if (!this._quadsOverlap(near, quad(rings[j], rings[j + 1]))) continue;
+                pivot = this._pivotRing(rings[i], rings[j + 1], right);
+                if (pivot) {
+                    rings.splice(i + 1, j - i, pivot);
+                    break;
+                }
+            }
+
+            if (!pivot) {
+                i++;
+                continue;
+            }
+
+            // Voltar até o primeiro anel que ainda alcança o pivô
+            while (i > 0 && pivot.arc - rings[i].arc <= reach(rings[i])) i--;
+        }
+
+        return rings;
+    }
+
+    /**
+     * Anel de pivô entre os anéis `a` e `b` de uma curva fechada: cada
+     * borda vai ao encontro da reta da mesma borda do outro lado (a ponta
+     * externa limitada, como `jointr`, a duas meias larguras do eixo).
+     * As alturas são a média dos dois anéis.
+     *
+     * @private
+     * @returns {Object|null} { points, arc }, ou null se os quadriláteros
+     *   ficariam côncavos ou sobrepostos
+     */
+    _pivotRing(a, b, right) {
+        const la = a.points[0], ra = a.points[right];
+        const lb = b.points[0], rb = b.points[right];
+
+        // Sentido do caminho em cada anel (a borda esquerda girada 90°)
+        const forward = (l, r) => [l[1] - r[1], r[0] - l[0]];
+        const da = forward(la, ra), db = forward(lb, rb);
+        const meet = (p, q) => {
+            const den = da[0] * db[1] - da[1] * db[0];
+            if (Math.abs(den) < 1e-9 * Math.hypot(da[0], da[1]) * Math.hypot(db[0], db[1])) return null;
+            const t = ((q[0] - p[0]) * db[1] - (q[1] - p[1]) * db[0]) / den;
+            return [p[0] + t * da[0], p[1] + t * da[1]];
+        };
+        const mid = (p, q) => [(p[0] + q[0]) / 2, (p[1] + q[1]) / 2];
+
+        const axis = meet(mid(la, ra), mid(lb, rb));
+        const left = meet(la, lb), rightPt = meet(ra, rb);
+        if (!axis || !left || !rightPt) return null;
+
+        const w = (Math.hypot(ra[0] - la[0], ra[1] - la[1]) + Math.hypot(rb[0] - lb[0], rb[1] - lb[1])) / 4;
+        const edges = [left, rightPt].map(p => {
+            const dx = p[0] - axis[0], dy = p[1] - axis[1];
+            const len = Math.hypot(dx, dy);
+            // Ponta externa (à frente no sentido de `a`) limitada a 2w do eixo
+            if (dx * da[0] + dy * da[1] > 0 && len > 2 * w) {
+                return [axis[0] + dx * 2 * w / len, axis[1] + dy * 2 * w / len];
+            }
+            return len > ModelGenerator.FOLD_LENGTH * 2 * w ? null : p;
+        });
+        if (!edges[0] || !edges[1]) return null;
+
+        // Mesma seção transversal: fração da largura de cada vértice em `a`
+        const ex = ra[0] - la[0], ey = ra[1] - la[1];
+        const points = a.points.map((p, k) => {
+            const t = ((p[0] - la[0]) * ex + (p[1] - la[1]) * ey) / (ex * ex + ey * ey);
+            return [
+                edges[0][0] + t * (edges[1][0] - edges[0][0]),
+                edges[0][1] + t * (edges[1][1] - edges[0][1]),
+                (p[2] + b.points[k][2]) / 2
+            ];
+        });
+
+        const pivot = { points, arc: (a.arc + b.arc) / 2 };
+        const before = [la, ra, points[right], points[0]];
+        const after = [points[0], points[right], rb, lb];
+        if (!this._convexQuad(...before) || !this._convexQuad(...after) ||
+            this._quadsOverlap(before, after)) {
+            return null;
+        }
+        return pivot;
+    }
+
+    /**
+     * Dois quadriláteros (vistos de cima) se sobrepõem além da tolerância
+     * de MeshCheck (encostar em uma aresta ou vértice não conta).
+     * @private
+     */
+    _quadsOverlap(p, q) {
+        const triangles = (v) => [[v[0], v[1], v[2]], [v[0], v[2], v[3]]];
+        const eps = MeshCheck.EPSILON;
+
+        const separated = (s, t) => {
+            for (const poly of [s, t]) {
+                for (let k = 0; k < 3; k++) {
+                    const a = poly[k], b = poly[(k + 1) % 3];
+                    const nx = a[1] - b[1], ny = b[0] - a[0];
+                    const len = Math.hypot(nx, ny);
+                    if (len === 0) continue;
+
+                    let minS = Infinity, maxS = -Infinity, minT = Infinity, maxT = -Infinity;
+                    for (const v of s) {
+                        const d = (v[0] * nx + v[1] * ny) / len;
+                        minS = Math.min(minS, d);
+                        maxS = Math.max(maxS, d);
+                    }
+                    for (const v of t) {
+                        const d = (v[0] * nx + v[1] * ny) / len;
+                        minT = Math.min(minT, d);
+                        maxT = Math.max(maxT, d);
+                    }
+                    if (maxS <= minT + eps || maxT <= minS + eps) return true;
+                }
+            }
+            return false;
+        };
+
+        return triangles(p).some(s => triangles(q).some(t => !separated(s, t)));
+    }
+
+    /**
+     * Quadrilátero esquerda/direita de dois anéis é convexo e anti-horário
+     * (`right`: índice do vértice mais à direita no anel).
+     * @private
+     */
+    _convexJoint(points, a, b, right = 1) {
+        return this._convexQuad(points[a], points[a + right], points[b + right], points[b]);
+    }
+
+    /**
+     * Quadrilátero [la, ra, rb, lb] (vista de cima) é convexo e anti-horário.
+     * @private
+     */
+    _convexQuad(la, ra, rb, lb) {
+        const area = (p, q, r) => (q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]);
+
+        return area(la, ra, rb) > MeshCheck.MIN_AREA && area(la, rb, lb) > MeshCheck.MIN_AREA &&
+            area(la, ra, lb) > MeshCheck.MIN_AREA && area(ra, rb, lb) > MeshCheck.MIN_AREA;
+    }
+
     /**
      * Gera código OpenJSCAD.
      * @param {boolean} preview - Se true, usa sintaxe CSG (para preview interno)
@@ -477,12 +1936,62 @@ class ModelCode {
             models.push("{name: 'markers', caption: 'Markers', data: markers()}");
         }
 
+        for (const b of this.solidsStr) {
+            result += `function ${b.name}() {\nreturn `;
+            if (preview) {
+                result += `CSG.polyhedron({points:[\n${b.points}\n],\nfaces:[\n${b.faces}\n]})`;
+            } else {
+                result += `polyhedron({points:[\n${b.points}\n],\ntriangles:[\n${b.faces}\n]})`;
+            }
+            result += ";\n}\n\n";
+            models.push(`{name: '${b.name}', caption: '${b.caption}', data: ${b.name}()}`);
+        }
+
+        if (this.waypointsStr.length > 0) {
+            const w = this.waypointsStr[0] + this.waypointsStr.slice(1).map(s =>
+                `\n.union(${s})`
+            ).join("");
+
+            result += this._jscadWaypoint(preview);
+            result += `function waypoints() {\nreturn ${w};\n}\n\n`;
+            models.push("{name: 'waypoints', caption: 'Waypoints', data: waypoints()}");
+        }
+
         if (preview) {
             result += `function main() {\nreturn [${models.join(',')}];\n}\n`;
         } else {
-            result += `function main() {\nreturn profile()${this.markersStr.length > 0 ? '.union(markers())' : ''};\n}\n`;
+            result += `function main() {\nreturn profile()${this.solidsStr.map(b => `.union(${b.name}())`).join('')}` +
+                `${this.markersStr.length > 0 ? '.union(markers())' : ''}` +
+                `${this.waypointsStr.length > 0 ? '.union(waypoints())' : ''};\n}\n`;
+        }
+
+        return result;
+    }
+
+    /**
+     * Função JSCAD de um waypoint: haste com cabeça (pino) ou com bandeira.
+     * @private
+     */
+    _jscadWaypoint(preview) {
+        const o = this.options;
+        const flag = o.waypointStyle === ModelGenerator.WAYPOINT_FLAG;
+        let result = `function waypoint(position, orientation, height) {\nvar z = height + ${o.pinHeight};\n`;
+
+        if (preview) {
+            result += `return CSG.cylinder({start: [0, 0, 0], end: [0, 0, z], radius: ${o.pinRadius}, resolution: 8})`;
+            result += flag
+                ? `.union(CSG.cube({center: [${o.flagWidth / 2}, 0, z - ${o.flagHeight / 2}], ` +
+                  `radius: [${o.flagWidth / 2}, 0.5, ${o.flagHeight / 2}]}).rotateZ(orientation))`
+                : `.union(CSG.cylinder({start: [0, 0, z], end: [0, 0, z + 1.5], radius: ${o.pinHeadRadius}, resolution: 8}))`;
+        } else {
+            result += `return cylinder({r: ${o.pinRadius}, h: z, fn: 8})`;
+            result += flag
+                ? `.union(cube({size: [${o.flagWidth}, 1, ${o.flagHeight}]})` +
+                  `.translate([0, -0.5, z - ${o.flagHeight}]).rotateZ(orientation))`
+                : `.union(cylinder({r: ${o.pinHeadRadius}, h: 1.5, fn: 8}).translate([0, 0, z]))`;
         }
 
+        result += `.translate([position[0], position[1], 0]);\n}\n`;
         return result;
     }
 
@@ -503,22 +2012,510 @@ class ModelCode {
             result += "markers();\n";
         }
 
+        if (this.waypointsStr.length > 0) {
+            const o = this.options;
+            const top = o.waypointStyle === ModelGenerator.WAYPOINT_FLAG
+                ? `\trotate([0, 0, orientation]) translate([0, -0.5, height+${o.pinHeight - o.flagHeight}])\n` +
+                  `\tcube(size=[${o.flagWidth}, 1, ${o.flagHeight}]);\n`
+                : `\ttranslate([0, 0, height+${o.pinHeight}])\n` +
+                  `\tcylinder(r=${o.pinHeadRadius}, h=1.5, $fn=8);\n`;
+
+            result += `module waypoint(position, orientation, height) {\n` +
+                `\ttranslate([position[0], position[1], 0]) {\n` +
+                `\tcylinder(r=${o.pinRadius}, h=height+${o.pinHeight}, $fn=8);\n` +
+                top + `}}\n\n`;
+            result += `module waypoints() {\n\tunion() {\n\t\t${this.waypointsStr.join(";\n\t\t")};\n\t}\n}\n\n`;
+            result += "waypoints();\n";
+        }
+
+        for (const b of this.solidsStr) {
+            result += `module ${b.name}() {\npolyhedron(points=[\n${b.points}\n],\nfaces=[\n${b.faces}\n]);\n}\n\n`;
+            result += `${b.name}();\n`;
+        }
+
         result += "profile();\n";
         return result;
     }
 
     /**
-     * Gera dados STL binário diretamente a partir da geometria.
-     * @returns {ArrayBuffer} Arquivo STL binário
+     * Malha completa para preview e STL: caminho + terreno e base + pinos
+     * dos waypoints + marcadores de distância. Cada pino é um sólido fechado
+     * próprio, sobreposto ao caminho; os marcadores são unidos ao caminho
+     * (veja `_fuseMarkers`), a não ser no corpo separado.
+     * @param {boolean} [all] - Inclui também os marcadores exportados como
+     *   corpo separado (options.markerBody), para o preview
+     * @returns {Object} { points, faces } (a malha sem `all` é guardada até o reparo)
+     */
+    mesh(all = false) {
+        if (!all && this._meshes.mesh) return this._meshes.mesh;
+
+        let mesh = this._assemble(all);
+        if (this.repairs) {
+            const fixed = MeshCheck.repair(mesh);
+            mesh = { points: fixed.points, faces: fixed.faces };
+        }
+
+        if (!all) this._meshes.mesh = mesh;
+        return mesh;
+    }
+
+    /**
+     * Junta o caminho (com os marcadores unidos a ele, sem corpo separado),
+     * terreno e base e os sólidos dos waypoints e dos demais marcadores.
+     * @private
+     */
+    _assemble(all) {
+        const fused = this.options.markerBody ? null : this._fuseMarkers();
+        const points = fused ? fused.points : this.rawPoints.slice();
+        const faces = fused ? fused.faces : this.rawFaces.slice();
+
+        for (const b of this.rawSolids) {
+            const base = points.length;
+            for (const v of b.points) points.push(v);
+            for (const f of b.faces) faces.push(f.map(i => i + base));
+        }
+
+        for (const w of this.rawWaypoints) {
+            this._waypointSolid(w, points, faces);
+        }
+        for (const m of fused ? fused.loose : (all ? this.rawMarkers : [])) {
+            this._markerSolid(m, points, faces);
+        }
+
+        return { points, faces };
+    }
+
+    /**
+     * Une os marcadores de distância ao sólido do caminho. Cada marcador
+     * vai para o ponto mais próximo do eixo do caminho, que é cortado em
+     * dois anéis a meio milímetro de cada lado (interpolados entre os
+     * anéis vizinhos); entre os cortes, as paredes do marcador (do chão
+     * até 2 mm acima do caminho, um pouco mais largas que ele) são
+     * costuradas às bordas dos dois anéis. O resultado é um só sólido
+     * fechado, sem faces internas. Marcadores longe de qualquer caminho,
+     * ou em trechos curtos demais para o corte, voltam em `loose` para
+     * sair como sólidos próprios.
+     * @private
+     * @returns {Object} { points, faces, loose }
      */
-    generateSTL() {
-        const numTriangles = this.rawFaces.length;
+    _fuseMarkers() {
+        const points = this.rawPoints.slice();
+        const paths = this.options.paths || [];
+        const axes = paths.map(path => this._pathAxis(path));
+        const spans = paths.map(() => []);
+        const loose = [];
+
+        // Folga até as tampas do caminho e menor trecho aceito entre cortes (mm)
+        const margin = 0.1;
+
+        for (const m of this.rawMarkers) {
+            const at = this._nearestOnAxis(axes, m.location);
+            const length = at ? axes[at.path].arc[axes[at.path].arc.length - 1] : 0;
+            const from = at && Math.max(at.arc - 0.5, margin);
+            const to = at && Math.min(at.arc + 0.5, length - margin);
+            if (!at || at.distance > this.options.markerWidth || to - from < margin) {
+                loose.push(m);
+                continue;
+            }
+            spans[at.path].push({ from, to });
+        }
+
+        const fused = new Uint8Array(points.length);
+        paths.forEach((path, p) => {
+            if (spans[p].length > 0) fused.fill(1, path.base, path.base + path.rings * path.size);
+        });
+        const faces = this.rawFaces.filter(f => !fused[f[0]]);
+
+        paths.forEach((path, p) => {
+            if (spans[p].length === 0) return;
+
+            // Marcadores que se tocam viram um só
+            const merged = [];
+            for (const span of spans[p].sort((a, b) => a.from - b.from)) {
+                const last = merged[merged.length - 1];
+                if (last && span.from <= last.to + margin) last.to = Math.max(last.to, span.to);
+                else merged.push(Object.assign({}, span));
+            }
+
+            const arc = axes[p].arc;
+            const ring = (k) => Array.from({ length: path.size }, (_, i) => path.base + path.size * k + i);
+
+            // Anel na distância s do início: um existente, se estiver a menos
+            // de 0,01 mm, ou um novo interpolado entre os vizinhos
+            const cut = (s) => {
+                let k = 0;
+                while (k + 2 < arc.length && arc[k + 1] <= s) k++;
+                if (s - arc[k] < 0.01) return { ring: ring(k), k };
+                if (arc[k + 1] - s < 0.01) return { ring: ring(k + 1), k: k + 1 };
+
+                const t = (s - arc[k]) / (arc[k + 1] - arc[k]);
+                const a = ring(k), b = ring(k + 1);
+                return {
+                    ring: a.map((v, i) => {
+                        const u = points[v], w = points[b[i]];
+                        points.push([u[0] + (w[0] - u[0]) * t, u[1] + (w[1] - u[1]) * t, u[2] + (w[2] - u[2]) * t]);
+                        return points.length - 1;
+                    }),
+                    k: k + t
+                };
+            };
+
+            let last = ring(0);
+            for (let i = 1; i + 1 < path.size; i++) faces.push([last[0], last[i + 1], last[i]]);
+
+            let next = 1;
+            for (const span of merged) {
+                const a = cut(span.from);
+                const b = cut(span.to);
+                for (; next < a.k; next++) {
+                    this._bridgeRings(faces, last, ring(next));
+                    last = ring(next);
+                }
+                if (a.ring[0] !== last[0]) this._bridgeRings(faces, last, a.ring);
+                this._markerFlange(points, faces, a.ring, b.ring, path.right);
+                last = b.ring;
+                next = Math.floor(b.k) + 1;
+            }
+            for (; next < path.rings; next++) {
+                this._bridgeRings(faces, last, ring(next));
+                last = ring(next);
+            }
+
+            for (let i = 1; i + 1 < path.size; i++) faces.push([last[0], last[i], last[i + 1]]);
+        });
+
+        return { points, faces, loose };
+    }
+
+    /**
+     * Eixo de um sólido do caminho: centro de cada anel no chão (vista de
+     * cima), distância acumulada e altura do topo.
+     * @private
+     */
+    _pathAxis(path) {
+        const src = this.rawPoints;
+        const centers = [], arc = [], top = [];
+
+        for (let k = 0; k < path.rings; k++) {
+            const i = path.base + path.size * k;
+            const l = src[i], r = src[i + path.right];
+            const c = [(l[0] + r[0]) / 2, (l[1] + r[1]) / 2];
+            arc.push(k === 0 ? 0 : arc[k - 1] + Math.hypot(c[0] - centers[k - 1][0], c[1] - centers[k - 1][1]));
+            centers.push(c);
+
+            let z = -Infinity;
+            for (let v = i; v < i + path.size; v++) z = Math.max(z, src[v][2]);
+            top.push(z);
+        }
+
+        return { centers, arc, top };
+    }
+
+    /**
+     * Ponto do eixo mais próximo de uma posição [x, y, z] (a altura
+     * desempata os trechos que se cruzam no mapa).
+     * @private
+     * @returns {Object|null} { path, arc, distance } (distance: na horizontal)
+     */
+    _nearestOnAxis(axes, location) {
+        const [x, y, z] = location;
+        let best = null, score = Infinity;
+
+        axes.forEach((axis, p) => {
+            for (let k = 0; k + 1 < axis.centers.length; k++) {
+                const a = axis.centers[k], b = axis.centers[k + 1];
+                const dx = b[0] - a[0], dy = b[1] - a[1];
+                const len2 = dx * dx + dy * dy;
+                const t = len2 > 0 ? Math.min(1, Math.max(0, ((x - a[0]) * dx + (y - a[1]) * dy) / len2)) : 0;
+
+                const distance = Math.hypot(x - a[0] - t * dx, y - a[1] - t * dy);
+                const rise = z - (axis.top[k] + (axis.top[k + 1] - axis.top[k]) * t);
+                if (Math.hypot(distance, rise) < score) {
+                    score = Math.hypot(distance, rise);
+                    best = { path: p, arc: axis.arc[k] + (axis.arc[k + 1] - axis.arc[k]) * t, distance };
+                }
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Faces entre dois anéis (mesma ordem de PathSegment.faces), dados
+     * pelos índices dos vértices.
+     * @private
+     */
+    _bridgeRings(faces, a, b) {
+        const n = a.length;
+        for (let k = 0; k < n; k++) {
+            const k2 = (k + 1) % n;
+            faces.push([a[k], a[k2], b[k2]]);
+            faces.push([a[k], b[k2], b[k]]);
+        }
+    }
+
+    /**
+     * Marcador unido ao caminho entre os anéis de corte `a` e `b`. Em cada
+     * corte, o contorno do marcador (retângulo no plano do anel, incluindo
+     * os vértices do anel apoiados no chão) é ligado ao anel por uma coroa
+     * de triângulos, montada em ordem de ângulo em torno do centro do anel;
+     * as paredes ligam os dois contornos.
+     * @private
+     */
+    _markerFlange(points, faces, a, b, right) {
+        const frame = (ring) => {
+            const l = points[ring[0]], r = points[ring[right]];
+            const h = [(r[0] - l[0]) / 2, (r[1] - l[1]) / 2];
+            return { c: [(l[0] + r[0]) / 2, (l[1] + r[1]) / 2], h, half: Math.hypot(h[0], h[1]) };
+        };
+        const fa = frame(a), fb = frame(b);
+        const half = Math.max(this.options.markerWidth / 2, fa.half + 0.5, fb.half + 0.5);
+        let top = -Infinity;
+        for (const v of a.concat(b)) top = Math.max(top, points[v][2]);
+        top += 2;
+
+        // Vértices do anel no chão (seguidos na ordem do anel), os mesmos nos dois cortes
+        const n = a.length;
+        const floor = a.map((v, k) => Math.min(points[v][2], points[b[k]][2]) < MeshCheck.EPSILON);
+        const first = floor.findIndex((on, k) => on && !floor[(k + n - 1) % n]);
+
+        // Contorno (na ordem do anel) e coroa de um corte; `sign` é o
+        // sentido das faces da coroa no plano (u, z) do anel
+        const section = (ring, f, sign) => {
+            const uv = new Map();
+            for (const v of ring) {
+                const p = points[v];
+                uv.set(v, [((p[0] - f.c[0]) * f.h[0] + (p[1] - f.c[1]) * f.h[1]) / f.half, p[2]]);
+            }
+            const corner = (side, z) => {
+                points.push([f.c[0] + side * f.h[0] * half / f.half, f.c[1] + side * f.h[1] * half / f.half, z]);
+                uv.set(points.length - 1, [side * half, z]);
+                return points.length - 1;
+            };
+            const bl = corner(-1, 0), br = corner(1, 0), tr = corner(1, top), tl = corner(-1, top);
+
+            let inner, outer, center, outline;
+            if (first < 0) {
+                // Anel acima do chão: coroa fechada em torno do centroide
+                center = [0, 0];
+                for (const v of ring) {
+                    center[0] += uv.get(v)[0] / n;
+                    center[1] += uv.get(v)[1] / n;
+                }
+                inner = ring.slice();
+                outer = [bl, br, tr, tl];
+                outline = outer;
+            } else {
+                // Anel apoiado no chão: a coroa vai do último vértice no
+                // chão, por cima, até o primeiro
+                let end = first;
+                while (floor[(end + 1) % n] && (end + 1) % n !== first) end = (end + 1) % n;
+                const base = [];
+                for (let k = first; ; k = (k + 1) % n) {
+                    base.push(ring[k]);
+                    if (k === end) break;
+                }
+                inner = [];
+                for (let k = end; ; k = (k + 1) % n) {
+                    inner.push(ring[k]);
+                    if (k === first && inner.length > 1) break;
+                }
+                const l = uv.get(ring[first]), r = uv.get(ring[end]);
+                center = [(l[0] + r[0]) / 2, 0];
+                outer = [br, tr, tl, bl];
+                outline = [bl].concat(base, [br, tr, tl]);
+            }
+
+            // Ângulo em torno do centro: de 0 a π sobre o chão, ou a volta
+            // inteira a partir de baixo na coroa fechada
+            const angle = (v) => {
+                const p = uv.get(v);
+                const t = Math.atan2(p[1] - center[1], p[0] - center[0]);
+                return first < 0 ? (t + 2.5 * Math.PI) % (2 * Math.PI) : t;
+            };
+            let ai = inner.map(angle), ao = outer.map(angle);
+            if (first < 0) {
+                const rotate = (list, angles) => {
+                    const s = angles.indexOf(Math.min(...angles));
+                    return [list.slice(s).concat(list.slice(0, s), [list[s]]),
+                        angles.slice(s).concat(angles.slice(0, s), [angles[s] + 2 * Math.PI])];
+                };
+                [inner, ai] = rotate(inner, ai);
+                [outer, ao] = rotate(outer, ao);
+            } else {
+                ai[0] = ao[0] = 0;
+                ai[ai.length - 1] = ao[ao.length - 1] = Math.PI;
+            }
+
+            const cross = (p, q, x) =>
+                (q[0] - p[0]) * (x[1] - p[1]) - (x[0] - p[0]) * (q[1] - p[1]);
+            const triangle = (p, q, r) => {
+                faces.push(cross(uv.get(p), uv.get(q), uv.get(r)) * sign > 0 ? [p, q, r] : [p, r, q]);
+            };
+
+            // O triângulo não pode entrar no anel: nenhum vértice do anel
+            // dentro dele, nenhuma aresta cruzando as suas e, a partir do
+            // vértice do anel, as arestas saindo para fora
+            const e = MeshCheck.EPSILON;
+            const edges = ring.map((v, k) => [uv.get(v), uv.get(ring[(k + 1) % n])]);
+            const inRing = (x) => edges.every(([p, q]) => cross(p, q, x) > e);
+            const crosses = (p, q, r, s) =>
+                cross(p, q, r) * cross(p, q, s) < -e && cross(r, s, p) * cross(r, s, q) < -e;
+            const clear = (v, x, y) => {
+                const t = [v, x, y].map(k => uv.get(k));
+                const area = cross(t[0], t[1], t[2]);
+                if (ring.some(k => k !== v && k !== x && k !== y &&
+                    [0, 1, 2].every(m => cross(t[m], t[(m + 1) % 3], uv.get(k)) * area > e))) return false;
+                if (edges.some(([p, q]) => [0, 1, 2].some(m => crosses(t[m], t[(m + 1) % 3], p, q)))) return false;
+                const step = (k) => [t[0][0] + (t[k][0] - t[0][0]) * 1e-3, t[0][1] + (t[k][1] - t[0][1]) * 1e-3];
+                return !inRing(step(1)) && !inRing(step(2));
+            };
+
+            // Avança pelo menor ângulo, desde que o triângulo fique fora do anel
+            let i = 0, j = 0;
+            while (i + 1 < inner.length || j + 1 < outer.length) {
+                const innerFits = i + 1 < inner.length && clear(inner[i], outer[j], inner[i + 1]);
+                const outerFits = j + 1 < outer.length && clear(inner[i], outer[j], outer[j + 1]);
+                const byAngle = j + 1 === outer.length || (i + 1 < inner.length && ai[i + 1] <= ao[j + 1]);
+
+                if (innerFits && (byAngle || !outerFits) || !outerFits && byAngle) {
+                    triangle(inner[i], outer[j], inner[i + 1]);
+                    i++;
+                } else {
+                    triangle(inner[i], outer[j], outer[j + 1]);
+                    j++;
+                }
+            }
+            return outline;
+        };
+
+        // Mesmo sentido das tampas do caminho: a inicial inverte a ordem do anel
+        this._bridgeRings(faces, section(a, fa, -1), section(b, fb, 1));
+    }
+
+    /**
+     * Corpos nomeados do modelo, todos na mesma origem, para imprimir cada
+     * parte com um filamento: caminho, sólidos de terreno, base e texto,
+     * marcadores e waypoints (os vazios ficam de fora).
+     * @returns {Object[]} [{ name, caption, mesh: { points, faces } }]
+     */
+    bodies() {
+        if (this._meshes.bodies) return this._meshes.bodies.map(b => Object.assign({}, b));
+
+        const waypoints = { points: [], faces: [] };
+        for (const w of this.rawWaypoints) {
+            this._waypointSolid(w, waypoints.points, waypoints.faces);
+        }
+
+        const bodies = [{ name: 'profile', caption: 'Profile', mesh: { points: this.rawPoints, faces: this.rawFaces } }]
+            .concat(this.rawSolids.map(b => ({ name: b.name, caption: b.caption, mesh: { points: b.points, faces: b.faces } })))
+            .concat([
+                { name: 'markers', caption: 'Markers', mesh: this.markerMesh() },
+                { name: 'waypoints', caption: 'Waypoints', mesh: waypoints }
+            ])
+            .filter(b => b.mesh.faces.length > 0);
+
+        // Com reparo, cada corpo sai orientado como a malha completa
+        if (this.repairs) {
+            for (const b of bodies) {
+                const fixed = MeshCheck.repair(b.mesh);
+                b.mesh = { points: fixed.points, faces: fixed.faces };
+            }
+        }
+
+        this._meshes.bodies = bodies;
+        return bodies.map(b => Object.assign({}, b));
+    }
+
+    /**
+     * Malha só dos marcadores de distância (corpo separado).
+     * @returns {Object} { points, faces }
+     */
+    markerMesh() {
+        const points = [];
+        const faces = [];
+
+        for (const m of this.rawMarkers) {
+            this._markerSolid(m, points, faces);
+        }
+
+        return { points, faces };
+    }
+
+    /**
+     * Geometria de um marcador: placa de 1 mm atravessando o caminho,
+     * do fundo até 2 mm acima dele (mesmas medidas do código paramétrico).
+     * É um sólido fechado próprio, usado no corpo separado dos marcadores
+     * e para os que não puderam ser unidos ao caminho.
+     * @private
+     */
+    _markerSolid(m, points, faces) {
+        const [x, y, height] = m.location;
+        const w = this.options.markerWidth / 2;
+        const outline = Solid.rect(x, y, -0.5, -w, 0.5, w, m.orientation);
+        const start = faces.length;
+
+        Solid.prism(points, faces, outline, 0, height + 2);
+        this._clockwise(faces, start);
+    }
+
+    /**
+     * Inverte as faces a partir de `start` para a mesma ordem do polyhedron
+     * do caminho (horária vista de fora).
+     * @private
+     */
+    _clockwise(faces, start) {
+        for (let i = start; i < faces.length; i++) {
+            const f = faces[i];
+            faces[i] = [f[0], f[2], f[1]];
+        }
+    }
+
+    /**
+     * Geometria de um waypoint (mesmas medidas do código paramétrico).
+     * @private
+     */
+    _waypointSolid(w, points, faces) {
+        const o = this.options;
+        const [x, y, height] = w.location;
+        const z = height + o.pinHeight;
+        const start = faces.length;
+
+        Solid.prism(points, faces, Solid.circle(x, y, o.pinRadius), 0, z);
+
+        if (o.waypointStyle === ModelGenerator.WAYPOINT_FLAG) {
+            const flag = Solid.rect(x, y, 0, -0.5, o.flagWidth, 0.5, w.orientation);
+            Solid.prism(points, faces, flag, z - o.flagHeight, z);
+        } else {
+            Solid.prism(points, faces, Solid.circle(x, y, o.pinHeadRadius), z, z + 1.5);
+        }
+        this._clockwise(faces, start);
+    }
+
+    /**
+     * Gera um STL a partir da malha indexada (faces orientadas para fora,
+     * normais calculadas), binário ou em texto.
+     * @param {Object} [mesh] - { points, faces } (padrão: this.mesh())
+     * @param {Object} [options] - { ascii (STL em texto), header (nome da
+     *   trilha e parâmetros: cabeçalho de 80 bytes ou nome do solid) }
+     * @returns {ArrayBuffer|string} Arquivo STL binário ou texto
+     */
+    generateSTL(mesh = this.mesh(), options = {}) {
+        const indexed = this.indexedMesh(mesh);
+        const title = this._stlTitle(options.header);
+
+        if (options.ascii) {
+            return this._asciiSolid(title, indexed).join('\n') + '\n';
+        }
+
+        const { points, faces, normals } = indexed;
+        const numTriangles = faces.length;
         const bufferSize = 84 + (numTriangles * 50);
         const buffer = new ArrayBuffer(bufferSize);
         const view = new DataView(buffer);
 
-        // Header (80 bytes, pode conter texto)
-        const header = "STL gerado por GPXtruder Modern";
+        // Header (80 bytes de texto; não pode começar com "solid")
+        const header = ('GPXtruder: ' + title).slice(0, 80);
         for (let i = 0; i < 80; i++) {
             view.setUint8(i, i < header.length ? header.charCodeAt(i) : 0);
         }
@@ -528,39 +2525,13 @@ class ModelCode {
 
         let offset = 84;
         for (let i = 0; i < numTriangles; i++) {
-            const face = this.rawFaces[i];
-            const v0 = this.rawPoints[face[0]];
-            const v1 = this.rawPoints[face[1]];
-            const v2 = this.rawPoints[face[2]];
-
-            // Calcular normal do triângulo
-            const ux = v1[0] - v0[0], uy = v1[1] - v0[1], uz = v1[2] - v0[2];
-            const vx = v2[0] - v0[0], vy = v2[1] - v0[1], vz = v2[2] - v0[2];
-            let nx = uy * vz - uz * vy;
-            let ny = uz * vx - ux * vz;
-            let nz = ux * vy - uy * vx;
-            const len = Math.sqrt(nx * nx + ny * ny + nz * nz);
-            if (len > 0) { nx /= len; ny /= len; nz /= len; }
-
-            // Normal
-            view.setFloat32(offset, nx, true); offset += 4;
-            view.setFloat32(offset, ny, true); offset += 4;
-            view.setFloat32(offset, nz, true); offset += 4;
-
-            // Vértice 1
-            view.setFloat32(offset, v0[0], true); offset += 4;
-            view.setFloat32(offset, v0[1], true); offset += 4;
-            view.setFloat32(offset, v0[2], true); offset += 4;
-
-            // Vértice 2
-            view.setFloat32(offset, v1[0], true); offset += 4;
-            view.setFloat32(offset, v1[1], true); offset += 4;
-            view.setFloat32(offset, v1[2], true); offset += 4;
-
-            // Vértice 3
-            view.setFloat32(offset, v2[0], true); offset += 4;
-            view.setFloat32(offset, v2[1], true); offset += 4;
-            view.setFloat32(offset, v2[2], true); offset += 4;
+            // Normal e os três vértices
+            for (const v of [normals[i]].concat(faces[i].map(k => points[k]))) {
+                view.setFloat32(offset, v[0], true);
+                view.setFloat32(offset + 4, v[1], true);
+                view.setFloat32(offset + 8, v[2], true);
+                offset += 12;
+            }
 
             // Attribute byte count
             view.setUint16(offset, 0, true); offset += 2;
@@ -568,4 +2539,550 @@ class ModelCode {
 
         return buffer;
     }
+
+    /**
+     * Título do STL em uma linha de texto ASCII (sem acentos).
+     * @private
+     */
+    _stlTitle(text) {
+        return String(text || 'STL gerado por GPXtruder Modern').normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '').replace(/[^\x21-\x7e]+/g, ' ').trim();
+    }
+
+    /**
+     * Linhas de um `solid` de STL ASCII.
+     * @private
+     */
+    _asciiSolid(name, indexed) {
+        const { points, faces, normals } = indexed;
+        const num = (v) => v.toExponential(6);
+        const lines = [`solid ${name}`];
+
+        faces.forEach((f, i) => {
+            lines.push(`  facet normal ${normals[i].map(num).join(' ')}`, '    outer loop');
+            for (const k of f) lines.push(`      vertex ${points[k].map(num).join(' ')}`);
+            lines.push('    endloop', '  endfacet');
+        });
+
+        lines.push(`endsolid ${name}`);
+        return lines;
+    }
+
+    /**
+     * Gera um arquivo 3MF (ZIP) com cada corpo como objeto nomeado, com a
+     * cor de ModelGenerator.BODY_COLORS, em milímetros e com os metadados
+     * da trilha. As faces saem orientadas para fora, como o formato exige.
+     * Com uma escala de cores, o caminho usa ModelGenerator.RAMP_STEPS
+     * materiais da escala, escolhidos por vértice.
+     *
+     * @param {Object[]} [bodies] - Resultado de bodies() (caption vira o nome do objeto)
+     * @param {Object} [metadata] - Metadados 3MF ({ Title, Description, ... })
+     * @param {Object|null} [ramp] - Resultado de colorRamp
+     * @returns {Uint8Array} Arquivo 3MF
+     */
+    generate3MF(bodies = this.bodies(), metadata = {}, ramp = null) {
+        const esc = (t) => String(t).replace(/[&<>"]/g, c =>
+            ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+        const num = (v) => +v.toFixed(5);
+
+        const xml = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<model unit="millimeter" xml:lang="pt-BR" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">'
+        ];
+        for (const [name, value] of Object.entries(metadata)) {
+            if (value) xml.push(`<metadata name="${esc(name)}">${esc(value)}</metadata>`);
+        }
+
+        xml.push('<resources>', '<basematerials id="1">');
+        for (const b of bodies) {
+            const color = ModelGenerator.BODY_COLORS[b.name] || '#9E9E9E';
+            xml.push(`<base name="${esc(b.caption)}" displaycolor="${color}FF"/>`);
+        }
+
+        // Faixas da escala de cores, depois das cores dos corpos
+        const steps = ModelGenerator.RAMP_STEPS;
+        if (ramp) {
+            const hex = (c) => '#' + c.map(v => v.toString(16).padStart(2, '0')).join('').toUpperCase();
+            for (let i = 0; i < steps; i++) {
+                const value = ramp.min + (i + 0.5) / steps * (ramp.max - ramp.min);
+                xml.push(`<base name="${esc(`${ramp.label} ${+value.toFixed(1)} ${ramp.unit}`)}" ` +
+                    `displaycolor="${hex(ramp.colorAt((i + 0.5) / steps))}FF"/>`);
+            }
+        }
+        xml.push('</basematerials>');
+
+        bodies.forEach((b, k) => {
+            const mesh = this.indexedMesh(b.mesh);
+            xml.push(`<object id="${k + 2}" name="${esc(b.caption)}" type="model" pid="1" pindex="${k}">`,
+                '<mesh>', '<vertices>');
+            for (const p of mesh.points) xml.push(`<vertex x="${num(p[0])}" y="${num(p[1])}" z="${num(p[2])}"/>`);
+            xml.push('</vertices>', '<triangles>');
+
+            if (ramp && b.name === 'profile') {
+                const bin = mesh.points.map(p =>
+                    bodies.length + Math.min(steps - 1, Math.floor(ramp.fraction(p) * steps)));
+                for (const f of mesh.faces) {
+                    xml.push(`<triangle v1="${f[0]}" v2="${f[1]}" v3="${f[2]}" pid="1" ` +
+                        `p1="${bin[f[0]]}" p2="${bin[f[1]]}" p3="${bin[f[2]]}"/>`);
+                }
+            } else {
+                for (const f of mesh.faces) xml.push(`<triangle v1="${f[0]}" v2="${f[1]}" v3="${f[2]}"/>`);
+            }
+            xml.push('</triangles>', '</mesh>', '</object>');
+        });
+
+        xml.push('</resources>', '<build>');
+        bodies.forEach((b, k) => xml.push(`<item objectid="${k + 2}"/>`));
+        xml.push('</build>', '</model>');
+
+        return Zip.create([
+            {
+                name: '[Content_Types].xml',
+                data: '<?xml version="1.0" encoding="UTF-8"?>\n' +
+                    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>' +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                data: '<?xml version="1.0" encoding="UTF-8"?>\n' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Target="/3D/3dmodel.model" Id="rel0" ' +
+                    'Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>' +
+                    '</Relationships>'
+            },
+            { name: '3D/3dmodel.model', data: xml.join('\n') }
+        ]);
+    }
+
+    /**
+     * Malha indexada para exportação: faces orientadas para fora (por
+     * corpo), vértices iguais compartilhados (sem triângulos que colapsam)
+     * e a normal unitária de cada face. Fica guardada no ModelCode para
+     * as malhas de mesh() e bodies(), até o reparo mudar a geometria.
+     * @param {Object} [mesh] - { points, faces } (padrão: this.mesh())
+     * @returns {Object} { points, faces, normals }
+     */
+    indexedMesh(mesh = this.mesh()) {
+        const cached = this._meshes.indexed.get(mesh);
+        if (cached) return cached;
+
+        const fixed = MeshCheck.repair(mesh);
+        const points = [];
+        const index = new Map();
+        const map = fixed.points.map(p => {
+            const key = p.map(c => c.toFixed(5)).join(',');
+            if (!index.has(key)) {
+                index.set(key, points.length);
+                points.push(p);
+            }
+            return index.get(key);
+        });
+
+        const faces = [];
+        for (const f of fixed.faces) {
+            const [a, b, c] = f.map(i => map[i]);
+            if (a !== b && b !== c && a !== c) faces.push([a, b, c]);
+        }
+        const normals = faces.map(f => this._facetNormal(points[f[0]], points[f[1]], points[f[2]]));
+
+        const indexed = { points, faces, normals };
+        this._meshes.indexed.set(mesh, indexed);
+        return indexed;
+    }
+
+    /**
+     * Cor [r, g, b] (0-255) de um corpo.
+     * @private
+     */
+    _bodyColor(body) {
+        return this._hexColor(ModelGenerator.BODY_COLORS[body.name] || '#9E9E9E');
+    }
+
+    /**
+     * Cor "#RRGGBB" como [r, g, b] (0-255).
+     * @private
+     */
+    _hexColor(hex) {
+        return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+    }
+
+    /**
+     * Escala de cores de uma métrica da trilha (ModelGenerator.COLOR_RAMPS)
+     * para pintar o caminho: cada vértice recebe o valor do ponto mais
+     * próximo da linha central (vista de cima), interpolado ao longo do
+     * segmento. Como depende só da posição, vale para a malha reparada
+     * ou soldada.
+     * @param {string} key - 'elevation', 'grade', 'distance' ou 'speed'
+     * @returns {Object|null} { key, label, unit, min, max, stops, fraction(v) → 0 a 1,
+     *   colorAt(fração) e color(v) → [r, g, b] 0-255 } (null se a trilha não tem a métrica)
+     */
+    colorRamp(key) {
+        const track = this.options.track;
+        const values = track && track.values[key];
+        if (!values || values.length === 0) return null;
+
+        let min = Infinity, max = -Infinity;
+        for (const v of values) {
+            if (v < min) min = v;
+            if (v > max) max = v;
+        }
+        if (key === 'grade') {
+            max = Math.max(Math.abs(min), Math.abs(max));
+            min = -max;
+        }
+
+        const stops = ModelGenerator.RAMP_STOPS;
+        const rgb = stops.map(c => this._hexColor(c));
+        const locate = this._trackLocator();
+        const info = (track.labels && track.labels[key]) || ModelGenerator.COLOR_RAMPS[key];
+
+        return {
+            key,
+            label: info.label,
+            unit: info.unit,
+            min,
+            max,
+            stops,
+            fraction(v) {
+                const { s, t } = locate(v);
+                const value = s + 1 < values.length ? values[s] + t * (values[s + 1] - values[s]) : values[s];
+                return max > min ? Math.max(0, Math.min(1, (value - min) / (max - min))) : 0.5;
+            },
+            colorAt(fraction) {
+                const f = fraction * (rgb.length - 1);
+                const k = Math.min(rgb.length - 2, Math.floor(f));
+                return [0, 1, 2].map(c => Math.round(rgb[k][c] + (f - k) * (rgb[k + 1][c] - rgb[k][c])));
+            },
+            color(v) {
+                return this.colorAt(this.fraction(v));
+            }
+        };
+    }
+
+    /**
+     * Busca do segmento da linha central mais próximo de um ponto, com uma
+     * grade de células do tamanho da largura dos marcadores. Onde a trilha
+     * cruza a si mesma, segmentos com o topo abaixo do ponto não contam
+     * (o ponto é da passagem de cima).
+     * @returns {function} v → { s (segmento), t (0 a 1 ao longo dele) }
+     * @private
+     */
+    _trackLocator() {
+        if (this._locator) return this._locator;
+
+        const pts = this.options.track.points;
+        const size = Math.max(1, this.options.markerWidth || 1);
+        const cells = new Map();
+        const cellKey = (i, j) => i + ',' + j;
+        const grid = { i0: Infinity, i1: -Infinity, j0: Infinity, j1: -Infinity };
+
+        for (let s = 0; s + 1 < pts.length; s++) {
+            const a = pts[s], b = pts[s + 1];
+            const i0 = Math.floor(Math.min(a[0], b[0]) / size), i1 = Math.floor(Math.max(a[0], b[0]) / size);
+            const j0 = Math.floor(Math.min(a[1], b[1]) / size), j1 = Math.floor(Math.max(a[1], b[1]) / size);
+            grid.i0 = Math.min(grid.i0, i0);
+            grid.i1 = Math.max(grid.i1, i1);
+            grid.j0 = Math.min(grid.j0, j0);
+            grid.j1 = Math.max(grid.j1, j1);
+            for (let i = i0; i <= i1; i++) {
+                for (let j = j0; j <= j1; j++) {
+                    const k = cellKey(i, j);
+                    if (!cells.has(k)) cells.set(k, []);
+                    cells.get(k).push(s);
+                }
+            }
+        }
+
+        const nearest = (v, s) => {
+            const a = pts[s], b = pts[s + 1];
+            const dx = b[0] - a[0], dy = b[1] - a[1];
+            const len2 = dx * dx + dy * dy;
+            const t = len2 > 0 ? Math.max(0, Math.min(1, ((v[0] - a[0]) * dx + (v[1] - a[1]) * dy) / len2)) : 0;
+            const below = v[2] > a[2] + t * (b[2] - a[2]) + 1e-3;
+            return { s, t, below, dist: Math.hypot(v[0] - a[0] - t * dx, v[1] - a[1] - t * dy) };
+        };
+
+        // Anéis de células cada vez maiores até não haver segmento mais perto
+        this._locator = (v) => {
+            if (pts.length < 2) return { s: 0, t: 0 };
+            const ci = Math.floor(v[0] / size), cj = Math.floor(v[1] / size);
+            const reach = Math.max(ci - grid.i0, grid.i1 - ci, cj - grid.j0, grid.j1 - cj);
+            let best = null, any = null;
+
+            for (let r = 0; r <= reach; r++) {
+                if (best && best.dist <= (r - 1) * size) break;
+                for (let i = ci - r; i <= ci + r; i++) {
+                    for (let j = cj - r; j <= cj + r; j++) {
+                        if (Math.max(Math.abs(i - ci), Math.abs(j - cj)) !== r) continue;
+                        for (const s of cells.get(cellKey(i, j)) || []) {
+                            const n = nearest(v, s);
+                            if (!any || n.dist < any.dist) any = n;
+                            if (!n.below && (!best || n.dist < best.dist)) best = n;
+                        }
+                    }
+                }
+            }
+            return best || any || { s: 0, t: 0 };
+        };
+        return this._locator;
+    }
+
+    /**
+     * Cor [r, g, b] (0-255) de cada vértice de um corpo: a escala de cores
+     * no caminho e a cor do corpo no resto.
+     * @param {Object} body - Item de bodies()
+     * @param {number[][]} points - Vértices (do corpo ou da sua malha indexada)
+     * @param {Object|null} [ramp] - Resultado de colorRamp
+     * @returns {number[][]}
+     */
+    vertexColors(body, points, ramp = null) {
+        if (ramp && body.name === 'profile') return points.map(p => ramp.color(p));
+        const color = this._bodyColor(body);
+        return points.map(() => color);
+    }
+
+    /**
+     * Malha completa para o preview, montada a partir dos corpos, com as
+     * cores por vértice (0 a 1) quando há uma escala de cores.
+     * @param {Object|null} [ramp] - Resultado de colorRamp
+     * @returns {Object} { points, faces, colors (null sem escala) }
+     */
+    previewMesh(ramp = null) {
+        const points = [];
+        const faces = [];
+        const colors = ramp ? [] : null;
+
+        for (const b of this.bodies()) {
+            const base = points.length;
+            for (const p of b.mesh.points) points.push(p);
+            for (const f of b.mesh.faces) faces.push(f.map(i => i + base));
+            if (ramp) {
+                for (const c of this.vertexColors(b, b.mesh.points, ramp)) colors.push(c.map(v => v / 255));
+            }
+        }
+
+        return { points, faces, colors };
+    }
+
+    /**
+     * Gera um OBJ (texto) com um objeto por corpo, em milímetros.
+     * @param {Object[]} [bodies] - Resultado de bodies()
+     * @param {Object} [metadata] - Metadados (viram comentários)
+     * @returns {string} Arquivo OBJ
+     */
+    generateOBJ(bodies = this.bodies(), metadata = {}) {
+        const lines = ['# GPXtruder Modern (unidades em mm)'];
+        for (const [name, value] of Object.entries(metadata)) {
+            if (value) lines.push(`# ${name}: ${String(value).replace(/[\r\n]+/g, ' ')}`);
+        }
+
+        // Índices do OBJ são globais e começam em 1
+        let base = 1;
+        for (const b of bodies) {
+            const mesh = this.indexedMesh(b.mesh);
+            lines.push(`o ${b.caption.replace(/\s+/g, '_')}`);
+            for (const p of mesh.points) lines.push(`v ${+p[0].toFixed(5)} ${+p[1].toFixed(5)} ${+p[2].toFixed(5)}`);
+            for (const f of mesh.faces) lines.push(`f ${f[0] + base} ${f[1] + base} ${f[2] + base}`);
+            base += mesh.points.length;
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Gera um PLY binário com todos os corpos em uma malha, com a cor de
+     * cada corpo (ou a escala de cores no caminho) por vértice (opcional).
+     * @param {Object[]} [bodies] - Resultado de bodies()
+     * @param {Object} [options] - { colors (cor por vértice), ramp (resultado de colorRamp), metadata }
+     * @returns {ArrayBuffer} Arquivo PLY
+     */
+    generatePLY(bodies = this.bodies(), options = {}) {
+        const colors = !!options.colors;
+        const meshes = bodies.map(b => {
+            const mesh = this.indexedMesh(b.mesh);
+            return { mesh, colors: colors ? this.vertexColors(b, mesh.points, options.ramp) : null };
+        });
+        const vertexCount = meshes.reduce((sum, m) => sum + m.mesh.points.length, 0);
+        const faceCount = meshes.reduce((sum, m) => sum + m.mesh.faces.length, 0);
+
+        const header = ['ply', 'format binary_little_endian 1.0', 'comment GPXtruder Modern (unidades em mm)'];
+        for (const [name, value] of Object.entries(options.metadata || {})) {
+            if (value) header.push(`comment ${name}: ${String(value).replace(/[\r\n]+/g, ' ')}`);
+        }
+        header.push(`element vertex ${vertexCount}`, 'property float x', 'property float y', 'property float z');
+        if (colors) header.push('property uchar red', 'property uchar green', 'property uchar blue');
+        header.push(`element face ${faceCount}`, 'property list uchar int vertex_indices', 'end_header');
+
+        const head = new TextEncoder().encode(header.join('\n') + '\n');
+        const vertexSize = colors ? 15 : 12;
+        const buffer = new ArrayBuffer(head.length + vertexCount * vertexSize + faceCount * 13);
+        new Uint8Array(buffer).set(head);
+        const view = new DataView(buffer);
+        let offset = head.length;
+
+        for (const m of meshes) {
+            m.mesh.points.forEach((p, i) => {
+                view.setFloat32(offset, p[0], true);
+                view.setFloat32(offset + 4, p[1], true);
+                view.setFloat32(offset + 8, p[2], true);
+                offset += 12;
+                if (colors) {
+                    const color = m.colors[i];
+                    view.setUint8(offset, color[0]);
+                    view.setUint8(offset + 1, color[1]);
+                    view.setUint8(offset + 2, color[2]);
+                    offset += 3;
+                }
+            });
+        }
+
+        let base = 0;
+        for (const { mesh } of meshes) {
+            for (const f of mesh.faces) {
+                view.setUint8(offset, 3);
+                view.setInt32(offset + 1, f[0] + base, true);
+                view.setInt32(offset + 5, f[1] + base, true);
+                view.setInt32(offset + 9, f[2] + base, true);
+                offset += 13;
+            }
+            base += mesh.points.length;
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Gera um glTF binário (.glb) com uma malha e um material por corpo.
+     * O nó raiz converte de milímetros com Z para cima para metros com Y
+     * para cima, como o formato pede; sem normais, os visualizadores usam
+     * normais planas. Com uma escala de cores, o caminho leva as cores
+     * por vértice (COLOR_0) e material branco.
+     * @param {Object[]} [bodies] - Resultado de bodies()
+     * @param {Object} [metadata] - Metadados (Title vira o nome da cena)
+     * @param {Object|null} [ramp] - Resultado de colorRamp
+     * @returns {ArrayBuffer} Arquivo GLB
+     */
+    generateGLB(bodies = this.bodies(), metadata = {}, ramp = null) {
+        const gltf = {
+            asset: { version: '2.0', generator: 'GPXtruder Modern', extras: metadata },
+            scene: 0,
+            scenes: [{ name: metadata.Title || 'GPXtruder', nodes: [0] }],
+            nodes: [{ name: 'model', rotation: [-Math.SQRT1_2, 0, 0, Math.SQRT1_2], scale: [0.001, 0.001, 0.001], children: [] }],
+            meshes: [],
+            materials: [],
+            accessors: [],
+            bufferViews: [],
+            buffers: []
+        };
+
+        // sRGB (0-255) → linear, como baseColorFactor espera
+        const linear = (c) => {
+            c /= 255;
+            return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        };
+
+        const chunks = [];
+        let length = 0;
+        const addView = (array, target) => {
+            gltf.bufferViews.push({ buffer: 0, byteOffset: length, byteLength: array.byteLength, target });
+            chunks.push(array);
+            length += array.byteLength;
+            return gltf.bufferViews.length - 1;
+        };
+
+        bodies.forEach((b, k) => {
+            const mesh = this.indexedMesh(b.mesh);
+            const positions = new Float32Array(mesh.points.length * 3);
+            const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+            mesh.points.forEach((p, i) => {
+                for (let c = 0; c < 3; c++) {
+                    positions[i * 3 + c] = p[c];
+                    min[c] = Math.min(min[c], positions[i * 3 + c]);
+                    max[c] = Math.max(max[c], positions[i * 3 + c]);
+                }
+            });
+            const indices = new Uint32Array(mesh.faces.length * 3);
+            mesh.faces.forEach((f, i) => indices.set(f, i * 3));
+
+            const attributes = { POSITION: gltf.accessors.length };
+            gltf.accessors.push(
+                { bufferView: addView(positions, 34962), componentType: 5126, count: mesh.points.length, type: 'VEC3', min, max },
+                { bufferView: addView(indices, 34963), componentType: 5125, count: indices.length, type: 'SCALAR' }
+            );
+
+            const colored = ramp && b.name === 'profile';
+            if (colored) {
+                const colors = new Float32Array(mesh.points.length * 3);
+                this.vertexColors(b, mesh.points, ramp).forEach((c, i) => colors.set(c.map(linear), i * 3));
+                attributes.COLOR_0 = gltf.accessors.length;
+                gltf.accessors.push({ bufferView: addView(colors, 34962), componentType: 5126, count: mesh.points.length, type: 'VEC3' });
+            }
+
+            gltf.materials.push({
+                name: b.caption,
+                pbrMetallicRoughness: {
+                    baseColorFactor: colored ? [1, 1, 1, 1] : this._bodyColor(b).map(linear).concat(1),
+                    metallicFactor: 0,
+                    roughnessFactor: 0.8
+                }
+            });
+            gltf.meshes.push({
+                name: b.caption,
+                primitives: [{ attributes, indices: attributes.POSITION + 1, material: k }]
+            });
+            gltf.nodes.push({ name: b.caption, mesh: k });
+            gltf.nodes[0].children.push(k + 1);
+        });
+        gltf.buffers.push({ byteLength: length });
+
+        // Blocos JSON (com espaços) e binário (com zeros) alinhados a 4 bytes
+        const json = new TextEncoder().encode(JSON.stringify(gltf));
+        const jsonLength = Math.ceil(json.length / 4) * 4;
+        const binLength = Math.ceil(length / 4) * 4;
+        const out = new Uint8Array(12 + 8 + jsonLength + 8 + binLength);
+        const view = new DataView(out.buffer);
+
+        view.setUint32(0, 0x46546C67, true); // "glTF"
+        view.setUint32(4, 2, true);
+        view.setUint32(8, out.length, true);
+        view.setUint32(12, jsonLength, true);
+        view.setUint32(16, 0x4E4F534A, true); // "JSON"
+        out.fill(0x20, 20, 20 + jsonLength);
+        out.set(json, 20);
+
+        let offset = 20 + jsonLength;
+        view.setUint32(offset, binLength, true);
+        view.setUint32(offset + 4, 0x004E4942, true); // "BIN"
+        offset += 8;
+        for (const chunk of chunks) {
+            out.set(new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength), offset);
+            offset += chunk.byteLength;
+        }
+
+        return out.buffer;
+    }
+
+    /**
+     * Gera um STL ASCII com um `solid` nomeado por corpo, todos na mesma
+     * origem, para o fatiador abrir as partes como objetos separados.
+     * @param {Object[]} [bodies] - Resultado de bodies()
+     * @returns {string} Arquivo STL ASCII
+     */
+    generateBodiesSTL(bodies = this.bodies()) {
+        return bodies.map(b => this._asciiSolid(b.name, this.indexedMesh(b.mesh)).join('\n') + '\n').join('');
+    }
+
+    /**
+     * Normal unitária de um triângulo (zero se degenerado).
+     * @private
+     */
+    _facetNormal(v0, v1, v2) {
+        const ux = v1[0] - v0[0], uy = v1[1] - v0[1], uz = v1[2] - v0[2];
+        const vx = v2[0] - v0[0], vy = v2[1] - v0[1], vz = v2[2] - v0[2];
+        const n = [uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx];
+        const len = Math.sqrt(n[0] * n[0] + n[1] * n[1] + n[2] * n[2]);
+        return len > 0 ? n.map(c => c / len) : n;
+    }
 }
@@ -31,6 +31,7 @@ class Preview3D {
         // Dados do modelo
         this.vertices = null;
         this.normals = null;
+        this.faces = null;
         this.vertexCount = 0;
         this.modelCenter = [0, 0, 0];
         this.modelSize = 1;
@@ -38,6 +39,7 @@ class Preview3D {
         // Buffers WebGL
         this.vertexBuffer = null;
         this.normalBuffer = null;
+        this.colorBuffer = null;
 
         this._init();
     }
@@ -122,14 +124,17 @@ class Preview3D {
         const vsSource = `
             attribute vec3 aPosition;
             attribute vec3 aNormal;
+            attribute vec3 aColor;
             uniform mat4 uProjection;
             uniform mat4 uModelView;
             uniform mat3 uNormalMatrix;
             varying vec3 vNormal;
             varying vec3 vPosition;
+            varying vec3 vColor;
             void main() {
                 vec4 pos = uModelView * vec4(aPosition, 1.0);
                 vPosition = pos.xyz;
+                vColor = aColor;
                 vNormal = normalize(uNormalMatrix * aNormal);
                 gl_Position = uProjection * pos;
             }
@@ -139,7 +144,7 @@ class Preview3D {
             precision mediump float;
             varying vec3 vNormal;
             varying vec3 vPosition;
-            uniform vec3 uColor;
+            varying vec3 vColor;
             uniform vec3 uLightDir;
             void main() {
                 vec3 normal = normalize(vNormal);
@@ -149,7 +154,7 @@ class Preview3D {
                 vec3 viewDir = normalize(-vPosition);
                 vec3 reflectDir = reflect(-lightDir, normal);
                 float spec = pow(max(dot(viewDir, reflectDir), 0.0), 32.0) * 0.3;
-                vec3 color = uColor * (ambient + diff * 0.7) + vec3(spec);
+                vec3 color = vColor * (ambient + diff * 0.7) + vec3(spec);
                 gl_FragColor = vec4(color, 1.0);
             }
         `;
@@ -172,10 +177,10 @@ class Preview3D {
         // Localizações de atributos e uniformes
         this.aPosition = gl.getAttribLocation(this.program, 'aPosition');
         this.aNormal = gl.getAttribLocation(this.program, 'aNormal');
+        this.aColor = gl.getAttribLocation(this.program, 'aColor');
         this.uProjection = gl.getUniformLocation(this.program, 'uProjection');
         this.uModelView = gl.getUniformLocation(this.program, 'uModelView');
         this.uNormalMatrix = gl.getUniformLocation(this.program, 'uNormalMatrix');
-        this.uColor = gl.getUniformLocation(this.program, 'uColor');
         this.uLightDir = gl.getUniformLocation(this.program, 'uLightDir');
 
         // Configurar estado do GL
@@ -297,8 +302,9 @@ class Preview3D {
      *
      * @param {number[][]} points - Vértices [x, y, z]
      * @param {number[][]} faces - Triângulos [i0, i1, i2]
+     * @param {number[][]} [colors] - Cor [r, g, b] (0 a 1) por vértice (padrão: verde único)
      */
-    loadModel(points, faces) {
+    loadModel(points, faces, colors = null) {
         if (!this.gl) return;
         const gl = this.gl;
 
@@ -354,6 +360,33 @@ class Preview3D {
         this.pan = { x: 0, y: 0 };
         this.zoom = 1.5;
 
+        this.faces = faces;
+        this.setColors(colors);
+    }
+
+    /**
+     * Troca as cores do modelo carregado, mantendo a câmera.
+     * @param {number[][]|null} colors - Cor [r, g, b] (0 a 1) por vértice, ou null para o verde único
+     */
+    setColors(colors) {
+        const gl = this.gl;
+        if (!gl || !this.faces) return;
+
+        if (this.colorBuffer) gl.deleteBuffer(this.colorBuffer);
+        this.colorBuffer = null;
+
+        if (colors) {
+            // Expandir por face, como os vértices e normais
+            const data = new Float32Array(this.faces.length * 9);
+            this.faces.forEach((face, i) => {
+                for (let k = 0; k < 3; k++) data.set(colors[face[k]], i * 9 + k * 3);
+            });
+
+            this.colorBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.colorBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, data, gl.STATIC_DRAW);
+        }
+
         this._render();
     }
 
@@ -391,7 +424,6 @@ class Preview3D {
         gl.uniformMatrix4fv(this.uProjection, false, projection);
         gl.uniformMatrix4fv(this.uModelView, false, mv);
         gl.uniformMatrix3fv(this.uNormalMatrix, false, nm);
-        gl.uniform3fv(this.uColor, [0.18, 0.62, 0.42]); // verde terreno
         gl.uniform3fv(this.uLightDir, [0.5, 0.7, 1.0]);
 
         // Atributos
@@ -403,6 +435,15 @@ class Preview3D {
         gl.enableVertexAttribArray(this.aNormal);
         gl.vertexAttribPointer(this.aNormal, 3, gl.FLOAT, false, 0, 0);
 
+        if (this.colorBuffer) {
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.colorBuffer);
+            gl.enableVertexAttribArray(this.aColor);
+            gl.vertexAttribPointer(this.aColor, 3, gl.FLOAT, false, 0, 0);
+        } else {
+            gl.disableVertexAttribArray(this.aColor);
+            gl.vertexAttrib3f(this.aColor, 0.18, 0.62, 0.42); // verde terreno
+        }
+
         gl.drawArrays(gl.TRIANGLES, 0, this.vertexCount);
     }
 
@@ -513,6 +554,7 @@ class Preview3D {
         if (this.gl) {
             if (this.vertexBuffer) this.gl.deleteBuffer(this.vertexBuffer);
             if (this.normalBuffer) this.gl.deleteBuffer(this.normalBuffer);
+            if (this.colorBuffer) this.gl.deleteBuffer(this.colorBuffer);
             if (this.program) this.gl.deleteProgram(this.program);
         }
     }
@@ -0,0 +1,151 @@
+/**
+ * sensors.js - Canais de sensores dos pontos da trilha
+ *
+ * Frequência cardíaca, cadência, potência e temperatura (extensões
+ * Garmin TrackPointExtension, TCX e FIT) ficam nas posições 4 a 7 de
+ * cada ponto: [lon, lat, ele, time, hr, cad, power, temp] (NaN se ausente).
+ * Podem ser usados como fonte da altura (Z) ou para modular a largura
+ * do caminho no modelo.
+ */
+
+const Sensors = {
+
+    // Canais na ordem em que aparecem no ponto (a partir da posição 4)
+    KEYS: ['hr', 'cad', 'power', 'temp'],
+
+    CHANNELS: {
+        hr: { index: 4, label: 'Frequência cardíaca', short: 'FC', unit: 'bpm' },
+        cad: { index: 5, label: 'Cadência', short: 'Cadência', unit: 'rpm' },
+        power: { index: 6, label: 'Potência', short: 'Potência', unit: 'W' },
+        temp: { index: 7, label: 'Temperatura', short: 'Temp.', unit: '°C' }
+    },
+
+    // Nomes locais das tags de extensão GPX e o canal correspondente
+    // (gpxtpx:hr, gpxtpx:cad, gpxtpx:atemp, gpxpx:PowerInWatts, <power>...)
+    GPX_TAGS: {
+        hr: 'hr',
+        heartrate: 'hr',
+        cad: 'cad',
+        cadence: 'cad',
+        power: 'power',
+        PowerInWatts: 'power',
+        atemp: 'temp',
+        wtemp: 'temp',
+        temp: 'temp'
+    },
+
+    /**
+     * Canal correspondente ao nome local de uma tag de extensão GPX.
+     * @param {string} localName
+     * @returns {string|null}
+     */
+    tagChannel(localName) {
+        return Object.prototype.hasOwnProperty.call(this.GPX_TAGS, localName)
+            ? this.GPX_TAGS[localName]
+            : null;
+    },
+
+    /**
+     * Monta um ponto completo a partir dos valores conhecidos.
+     *
+     * @param {number} lon
+     * @param {number} lat
+     * @param {number} ele
+     * @param {number} time - ms desde epoch (NaN se ausente)
+     * @param {Object} [values] - { hr, cad, power, temp }
+     * @returns {number[]} [lon, lat, ele, time, hr, cad, power, temp]
+     */
+    point(lon, lat, ele, time, values = {}) {
+        return [
+            lon, lat, ele, time,
+            values.hr ?? NaN,
+            values.cad ?? NaN,
+            values.power ?? NaN,
+            values.temp ?? NaN
+        ];
+    },
+
+    /**
+     * Estatísticas dos canais presentes na trilha.
+     *
+     * @param {number[][]} points
+     * @returns {Object} { hr: { min, max, avg }, ... } apenas com canais presentes
+     */
+    stats(points) {
+        const result = {};
+
+        for (const key of this.KEYS) {
+            const idx = this.CHANNELS[key].index;
+            let min = Infinity, max = -Infinity, sum = 0, count = 0;
+
+            for (const p of points) {
+                const v = p[idx];
+                if (!isFinite(v)) continue;
+                if (v < min) min = v;
+                if (v > max) max = v;
+                sum += v;
+                count++;
+            }
+
+            if (count > 0) result[key] = { min, max, avg: sum / count };
+        }
+
+        return result;
+    },
+
+    /**
+     * Valores de um canal para todos os pontos, preenchendo as falhas
+     * por interpolação linear (e com o valor mais próximo nas pontas).
+     *
+     * @param {number[][]} points
+     * @param {string} key - 'hr', 'cad', 'power' ou 'temp'
+     * @returns {Float64Array|null} null se o canal não tem nenhum valor
+     */
+    series(points, key) {
+        const idx = this.CHANNELS[key].index;
+        return this.fill(Float64Array.from(points, p => p[idx]));
+    },
+
+    /**
+     * Preenche os valores ausentes (não finitos) de uma série por
+     * interpolação linear, e com o valor mais próximo nas pontas.
+     *
+     * @param {ArrayLike<number>} values
+     * @returns {Float64Array|null} null se não há nenhum valor
+     */
+    fill(values) {
+        const out = new Float64Array(values.length);
+        let last = -1;
+
+        for (let i = 0; i < values.length; i++) {
+            const v = values[i];
+            if (!isFinite(v)) continue;
+
+            out[i] = v;
+            if (last < 0) {
+                out.fill(v, 0, i);
+            } else {
+                for (let j = last + 1; j < i; j++) {
+                    out[j] = out[last] + (v - out[last]) * (j - last) / (i - last);
+                }
+            }
+            last = i;
+        }
+
+        if (last < 0) return null;
+        out.fill(out[last], last + 1);
+        return out;
+    },
+
+    /**
+     * Texto curto com média e máximo de um canal (ex.: "FC 142 bpm (máx. 178)").
+     * @param {string} key
+     * @param {Object} s - { min, max, avg }
+     * @returns {string}
+     */
+    format(key, s) {
+        const c = this.CHANNELS[key];
+        const n = (v) => Math.round(v).toLocaleString('pt-BR');
+        return `${c.short} ${n(s.avg)} ${c.unit} (máx. ${n(s.max)})`;
+    }
+};
@@ -0,0 +1,147 @@
+/**
+ * terrain.js - Base de relevo do terreno (forma mapa)
+ *
+ * Monta uma grade de alturas sobre a área do modelo a partir dos tiles
+ * de DEM carregados (dem.js) e a fecha como um sólido: superfície do
+ * terreno, paredes laterais e fundo em z = 0. O caminho fica por cima,
+ * em relevo ou nivelado com a superfície.
+ */
+
+const Terrain = {
+
+    // Máximo de pontos da grade em cada direção
+    MAX_GRID: 400,
+
+    /**
+     * Amostra a elevação do DEM em uma grade regular sobre a área do modelo.
+     *
+     * @param {Object[]} tiles - Tiles de DEM (dem.js)
+     * @param {Object} area - { minx, maxx, miny, maxy } em mm do modelo
+     * @param {number} resolution - Espaçamento desejado da grade (mm)
+     * @param {function} toLonLat - (x, y) em mm → [lon, lat]
+     * @returns {Object} { nx, ny, x0, y0, dx, dy, ele: Float64Array (m), min, max }
+     */
+    heightfield(tiles, area, resolution, toLonLat) {
+        const w = area.maxx - area.minx;
+        const h = area.maxy - area.miny;
+        const nx = Math.min(this.MAX_GRID, Math.max(2, Math.ceil(w / resolution) + 1));
+        const ny = Math.min(this.MAX_GRID, Math.max(2, Math.ceil(h / resolution) + 1));
+        const dx = w / (nx - 1);
+        const dy = h / (ny - 1);
+
+        const ele = new Float64Array(nx * ny);
+        let min = Infinity, max = -Infinity;
+
+        for (let j = 0; j < ny; j++) {
+            for (let i = 0; i < nx; i++) {
+                const [lon, lat] = toLonLat(area.minx + i * dx, area.miny + j * dy);
+                const v = DEM.elevation(tiles, lon, lat);
+                ele[j * nx + i] = v;
+                if (v < min) min = v;
+                if (v > max) max = v;
+            }
+        }
+
+        if (min === Infinity) {
+            throw new Error('O DEM carregado não cobre a área do modelo.');
+        }
+
+        // Fora do DEM: usar a menor elevação encontrada
+        for (let k = 0; k < ele.length; k++) {
+            if (!isFinite(ele[k])) ele[k] = min;
+        }
+
+        return { nx, ny, x0: area.minx, y0: area.miny, dx, dy, ele, min, max };
+    },
+
+    /**
+     * Altura da grade em (x, y) por interpolação bilinear.
+     *
+     * @param {Object} field - Resultado de heightfield
+     * @param {Float64Array} z - Altura de cada ponto da grade (mm)
+     * @param {number} x
+     * @param {number} y
+     * @returns {number}
+     */
+    at(field, z, x, y) {
+        const fx = Math.min(Math.max((x - field.x0) / field.dx, 0), field.nx - 1);
+        const fy = Math.min(Math.max((y - field.y0) / field.dy, 0), field.ny - 1);
+        const i = Math.min(Math.floor(fx), field.nx - 2);
+        const j = Math.min(Math.floor(fy), field.ny - 2);
+        const tx = fx - i, ty = fy - j;
+        const k = j * field.nx + i;
+
+        return z[k] * (1 - tx) * (1 - ty) + z[k + 1] * tx * (1 - ty) +
+            z[k + field.nx] * (1 - tx) * ty + z[k + field.nx + 1] * tx * ty;
+    },
+
+    /**
+     * Maior altura da grade sob um círculo (centro e quatro pontos da borda),
+     * para o caminho não afundar no terreno em encostas.
+     * @returns {number}
+     */
+    maxAround(field, z, x, y, r) {
+        return Math.max(
+            this.at(field, z, x, y),
+            this.at(field, z, x + r, y),
+            this.at(field, z, x - r, y),
+            this.at(field, z, x, y + r),
+            this.at(field, z, x, y - r)
+        );
+    },
+
+    /**
+     * Adiciona o sólido fechado do terreno. As faces seguem a mesma ordem
+     * do polyhedron do caminho (horária vista de fora).
+     *
+     * @param {Object} field - Resultado de heightfield
+     * @param {Float64Array} z - Altura de cada ponto da grade (mm)
+     * @param {number[][]} vertices - Lista de vértices a ampliar
+     * @param {number[][]} faces - Lista de faces a ampliar
+     */
+    solid(field, z, vertices, faces) {
+        const { nx, ny } = field;
+        const base = vertices.length;
+        const top = (i, j) => base + j * nx + i;
+        const tri = (a, b, c) => faces.push([a, c, b]);
+
+        for (let j = 0; j < ny; j++) {
+            for (let i = 0; i < nx; i++) {
+                vertices.push([field.x0 + i * field.dx, field.y0 + j * field.dy, z[j * nx + i]]);
+            }
+        }
+
+        // Superfície
+        for (let j = 0; j + 1 < ny; j++) {
+            for (let i = 0; i + 1 < nx; i++) {
+                tri(top(i, j), top(i + 1, j), top(i + 1, j + 1));
+                tri(top(i, j), top(i + 1, j + 1), top(i, j + 1));
+            }
+        }
+
+        // Contorno anti-horário visto de cima
+        const ring = [];
+        for (let i = 0; i < nx; i++) ring.push([i, 0]);
+        for (let j = 1; j < ny; j++) ring.push([nx - 1, j]);
+        for (let i = nx - 2; i >= 0; i--) ring.push([i, ny - 1]);
+        for (let j = ny - 2; j > 0; j--) ring.push([0, j]);
+
+        const bottom = vertices.length;
+        for (const [i, j] of ring) {
+            vertices.push([field.x0 + i * field.dx, field.y0 + j * field.dy, 0]);
+        }
+        const center = vertices.length;
+        vertices.push([field.x0 + (nx - 1) * field.dx / 2, field.y0 + (ny - 1) * field.dy / 2, 0]);
+
+        // Paredes laterais e fundo (leque a partir do centro)
+        for (let k = 0; k < ring.length; k++) {
+            const k2 = (k + 1) % ring.length;
+            const p = bottom + k, p2 = bottom + k2;
+            const q = top(...ring[k]), q2 = top(...ring[k2]);
+
+            tri(p, p2, q2);
+            tri(p, q2, q);
+            tri(center, p2, p);
+        }
+    }
+};
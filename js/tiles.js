@@ -0,0 +1,443 @@
+/**
+ * tiles.js - Divisão do modelo em blocos do tamanho da mesa
+ *
+ * Para imprimir em tamanho real um modelo maior que a mesa, a malha é
+ * cortada em uma grade de blocos. Cada bloco é a união de regiões
+ * convexas (prismas verticais, opcionalmente limitados em Z): o núcleo
+ * retangular, as faixas junto às emendas e os encaixes. Cada corpo da
+ * malha é recortado por planos em cada região e as seções são tampadas,
+ * de modo que os pedaços saem fechados e o fatiador os une (sem operações
+ * booleanas entre sólidos, como no resto do modelo).
+ *
+ * Juntas nas emendas:
+ * - rabo de andorinha: dentes no bloco da esquerda/frente e encaixes no vizinho;
+ * - furos de pino: meio furo vertical, aberto por baixo, em cada lado da
+ *   emenda, para um pino (pedaço de filamento) que alinha os blocos.
+ */
+
+const Tiles = {
+
+    // Tipos de junta nas emendas
+    JOINT_NONE: '',
+    JOINT_DOVETAIL: 'dovetail',
+    JOINT_PIN: 'pin',
+
+    // Rabo de andorinha: profundidade, largura na emenda e na ponta e folga (mm)
+    DOVETAIL_DEPTH: 6,
+    DOVETAIL_NECK: 6,
+    DOVETAIL_HEAD: 10,
+    CLEARANCE: 0.15,
+
+    // Furo de pino: raio (filamento de 1,75 mm com folga), profundidade
+    // máxima e segmentos por quarto de volta
+    PIN_RADIUS: 1,
+    PIN_DEPTH: 4,
+    PIN_SEGMENTS: 4,
+
+    // Distância aproximada entre juntas ao longo de uma emenda (mm)
+    JOINT_SPACING: 50,
+
+    // Tolerância (mm) para considerar um vértice sobre o plano de corte e
+    // para unir pontos do corte praticamente coincidentes
+    EPSILON: 1e-5,
+
+    /**
+     * Divide a malha em blocos.
+     *
+     * @param {Object} mesh - { points, faces } do modelo
+     * @param {Object} options - { bedx, bedy (mesa da impressora, mm),
+     *   joint (JOINT_*), floor (altura da base sob todo o modelo, mm) }
+     * @returns {Object} { cols, rows, tiles: [{ number, row, col, width, depth,
+     *   mesh }] } - blocos não vazios numerados a partir do fundo (linha 1) e da
+     *   esquerda, cada um centrado na origem
+     */
+    split(mesh, options) {
+        const joint = options.joint || this.JOINT_NONE;
+        const reach = joint === this.JOINT_DOVETAIL ? this.DOVETAIL_DEPTH : 0;
+        const usable = { x: options.bedx - reach, y: options.bedy - reach };
+        if (!(usable.x > 10 && usable.y > 10)) {
+            throw new Error('A mesa da impressora é pequena demais para os blocos.');
+        }
+
+        // Furos de pino: abaixo do topo da base, deixando 1 mm de teto
+        const pinDepth = Math.min(this.PIN_DEPTH, (options.floor || 0) - 1);
+        if (joint === this.JOINT_PIN && pinDepth < 1) {
+            throw new Error('A base é baixa demais para os furos de pino (mínimo de 2 mm).');
+        }
+
+        const fixed = MeshCheck.repair(mesh);
+        const shells = this._splitShells(fixed.points, fixed.faces);
+        const box = this._box(fixed.points);
+
+        const cols = Math.max(1, Math.ceil((box.maxx - box.minx) / usable.x));
+        const rows = Math.max(1, Math.ceil((box.maxy - box.miny) / usable.y));
+        const xs = [], ys = [];
+        for (let i = 0; i <= cols; i++) xs.push(box.minx + i * (box.maxx - box.minx) / cols);
+        for (let j = 0; j <= rows; j++) ys.push(box.miny + j * (box.maxy - box.miny) / rows);
+
+        const tiles = [];
+        for (let j = rows - 1; j >= 0; j--) {
+            for (let i = 0; i < cols; i++) {
+                const rect = { x0: xs[i], x1: xs[i + 1], y0: ys[j], y1: ys[j + 1] };
+                const seams = { left: i > 0, right: i < cols - 1, bottom: j > 0, top: j < rows - 1 };
+                const regions = this._regions(rect, seams, joint, pinDepth);
+                const tile = this._tile(shells, rect, regions, reach);
+                if (tile.faces.length === 0) continue;
+
+                tiles.push({
+                    number: tiles.length + 1,
+                    row: rows - j,
+                    col: i + 1,
+                    width: rect.x1 - rect.x0,
+                    depth: rect.y1 - rect.y0,
+                    mesh: tile
+                });
+            }
+        }
+
+        return { cols, rows, tiles };
+    },
+
+    /**
+     * Recorta todos os corpos nas regiões de um bloco e centraliza o
+     * resultado na origem.
+     * @private
+     */
+    _tile(shells, rect, regions, reach) {
+        const points = [];
+        const faces = [];
+        const outer = [
+            { n: [-1, 0, 0], d: -(rect.x0 - reach) }, { n: [1, 0, 0], d: rect.x1 + reach },
+            { n: [0, -1, 0], d: -(rect.y0 - reach) }, { n: [0, 1, 0], d: rect.y1 + reach }
+        ];
+        const cx = (rect.x0 + rect.x1) / 2, cy = (rect.y0 + rect.y1) / 2;
+
+        for (const shell of shells) {
+            if (shell.box.maxx < rect.x0 - reach || shell.box.minx > rect.x1 + reach ||
+                shell.box.maxy < rect.y0 - reach || shell.box.miny > rect.y1 + reach) continue;
+
+            // Recorte grosso no retângulo do bloco (com os dentes) antes das regiões
+            let piece = shell;
+            for (const plane of outer) piece = this._cut(piece, plane.n, plane.d);
+            if (piece.faces.length === 0) continue;
+
+            for (const region of regions) {
+                let part = piece;
+                for (const plane of region) {
+                    part = this._cut(part, plane.n, plane.d);
+                    if (part.faces.length === 0) break;
+                }
+
+                const base = points.length;
+                for (const p of part.points) points.push([p[0] - cx, p[1] - cy, p[2]]);
+                for (const f of part.faces) faces.push(f.map(k => k + base));
+            }
+        }
+
+        return { points, faces };
+    },
+
+    /**
+     * Regiões convexas de um bloco, cada uma como lista de semiespaços
+     * { n, d } (n · p ≤ d).
+     * @private
+     */
+    _regions(rect, seams, joint, pinDepth) {
+        const D = joint === this.JOINT_DOVETAIL ? this.DOVETAIL_DEPTH
+            : joint === this.JOINT_PIN ? this.PIN_RADIUS : 0;
+
+        // Faixa junto a cada emenda: encaixes (lado esquerdo/frente) ou pinos (todos)
+        const band = {};
+        for (const side of ['left', 'right', 'bottom', 'top']) {
+            const socket = joint === this.JOINT_DOVETAIL && (side === 'left' || side === 'bottom');
+            band[side] = seams[side] && (socket || joint === this.JOINT_PIN) ? D : 0;
+        }
+
+        const core = [
+            [rect.x0 + band.left, rect.y0 + band.bottom], [rect.x1 - band.right, rect.y0 + band.bottom],
+            [rect.x1 - band.right, rect.y1 - band.top], [rect.x0 + band.left, rect.y1 - band.top]
+        ];
+        const pieces = [{ poly: core }];
+
+        // Coordenadas ao longo da emenda (u) e para dentro do bloco (w)
+        const sides = {
+            left: { map: (u, w) => [rect.x0 + w, u], a: rect.y0, b: rect.y1, from: rect.y0, to: rect.y1 },
+            right: { map: (u, w) => [rect.x1 - w, u], a: rect.y0, b: rect.y1, from: rect.y0, to: rect.y1 },
+            bottom: { map: (u, w) => [u, rect.y0 + w], a: rect.x0, b: rect.x1, from: rect.x0 + band.left, to: rect.x1 - band.right },
+            top: { map: (u, w) => [u, rect.y1 - w], a: rect.x0, b: rect.x1, from: rect.x0 + band.left, to: rect.x1 - band.right }
+        };
+
+        for (const [side, s] of Object.entries(sides)) {
+            if (!seams[side] || !joint) continue;
+            const add = (uw, z0, z1) => pieces.push({ poly: uw.map(([u, w]) => s.map(u, w)), z0, z1 });
+
+            if (joint === this.JOINT_DOVETAIL) {
+                const n = this.DOVETAIL_NECK / 2, h = this.DOVETAIL_HEAD / 2, c = this.CLEARANCE;
+                const at = this._positions(s.a, s.b, D + h + 1, 2 * h);
+
+                if (band[side]) {
+                    // Faixa com os encaixes dos dentes do vizinho
+                    let p0 = s.from, pD = s.from;
+                    for (const u of at) {
+                        add([[p0, 0], [pD, D], [u - h, D], [u - n, 0]]);
+                        p0 = u + n;
+                        pD = u + h;
+                    }
+                    add([[p0, 0], [pD, D], [s.to, D], [s.to, 0]]);
+                } else {
+                    for (const u of at) {
+                        add([[u - n + c, 0], [u - h + c, c - D], [u + h - c, c - D], [u + n - c, 0]]);
+                    }
+                }
+            } else {
+                // Faixa inteira acima dos furos; abaixo, contornando cada meio furo
+                const r = D, m = this.PIN_SEGMENTS;
+                add([[s.from, 0], [s.from, r], [s.to, r], [s.to, 0]], pinDepth, Infinity);
+
+                let prev = s.from;
+                for (const u of this._positions(s.a, s.b, 2 * r + 1, 2 * r)) {
+                    add([[prev, 0], [prev, r], [u - r, r], [u - r, 0]], -Infinity, pinDepth);
+                    const arc = (k) => [u + r * Math.cos(Math.PI * (1 - k / (2 * m))), r * Math.sin(Math.PI * (1 - k / (2 * m)))];
+                    for (let k = 0; k < 2 * m; k++) {
+                        const corner = k < m ? [u - r, r] : [u + r, r];
+                        add([corner, arc(k), arc(k + 1)], -Infinity, pinDepth);
+                    }
+                    prev = u + r;
+                }
+                add([[prev, 0], [prev, r], [s.to, r], [s.to, 0]], -Infinity, pinDepth);
+            }
+        }
+
+        return pieces.map(p => this._halfSpaces(p.poly, p.z0, p.z1));
+    },
+
+    /**
+     * Posições das juntas em uma emenda [a, b], a `reach` mm das pontas,
+     * uma a cada JOINT_SPACING mm e com ao menos `size` mm entre elas.
+     * @private
+     */
+    _positions(a, b, reach, size) {
+        const len = b - a - 2 * reach;
+        let count = Math.max(1, Math.round((b - a) / this.JOINT_SPACING));
+        while (count > 0 && len / count < size + 1) count--;
+
+        const at = [];
+        for (let k = 0; k < count; k++) at.push(a + reach + (k + 0.5) * len / count);
+        return at;
+    },
+
+    /**
+     * Semiespaços de um prisma sobre um polígono convexo (em qualquer
+     * sentido), entre z0 e z1.
+     * @private
+     */
+    _halfSpaces(poly, z0 = -Infinity, z1 = Infinity) {
+        let area = 0;
+        poly.forEach((p, k) => {
+            const q = poly[(k + 1) % poly.length];
+            area += p[0] * q[1] - q[0] * p[1];
+        });
+        if (area < 0) poly = poly.slice().reverse();
+
+        const planes = poly.map((p, k) => {
+            const q = poly[(k + 1) % poly.length];
+            const n = [q[1] - p[1], p[0] - q[0], 0];
+            const len = Math.hypot(n[0], n[1]);
+            n[0] /= len;
+            n[1] /= len;
+            return { n, d: n[0] * p[0] + n[1] * p[1] };
+        });
+        if (z1 < Infinity) planes.push({ n: [0, 0, 1], d: z1 });
+        if (z0 > -Infinity) planes.push({ n: [0, 0, -1], d: -z0 });
+        return planes;
+    },
+
+    /**
+     * Corta um corpo fechado (normais para fora) pelo plano n · p = d,
+     * mantendo o lado n · p ≤ d, e tampa a seção.
+     *
+     * @param {Object} mesh - { points, faces, box }
+     * @param {number[]} n - Normal unitária do plano
+     * @param {number} d
+     * @returns {Object} { points, faces, box }
+     */
+    _cut(mesh, n, d) {
+        const { points, faces } = mesh;
+        const s = points.map(p => {
+            const v = n[0] * p[0] + n[1] * p[1] + n[2] * p[2] - d;
+            return Math.abs(v) < this.EPSILON ? 0 : v;
+        });
+        if (s.every(v => v <= 0)) return mesh;
+        if (s.every(v => v >= 0)) return { points: [], faces: [], box: null };
+
+        const out = [];
+        const onPlane = [];
+        const index = new Int32Array(points.length).fill(-1);
+        const crossing = new Map();
+
+        // Pontos sobre o plano praticamente coincidentes viram um só
+        const welded = new Map();
+        const add = (p, on) => {
+            if (on) {
+                const key = p.map(c => Math.round(c / this.EPSILON)).join(',');
+                if (welded.has(key)) return welded.get(key);
+                welded.set(key, out.length);
+            }
+            out.push(p);
+            onPlane.push(on);
+            return out.length - 1;
+        };
+        const keep = (i) => {
+            if (index[i] < 0) index[i] = add(points[i], s[i] === 0);
+            return index[i];
+        };
+        const cross = (i, j) => {
+            const key = Math.min(i, j) * points.length + Math.max(i, j);
+            if (!crossing.has(key)) {
+                const t = s[i] / (s[i] - s[j]);
+                const a = points[i], b = points[j];
+                crossing.set(key, add([a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1]), a[2] + t * (b[2] - a[2])], true));
+            }
+            return crossing.get(key);
+        };
+
+        const result = [];
+        const edges = new Map();
+        for (const f of faces) {
+            const poly = [];
+            for (let k = 0; k < 3; k++) {
+                const i = f[k], j = f[(k + 1) % 3];
+                if (s[i] <= 0) poly.push(keep(i));
+                if ((s[i] < 0 && s[j] > 0) || (s[i] > 0 && s[j] < 0)) poly.push(cross(i, j));
+            }
+            for (let k = poly.length - 1; k >= 0 && poly.length > 1; k--) {
+                if (poly[k] === poly[(k + 1) % poly.length]) poly.splice(k, 1);
+            }
+            if (poly.length < 3 || poly.every(v => onPlane[v])) continue;
+
+            for (let k = 1; k + 1 < poly.length; k++) result.push([poly[0], poly[k], poly[k + 1]]);
+
+            // Arestas sobre o plano; pares opostos (dobra tocando o plano) se anulam
+            poly.forEach((a, k) => {
+                const b = poly[(k + 1) % poly.length];
+                if (!onPlane[a] || !onPlane[b]) return;
+                const back = b + ',' + a;
+                if (edges.has(back)) edges.delete(back);
+                else edges.set(a + ',' + b, [a, b]);
+            });
+        }
+
+        this._cap(out, result, edges, n);
+        return { points: out, faces: result, box: this._box(out) };
+    },
+
+    /**
+     * Tampa da seção: encadeia as arestas sobre o plano em contornos e os
+     * triangula no plano, com a normal para fora (sentido de n).
+     * @private
+     */
+    _cap(points, faces, edges, n) {
+        const next = new Map();
+        for (const [a, b] of edges.values()) {
+            if (!next.has(a)) next.set(a, []);
+            next.get(a).push(b);
+        }
+
+        // Base do plano com u × v = n
+        const ref = Math.abs(n[2]) < 0.9 ? [0, 0, 1] : [1, 0, 0];
+        let u = [n[1] * ref[2] - n[2] * ref[1], n[2] * ref[0] - n[0] * ref[2], n[0] * ref[1] - n[1] * ref[0]];
+        const len = Math.hypot(u[0], u[1], u[2]);
+        u = u.map(c => c / len);
+        const v = [n[1] * u[2] - n[2] * u[1], n[2] * u[0] - n[0] * u[2], n[0] * u[1] - n[1] * u[0]];
+        const flat = (i) => {
+            const p = points[i];
+            return [p[0] * u[0] + p[1] * u[1] + p[2] * u[2], p[0] * v[0] + p[1] * v[1] + p[2] * v[2]];
+        };
+
+        // Contornos no sentido da tampa (contrário ao das faces cortadas)
+        const loops = [];
+        for (const start of next.keys()) {
+            while (next.get(start).length > 0) {
+                const loop = [start];
+                let at = next.get(start).pop();
+                while (at !== start && next.has(at) && next.get(at).length > 0 && loop.length <= edges.size) {
+                    loop.push(at);
+                    at = next.get(at).pop();
+                }
+                if (at === start && loop.length >= 3) loops.push(loop.reverse());
+            }
+        }
+
+        const rings = loops.map(loop => {
+            const pts = loop.map(flat);
+            let area = 0;
+            pts.forEach((p, k) => {
+                const q = pts[(k + 1) % pts.length];
+                area += p[0] * q[1] - q[0] * p[1];
+            });
+            return { loop, pts, area: area / 2, holes: [] };
+        });
+
+        // Furos (sentido horário) vão para o menor contorno que os contém
+        const outers = rings.filter(r => r.area > 0).sort((a, b) => a.area - b.area);
+        for (const hole of rings.filter(r => r.area < 0)) {
+            const owner = outers.find(o => this._inside(hole.pts[0], o.pts));
+            if (owner) owner.holes.push(hole);
+        }
+
+        for (const o of outers) {
+            const ids = o.loop.concat(...o.holes.map(h => h.loop.slice().reverse()));
+            const tris = Solid.triangulate(o.pts, o.holes.map(h => h.pts.slice().reverse()));
+            for (const [a, b, c] of tris) faces.push([ids[a], ids[b], ids[c]]);
+        }
+    },
+
+    /** @private */
+    _inside(p, poly) {
+        let inside = false;
+        for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+            const a = poly[i], b = poly[j];
+            if ((a[1] > p[1]) !== (b[1] > p[1]) &&
+                p[0] < (b[0] - a[0]) * (p[1] - a[1]) / (b[1] - a[1]) + a[0]) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    },
+
+    /**
+     * Separa a malha em corpos (componentes conexos), cada um com os
+     * próprios vértices e caixa envolvente.
+     * @private
+     */
+    _splitShells(points, faces) {
+        const shells = MeshCheck._shells(points.length, faces);
+        const parts = [];
+        for (let k = 0; k < shells.count; k++) parts.push({ points: [], faces: [], index: new Map() });
+
+        faces.forEach((f, i) => {
+            const part = parts[shells.of[i]];
+            part.faces.push(f.map(v => {
+                if (!part.index.has(v)) {
+                    part.index.set(v, part.points.length);
+                    part.points.push(points[v]);
+                }
+                return part.index.get(v);
+            }));
+        });
+
+        return parts.map(p => ({ points: p.points, faces: p.faces, box: this._box(p.points) }));
+    },
+
+    /** @private */
+    _box(points) {
+        const box = { minx: Infinity, maxx: -Infinity, miny: Infinity, maxy: -Infinity };
+        for (const p of points) {
+            if (p[0] < box.minx) box.minx = p[0];
+            if (p[0] > box.maxx) box.maxx = p[0];
+            if (p[1] < box.miny) box.miny = p[1];
+            if (p[1] > box.maxy) box.maxy = p[1];
+        }
+        return box;
+    }
+};
@@ -7,6 +7,8 @@
  * - Helpers de geometria e conversão
  * - Classe Bounds para gerenciamento de limites
  * - Classe UTM para projeção UTM automática
+ * - Classe PointBuffer para trilhas muito longas
+ * - Velocidade a partir dos horários dos pontos
  */
 
 // ============================================================
@@ -131,6 +133,23 @@ const PointProjector = {
         ];
     },
 
+    /**
+     * Modo Espiral: distribui pontos ao longo de uma espiral de Arquimedes
+     * (r = r0 + bθ), de dentro para fora, pelo comprimento de arco.
+     * @param {number[]} v - [lon, lat, ele]
+     * @param {number} distRatio - Razão posição/comprimento total (0 a 1)
+     * @param {Object} spiral - { r0, b, length } (raio inicial, avanço por radiano e comprimento, em metros)
+     * @returns {number[]} [x, y, z] em metros
+     */
+    spiral(v, distRatio, spiral) {
+        const { r0, b, length } = spiral;
+        const s = distRatio * length;
+        // Arco de 0 a θ ≈ r0·θ + b·θ²/2
+        const theta = b > 0 ? (Math.sqrt(r0 * r0 + 2 * b * s) - r0) / b : s / r0;
+        const r = r0 + b * theta;
+        return [r * Math.cos(theta), r * Math.sin(theta), v[2]];
+    },
+
     /**
      * Modo Mapa: projeta coordenadas usando a projeção cartográfica configurada.
      * @param {number[]} v - [lon, lat, ele]
@@ -217,6 +236,113 @@ class Bounds {
 }
 
 
+// ============================================================
+// POINTBUFFER - Pontos em um único Float64Array
+// ============================================================
+
+/**
+ * Lista de pontos [lon, lat, ele, time, hr, cad, power, temp] guardada em
+ * um único Float64Array (8 valores por ponto). Usada pelo parser em streaming para trilhas com
+ * centenas de milhares de pontos: o buffer é transferido do worker sem
+ * cópia e cada ponto é exposto como uma view (subarray), aceita em todo
+ * o app no lugar de um array de ponto.
+ */
+class PointBuffer {
+    /**
+     * @param {number} [capacity=1024] - Número inicial de pontos reservados
+     */
+    constructor(capacity = 1024) {
+        this.data = new Float64Array(capacity * PointBuffer.STRIDE);
+        this.length = 0;
+    }
+
+    /**
+     * Cria um PointBuffer sobre um ArrayBuffer existente (sem cópia).
+     * @param {ArrayBuffer} buffer
+     * @param {number} length - Número de pontos válidos
+     * @returns {PointBuffer}
+     */
+    static wrap(buffer, length) {
+        const pb = new PointBuffer(0);
+        pb.data = new Float64Array(buffer);
+        pb.length = length;
+        return pb;
+    }
+
+    /**
+     * Copia os pontos (views ou arrays) para um novo PointBuffer trocando
+     * um dos valores de cada ponto, sem criar um array por ponto. Usado
+     * para a elevação limpa, do DEM ou de um sensor.
+     * @param {ArrayLike<number>[]} points - Pontos [lon, lat, ele, time, ...]
+     * @param {number} column - Índice do valor trocado (2 = elevação)
+     * @param {Function} valueAt - (i, p) => novo valor do ponto i
+     * @returns {Float64Array[]} Views dos pontos sobre o novo buffer
+     */
+    static withColumn(points, column, valueAt) {
+        const pb = new PointBuffer(points.length);
+        const data = pb.data;
+
+        points.forEach((p, i) => {
+            const o = i * PointBuffer.STRIDE;
+            if (p instanceof Float64Array && p.length === PointBuffer.STRIDE) {
+                data.set(p, o);
+            } else {
+                for (let k = 0; k < PointBuffer.STRIDE; k++) data[o + k] = k < p.length ? p[k] : NaN;
+            }
+            data[o + column] = valueAt(i, p);
+        });
+
+        pb.length = points.length;
+        return pb.toArray();
+    }
+
+    /**
+     * Adiciona um ponto, dobrando a capacidade quando necessário.
+     * Canais de sensores ausentes ficam como NaN.
+     */
+    push(lon, lat, ele, time, hr = NaN, cad = NaN, power = NaN, temp = NaN) {
+        let o = this.length * PointBuffer.STRIDE;
+        if (o + PointBuffer.STRIDE > this.data.length) {
+            const grown = new Float64Array(Math.max(this.data.length * 2, 1024 * PointBuffer.STRIDE));
+            grown.set(this.data);
+            this.data = grown;
+        }
+        this.data[o++] = lon;
+        this.data[o++] = lat;
+        this.data[o++] = ele;
+        this.data[o++] = time;
+        this.data[o++] = hr;
+        this.data[o++] = cad;
+        this.data[o++] = power;
+        this.data[o] = temp;
+        this.length++;
+    }
+
+    /**
+     * Ponto i como view [lon, lat, ele, time, hr, cad, power, temp] sobre o buffer.
+     * @param {number} i
+     * @returns {Float64Array}
+     */
+    get(i) {
+        const o = i * PointBuffer.STRIDE;
+        return this.data.subarray(o, o + PointBuffer.STRIDE);
+    }
+
+    /**
+     * Lista de views de todos os pontos (não copia as coordenadas).
+     * @returns {Float64Array[]}
+     */
+    toArray() {
+        const points = new Array(this.length);
+        for (let i = 0; i < this.length; i++) points[i] = this.get(i);
+        return points;
+    }
+}
+
+// Valores por ponto: lon, lat, ele, time, hr, cad, power, temp
+PointBuffer.STRIDE = 8;
+
+
 // ============================================================
 // FUNÇÕES AUXILIARES DE GEOMETRIA
 // ============================================================
@@ -269,6 +395,273 @@ function scaleBounds(bounds, bed) {
     return calcScale(bed, bounds.maxx - bounds.minx, bounds.maxy - bounds.miny);
 }
 
+// ============================================================
+// SIMPLIFICAÇÃO DE LINHAS
+// ============================================================
+
+/**
+ * Distância de p ao segmento ab (3D).
+ * @param {number[]} p - [x, y, z]
+ * @param {number[]} a - [x, y, z]
+ * @param {number[]} b - [x, y, z]
+ * @returns {number}
+ */
+function segmentDistance(p, a, b) {
+    const dx = b[0] - a[0], dy = b[1] - a[1], dz = b[2] - a[2];
+    const len2 = dx * dx + dy * dy + dz * dz;
+    let t = 0;
+    if (len2 > 0) {
+        t = ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy + (p[2] - a[2]) * dz) / len2;
+        t = Math.max(0, Math.min(1, t));
+    }
+    return Math.hypot(p[0] - a[0] - t * dx, p[1] - a[1] - t * dy, p[2] - a[2] - t * dz);
+}
+
+/**
+ * Área do triângulo abc (3D).
+ * @param {number[]} a - [x, y, z]
+ * @param {number[]} b - [x, y, z]
+ * @param {number[]} c - [x, y, z]
+ * @returns {number}
+ */
+function triangleArea(a, b, c) {
+    const ux = b[0] - a[0], uy = b[1] - a[1], uz = b[2] - a[2];
+    const vx = c[0] - a[0], vy = c[1] - a[1], vz = c[2] - a[2];
+    return Math.hypot(uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx) / 2;
+}
+
+/**
+ * Simplificação de Douglas–Peucker: mantém os pontos que se afastam mais
+ * que `tolerance` da linha simplificada. O primeiro e o último ponto
+ * são sempre mantidos.
+ * @param {number[][]} points - Pontos [x, y, z]
+ * @param {number} tolerance - Desvio máximo (mesma unidade dos pontos)
+ * @returns {number[]} Índices mantidos, em ordem
+ */
+function simplifyDouglasPeucker(points, tolerance) {
+    const n = points.length;
+    if (n < 3) return points.map((p, i) => i);
+
+    const keep = new Uint8Array(n);
+    keep[0] = keep[n - 1] = 1;
+
+    // Pilha de trechos [primeiro, último] em vez de recursão (trilhas longas)
+    const stack = [[0, n - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        let maxDist = 0, index = -1;
+
+        for (let i = first + 1; i < last; i++) {
+            const d = segmentDistance(points[i], points[first], points[last]);
+            if (d > maxDist) {
+                maxDist = d;
+                index = i;
+            }
+        }
+
+        if (index >= 0 && maxDist > tolerance) {
+            keep[index] = 1;
+            stack.push([first, index], [index, last]);
+        }
+    }
+
+    const result = [];
+    for (let i = 0; i < n; i++) if (keep[i]) result.push(i);
+    return result;
+}
+
+/**
+ * Simplificação de Visvalingam–Whyatt: remove, um a um, o ponto cujo
+ * triângulo com os vizinhos tem a menor área (área efetiva), enquanto
+ * ela for menor que `tolerance`². O primeiro e o último ponto são
+ * sempre mantidos.
+ * @param {number[][]} points - Pontos [x, y, z]
+ * @param {number} tolerance - Lado do quadrado da área mínima (mesma unidade dos pontos)
+ * @returns {number[]} Índices mantidos, em ordem
+ */
+function simplifyVisvalingam(points, tolerance) {
+    const n = points.length;
+    if (n < 3) return points.map((p, i) => i);
+
+    const minArea = tolerance * tolerance;
+    const prev = new Int32Array(n);
+    const next = new Int32Array(n);
+    const area = new Float64Array(n);
+    const removed = new Uint8Array(n);
+    for (let i = 0; i < n; i++) {
+        prev[i] = i - 1;
+        next[i] = i + 1;
+    }
+
+    // Heap mínimo de [área, índice]; entradas desatualizadas são ignoradas
+    const heap = [];
+    const push = (item) => {
+        heap.push(item);
+        let k = heap.length - 1;
+        while (k > 0) {
+            const parent = (k - 1) >> 1;
+            if (heap[parent][0] <= heap[k][0]) break;
+            [heap[parent], heap[k]] = [heap[k], heap[parent]];
+            k = parent;
+        }
+    };
+    const pop = () => {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let k = 0;
+            for (;;) {
+                const l = 2 * k + 1, r = l + 1;
+                let m = k;
+                if (l < heap.length && heap[l][0] < heap[m][0]) m = l;
+                if (r < heap.length && heap[r][0] < heap[m][0]) m = r;
+                if (m === k) break;
+                [heap[m], heap[k]] = [heap[k], heap[m]];
+                k = m;
+            }
+        }
+        return top;
+    };
+    const update = (i, floor) => {
+        area[i] = Math.max(floor, triangleArea(points[prev[i]], points[i], points[next[i]]));
+        push([area[i], i]);
+    };
+
+    for (let i = 1; i < n - 1; i++) update(i, 0);
+
+    while (heap.length > 0) {
+        const [a, i] = pop();
+        if (removed[i] || a !== area[i]) continue;
+        if (a >= minArea) break;
+
+        removed[i] = 1;
+        const p = prev[i], q = next[i];
+        next[p] = q;
+        prev[q] = p;
+
+        // A área efetiva de um vizinho nunca fica menor que a do ponto removido
+        if (p > 0) update(p, a);
+        if (q < n - 1) update(q, a);
+    }
+
+    const result = [];
+    for (let i = 0; i < n; i = next[i]) result.push(i);
+    return result;
+}
+
+// ============================================================
+// TEMPO E VELOCIDADE
+// ============================================================
+
+/**
+ * Calcula a velocidade (m/s) em cada ponto a partir dos horários.
+ * Usa uma janela centrada de pelo menos `minInterval` segundos para
+ * não amplificar o ruído do GPS entre pontos muito próximos.
+ *
+ * @param {number[][]} points - Array de [lon, lat, ele, time]
+ * @param {number} [minInterval=10] - Duração mínima da janela (s)
+ * @returns {number[]} Velocidade por ponto (NaN sem horário)
+ */
+function pointSpeeds(points, minInterval = 10) {
+    const n = points.length;
+    const cd = new Array(n).fill(0);
+    for (let i = 1; i < n; i++) {
+        cd[i] = cd[i - 1] + distVincenty(
+            points[i - 1][1], points[i - 1][0],
+            points[i][1], points[i][0]
+        );
+    }
+
+    const speeds = new Array(n).fill(NaN);
+    const window = minInterval * 1000;
+
+    for (let i = 0; i < n; i++) {
+        if (!isFinite(points[i][3])) continue;
+
+        let a = i, b = i;
+        while (points[b][3] - points[a][3] < window) {
+            const canA = a > 0 && isFinite(points[a - 1][3]);
+            const canB = b < n - 1 && isFinite(points[b + 1][3]);
+            if (!canA && !canB) break;
+            if (canB) b++;
+            if (canA && points[b][3] - points[a][3] < window) a--;
+        }
+
+        const dt = (points[b][3] - points[a][3]) / 1000;
+        if (dt > 0) speeds[i] = (cd[b] - cd[a]) / dt;
+    }
+
+    return speeds;
+}
+
+/**
+ * Calcula a inclinação (fração, positiva na subida) em cada ponto.
+ * Usa uma janela centrada de pelo menos `minDistance` metros para não
+ * amplificar o ruído da elevação entre pontos muito próximos.
+ *
+ * @param {number[][]} points - Array de [lon, lat, ele]
+ * @param {number} [minDistance=50] - Extensão mínima da janela (m)
+ * @returns {number[]} Inclinação por ponto (NaN em trechos sem extensão)
+ */
+function pointGrades(points, minDistance = 50) {
+    const n = points.length;
+    const cd = new Array(n).fill(0);
+    for (let i = 1; i < n; i++) {
+        cd[i] = cd[i - 1] + distVincenty(
+            points[i - 1][1], points[i - 1][0],
+            points[i][1], points[i][0]
+        );
+    }
+
+    const grades = new Array(n).fill(NaN);
+
+    for (let i = 0; i < n; i++) {
+        let a = i, b = i;
+        while (cd[b] - cd[a] < minDistance && (a > 0 || b < n - 1)) {
+            if (b < n - 1) b++;
+            if (a > 0 && cd[b] - cd[a] < minDistance) a--;
+        }
+
+        const d = cd[b] - cd[a];
+        if (d > 0) grades[i] = (points[b][2] - points[a][2]) / d;
+    }
+
+    return grades;
+}
+
+/**
+ * Formata duração em texto legível.
+ * @param {number} seconds - Duração em segundos
+ * @returns {string} Ex: "3h 25min" ou "12min 40s"
+ */
+function formatDuration(seconds) {
+    const s = Math.round(seconds);
+    const h = Math.floor(s / 3600);
+    const m = Math.floor((s % 3600) / 60);
+    if (h > 0) return `${h}h ${String(m).padStart(2, '0')}min`;
+    return `${m}min ${String(s % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * Formata velocidade em km/h.
+ * @param {number} mps - Velocidade em m/s
+ * @returns {string} Ex: "12,4 km/h"
+ */
+function formatSpeed(mps) {
+    return (mps * 3.6).toLocaleString('pt-BR', { maximumFractionDigits: 1 }) + ' km/h';
+}
+
+/**
+ * Formata ritmo (pace) em minutos por quilômetro.
+ * @param {number} secondsPerKm - Segundos por km
+ * @returns {string} Ex: "5:32 /km"
+ */
+function formatPace(secondsPerKm) {
+    const s = Math.round(secondsPerKm);
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')} /km`;
+}
+
 /**
  * Formata distância em texto legível.
  * @param {number} meters - Distância em metros
@@ -287,5 +680,6 @@ function formatDistance(meters) {
  * @returns {string} Ex: "1.200 m"
  */
 function formatElevation(meters) {
+    if (!isFinite(meters)) return '—';
     return Math.round(meters).toLocaleString('pt-BR') + ' m';
 }
@@ -0,0 +1,112 @@
+/**
+ * zip.js - Contêiner ZIP mínimo (sem compressão)
+ *
+ * Monta arquivos ZIP com as entradas armazenadas (método 0), suficiente
+ * para formatos empacotados como o 3MF. Tudo em memória, sem rede.
+ */
+
+const Zip = {
+
+    _crcTable: null,
+
+    /**
+     * Cria um arquivo ZIP.
+     *
+     * @param {Object[]} files - [{ name, data: string|Uint8Array }] (texto em UTF-8)
+     * @param {Date} [date] - Data de modificação das entradas
+     * @returns {Uint8Array} Arquivo ZIP
+     */
+    create(files, date = new Date()) {
+        const encoder = new TextEncoder();
+        const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+        const day = ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+        const entries = files.map(f => {
+            const data = typeof f.data === 'string' ? encoder.encode(f.data) : f.data;
+            return { name: encoder.encode(f.name), data, crc: this.crc32(data) };
+        });
+
+        let size = 22;
+        for (const e of entries) size += 30 + 46 + 2 * e.name.length + e.data.length;
+
+        const out = new Uint8Array(size);
+        const view = new DataView(out.buffer);
+        let offset = 0;
+
+        // Cabeçalho comum ao registro local e ao diretório central
+        const header = (e) => {
+            view.setUint16(offset, 20, true);         // versão necessária
+            view.setUint16(offset + 2, 0x0800, true); // nomes em UTF-8
+            view.setUint16(offset + 4, 0, true);      // armazenado
+            view.setUint16(offset + 6, time, true);
+            view.setUint16(offset + 8, day, true);
+            view.setUint32(offset + 10, e.crc, true);
+            view.setUint32(offset + 14, e.data.length, true);
+            view.setUint32(offset + 18, e.data.length, true);
+            view.setUint16(offset + 22, e.name.length, true);
+            view.setUint16(offset + 24, 0, true);     // campo extra
+            offset += 26;
+        };
+
+        for (const e of entries) {
+            e.offset = offset;
+            view.setUint32(offset, 0x04034b50, true);
+            offset += 4;
+            header(e);
+            out.set(e.name, offset);
+            offset += e.name.length;
+            out.set(e.data, offset);
+            offset += e.data.length;
+        }
+
+        const central = offset;
+        for (const e of entries) {
+            view.setUint32(offset, 0x02014b50, true);
+            view.setUint16(offset + 4, 20, true);     // versão que criou
+            offset += 6;
+            header(e);
+            view.setUint16(offset, 0, true);          // comentário
+            view.setUint16(offset + 2, 0, true);      // disco
+            view.setUint16(offset + 4, 0, true);      // atributos internos
+            view.setUint32(offset + 6, 0, true);      // atributos externos
+            view.setUint32(offset + 10, e.offset, true);
+            offset += 14;
+            out.set(e.name, offset);
+            offset += e.name.length;
+        }
+
+        // Fim do diretório central
+        view.setUint32(offset, 0x06054b50, true);
+        view.setUint16(offset + 4, 0, true);
+        view.setUint16(offset + 6, 0, true);
+        view.setUint16(offset + 8, entries.length, true);
+        view.setUint16(offset + 10, entries.length, true);
+        view.setUint32(offset + 12, offset - central, true);
+        view.setUint32(offset + 16, central, true);
+        view.setUint16(offset + 20, 0, true);
+
+        return out;
+    },
+
+    /**
+     * CRC-32 (polinômio 0xEDB88320) dos bytes.
+     * @param {Uint8Array} bytes
+     * @returns {number}
+     */
+    crc32(bytes) {
+        if (!this._crcTable) {
+            this._crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                this._crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this._crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+};
@@ -0,0 +1,61 @@
+// ==========================================
+// Carregador dos scripts do app para os testes
+// ==========================================
+// Os módulos do app são scripts clássicos que definem objetos globais;
+// aqui eles rodam em um contexto vm isolado, sem navegador nem DOM.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Cria um contexto com os scripts indicados carregados em ordem
+ * @param {string[]} files - Caminhos relativos a js/
+ * @returns {Object} Contexto vm com os objetos globais do app
+ */
+function loadScripts(files) {
+    const context = vm.createContext({ console, TextDecoder, TextEncoder, setTimeout });
+    context.window = context;
+    for (const file of ['lib/proj4.min.js', ...files]) {
+        const source = fs.readFileSync(path.join(ROOT, 'js', file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    }
+    return context;
+}
+
+/**
+ * Obtém um objeto global declarado com const/class nos scripts
+ * @param {Object} context - Contexto criado por loadScripts
+ * @param {string} name - Nome do objeto
+ * @returns {*} O objeto
+ */
+function lookup(context, name) {
+    return vm.runInContext(name, context);
+}
+
+/**
+ * Lê um arquivo de test/fixtures
+ * @param {string} name - Nome do arquivo
+ * @returns {string} Conteúdo em texto
+ */
+function fixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+/**
+ * Opções de geração equivalentes aos padrões do formulário
+ * @param {Object} overrides - Valores a substituir
+ * @returns {Object} Opções para ModelGenerator.generate
+ */
+function modelOptions(overrides) {
+    return Object.assign({
+        buffer: 2, vertical: 5, bedx: 150, bedy: 150, base: 2,
+        zcut: true, zoverride: false, zconstant: 100, regionfit: false,
+        shapetype: 0, projtype: 0, projection: '', markerInterval: 0,
+        smoothtype: 0, smoothspan: 10
+    }, overrides);
+}
+
+module.exports = { loadScripts, lookup, fixture, modelOptions };
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, lookup, fixture, modelOptions } = require('./helpers');
+
+const context = loadScripts([
+    'utils.js', 'sensors.js', 'gpx-parser.js', 'gpx-stream.js',
+    'mesh-check.js', 'terrain.js', 'font.js', 'model-generator.js'
+]);
+const GPXStream = lookup(context, 'GPXStream');
+const ModelGenerator = lookup(context, 'ModelGenerator');
+const MeshCheck = lookup(context, 'MeshCheck');
+
+function arcModel(overrides) {
+    const result = GPXStream.parse(fixture('arc.gpx'), false, 1);
+    return ModelGenerator.generate(result.points, modelOptions(Object.assign({ markerInterval: 250 }, overrides))).code;
+}
+
+test('marcadores: unidos ao caminho em um só corpo, em todos os perfis', () => {
+    for (const profile of ['rect', 'tube', 'ridge', 'chamfer', 'round']) {
+        const code = arcModel({ profile });
+        assert.strictEqual(code.rawMarkers.length, 10, profile);
+
+        const plain = arcModel({ profile, markerInterval: 0 });
+        assert.ok(code.mesh().faces.length > plain.mesh().faces.length, `${profile}: marcadores na malha`);
+
+        code.repair();
+        const report = code.check();
+        assert.strictEqual(report.shells, 1, profile);
+        assert.strictEqual(report.selfIntersections, 0, profile);
+        assert.strictEqual(report.openEdges, 0, profile);
+        assert.strictEqual(report.nonManifoldEdges, 0, profile);
+        assert.strictEqual(report.degenerate, 0, profile);
+        assert.ok(report.ok, profile);
+    }
+});
+
+test('marcadores: sem reparo, as faces seguem a orientação do caminho', () => {
+    const report = MeshCheck.analyze(arcModel({}).mesh());
+    assert.strictEqual(report.shells, 1);
+    assert.strictEqual(report.inverted, report.triangles);
+});
+
+test('marcadores: do chão até acima do topo do caminho', () => {
+    const code = arcModel({});
+    const { points } = code.mesh();
+    const top = Math.max(...code.rawPoints.map(p => p[2]));
+    assert.ok(Math.max(...points.map(p => p[2])) > top, 'marcadores acima do caminho');
+    assert.strictEqual(Math.min(...points.map(p => p[2])), 0);
+});
+
+test('marcadores: em corpo separado, ficam fora do caminho', () => {
+    const code = arcModel({ markerBody: true });
+    assert.strictEqual(MeshCheck.analyze(code.mesh()).shells, 1);
+    assert.strictEqual(MeshCheck.analyze(code.mesh(true)).shells, 11);
+    assert.strictEqual(MeshCheck.analyze(code.markerMesh()).shells, 10);
+});
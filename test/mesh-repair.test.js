@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, lookup, fixture, modelOptions } = require('./helpers');
+
+const context = loadScripts([
+    'utils.js', 'sensors.js', 'gpx-parser.js', 'gpx-stream.js',
+    'mesh-check.js', 'terrain.js', 'font.js', 'model-generator.js'
+]);
+const GPXStream = lookup(context, 'GPXStream');
+const ModelGenerator = lookup(context, 'ModelGenerator');
+
+function hairpinModel(overrides) {
+    const result = GPXStream.parse(fixture('hairpin.gpx'), false, 1);
+    return ModelGenerator.generate(result.points, modelOptions(overrides)).code;
+}
+
+test('curvas fechadas: o reparo une os anéis sobrepostos', () => {
+    const code = hairpinModel({ buffer: 3 });
+    assert.ok(code.check().selfIntersections > 0, 'a trilha de teste deve dobrar o caminho');
+
+    const stats = code.repair();
+    assert.ok(stats.foldedRings > 0);
+
+    const report = code.check();
+    assert.strictEqual(report.selfIntersections, 0);
+    assert.strictEqual(report.openEdges, 0);
+    assert.strictEqual(report.nonManifoldEdges, 0);
+    assert.strictEqual(report.shells, 1);
+    assert.ok(report.ok);
+});
+
+test('curvas fechadas: o resultado vale para outras larguras do caminho', () => {
+    for (const buffer of [2, 4, 5]) {
+        const code = hairpinModel({ buffer });
+        code.repair();
+        assert.strictEqual(code.check().selfIntersections, 0, `largura ${buffer}`);
+    }
+});